@@ -1,15 +1,53 @@
 const logger = require('./utils/logger');
 const { Client, GatewayIntentBits } = require('discord.js');
 const config = require('./config/config');
-const { PersistentMap } = require('./utils/PersistentMap');
+const { createPendingVerificationsMap, PENDING_VERIFICATION_MAX_AGE } = require('./utils/PersistentMap');
+const { expireStaleVerifications } = require('./services/verificationLifecycle');
+const { closeStorageDriver } = require('./utils/storage');
+const { ProcessedCallbackStore } = require('./utils/ProcessedCallbackStore');
 const { authenticateAPI } = require('./services/apiClient');
-const commands = require('./commands/commands');
-const { handleVerify, handleDebugVerify, handleCheckVerification } = require('./commands/commandHandlers');
+const { registerCommands, registerGuildCommands, executeCommand } = require('./commands/registry');
+const {
+  handleApprovalButton,
+  handleApprovalDenyModal,
+  handleOwnershipCheckButton,
+  handleSessionButton,
+  processScheduledApprovals,
+  APPROVAL_BUTTON_PREFIX,
+  APPROVAL_DENY_MODAL_PREFIX,
+  OWNERSHIP_BUTTON_PREFIX,
+  SESSION_BUTTON_PREFIX
+} = require('./commands/commandHandlers');
+const { handlePendingListComponent, PENDING_LIST_PREFIX } = require('./commands/pendingListHandlers');
+const { handleConflictReviewButton, CONFLICT_REVIEW_PREFIX } = require('./commands/conflictReviewHandlers');
+const {
+  handleMyDataButton,
+  handleDataRequestButton,
+  handleDataRequestRejectModal,
+  MY_DATA_PREFIX,
+  DATA_REQUEST_PREFIX,
+  DATA_REQUEST_REJECT_MODAL_PREFIX
+} = require('./commands/userDataHandlers');
 const { createWebhookServer } = require('./webhook/webhookServer');
-const { handleTestVerify, handleSimulateWebhook, handleListPending } = require('./commands/testCommandHandlers');
+const { startStatusPolling } = require('./services/statusPoller');
+const { deletionJobs, enqueueDeletion, startDeletionWorker } = require('./services/deletionQueue');
+const { identityFingerprints } = require('./services/identityConflicts');
+const { quotaSessions, quotaUsers } = require('./services/quotaTracker');
+const { dataRequests } = require('./services/dataRequests');
+const { localePreferences } = require('./services/localePreferences');
+const { guildSettings } = require('./services/guildSettings');
+const { checkCatalogs } = require('./utils/i18n');
+const { loadEmbedTemplates } = require('./utils/embedTemplates');
+const { loadRoleMapping } = require('./utils/roleMapping');
+const { startAuditMirror } = require('./services/auditLog');
+const { startRoleSync } = require('./services/roleSync');
+const { handleMemberJoin } = require('./services/memberJoin');
 
 // Initialize persistent storage for pending verifications
-const pendingVerifications = new PersistentMap();
+const pendingVerifications = createPendingVerificationsMap();
+
+// Callbacks already acted on, so replayed webhooks are ignored
+const processedCallbacks = new ProcessedCallbackStore(config.WEBHOOK_MAX_AGE_SECONDS * 1000);
 
 // Discord client setup
 const client = new Client({
@@ -21,43 +59,58 @@ const client = new Client({
   ]
 });
 
-// Register slash commands
-async function registerCommands() {
+// Handle buttons, select menus and modals
+async function handleComponentInteraction(interaction) {
+  const { customId } = interaction;
+
   try {
-    await client.application.commands.set(commands, config.GUILD_ID);
-    logger.info('Slash commands registered successfully');
+    if (interaction.isButton() && customId.startsWith(`${APPROVAL_BUTTON_PREFIX}:`)) {
+      await handleApprovalButton(interaction, pendingVerifications, client);
+    } else if (interaction.isModalSubmit() && customId.startsWith(`${APPROVAL_DENY_MODAL_PREFIX}:`)) {
+      await handleApprovalDenyModal(interaction, pendingVerifications, client);
+    } else if (interaction.isButton() && customId.startsWith(`${OWNERSHIP_BUTTON_PREFIX}:`)) {
+      await handleOwnershipCheckButton(interaction, pendingVerifications, client);
+    } else if (interaction.isButton() && customId.startsWith(`${SESSION_BUTTON_PREFIX}:`)) {
+      await handleSessionButton(interaction, pendingVerifications);
+    } else if (interaction.isButton() && customId.startsWith(`${CONFLICT_REVIEW_PREFIX}:`)) {
+      await handleConflictReviewButton(interaction, pendingVerifications, client);
+    } else if (interaction.isButton() && customId.startsWith(`${MY_DATA_PREFIX}:`)) {
+      await handleMyDataButton(interaction, pendingVerifications, client);
+    } else if (interaction.isButton() && customId.startsWith(`${DATA_REQUEST_PREFIX}:`)) {
+      await handleDataRequestButton(interaction, pendingVerifications, client);
+    } else if (interaction.isModalSubmit() && customId.startsWith(`${DATA_REQUEST_REJECT_MODAL_PREFIX}:`)) {
+      await handleDataRequestRejectModal(interaction, client);
+    } else if (customId.startsWith(`${PENDING_LIST_PREFIX}:`)) {
+      await handlePendingListComponent(interaction, pendingVerifications, client);
+    }
   } catch (error) {
-    logger.error('Failed to register slash commands:', error);
+    logger.error(`Error handling interaction ${customId}:`, error);
+
+    const reply = {
+      content: 'An error occurred while processing your request.',
+      ephemeral: true
+    };
+
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(reply);
+    } else {
+      await interaction.reply(reply);
+    }
   }
 }
 
 // Handle slash commands
 client.on('interactionCreate', async interaction => {
+  if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
+    return handleComponentInteraction(interaction);
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const { commandName } = interaction;
 
   try {
-    switch (commandName) {
-      case 'verify':
-        await handleVerify(interaction, pendingVerifications, client);
-        break;
-      case 'verify-debug':
-        await handleDebugVerify(interaction);
-        break;
-      case 'check-verification':
-        await handleCheckVerification(interaction, pendingVerifications);
-        break;
-      case 'test-verify':
-        await handleTestVerify(interaction, pendingVerifications);
-        break;
-      case 'simulate-webhook':
-        await handleSimulateWebhook(interaction, pendingVerifications);
-        break;
-      case 'list-pending':
-        await handleListPending(interaction, pendingVerifications);
-        break;
-    }
+    await executeCommand(interaction, { client, pendingVerifications });
   } catch (error) {
     logger.error(`Error handling command ${commandName}:`, error);
     
@@ -74,15 +127,38 @@ client.on('interactionCreate', async interaction => {
   }
 });
 
+// Expire stale verifications, and queue deletion of whatever they already sent to iDenfy
+function expireStale() {
+  for (const [key, verification] of expireStaleVerifications(pendingVerifications, PENDING_VERIFICATION_MAX_AGE)) {
+    if (verification.scanRef) {
+      enqueueDeletion(verification.scanRef, { discordId: verification.discordId, verificationKey: key });
+    }
+  }
+}
+
 // Cleanup old pending verifications periodically
 function startCleanupInterval() {
   const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
   
   setInterval(() => {
+    expireStale();
     pendingVerifications.cleanup();
+    deletionJobs.cleanup();
+    quotaSessions.cleanup();
   }, CLEANUP_INTERVAL);
 }
 
+// Approve "Approve tomorrow" requests once the daily limit resets
+function startScheduledApprovalInterval() {
+  const SCHEDULED_APPROVAL_INTERVAL = 60 * 1000; // 1 minute
+
+  setInterval(() => {
+    processScheduledApprovals(pendingVerifications, client).catch(error => {
+      logger.error('Failed to process scheduled approvals:', error);
+    });
+  }, SCHEDULED_APPROVAL_INTERVAL);
+}
+
 // Discord bot ready event
 client.once('ready', async () => {
   logger.info(`Bot logged in as ${client.user.tag}`);
@@ -96,13 +172,47 @@ client.once('ready', async () => {
   }
 
   // Register slash commands
-  await registerCommands();
+  try {
+    await registerCommands(client);
+  } catch (error) {
+    logger.error('Failed to register slash commands:', error);
+  }
 
   // Set bot status
   client.user.setActivity('iDenfy Verifications', { type: 'WATCHING' });
 
   // Start cleanup interval
   startCleanupInterval();
+
+  // Start scheduled approval interval
+  startScheduledApprovalInterval();
+
+  // Poll iDenfy for verifications whose webhook never arrived
+  startStatusPolling(client, pendingVerifications);
+
+  // Resume iDenfy data deletions, including any queued before a restart
+  startDeletionWorker(client, pendingVerifications);
+
+  // Keep the verified role in line with the backend, e.g. after verifications are removed there
+  startRoleSync(client);
+});
+
+// Commands are registered per guild, so a newly joined sister server needs them too
+client.on('guildCreate', async guild => {
+  try {
+    await registerGuildCommands(guild);
+  } catch (error) {
+    logger.error(`Failed to register slash commands in ${guild.name} (${guild.id}):`, error);
+  }
+});
+
+// Give verified users their roles back when they rejoin
+client.on('guildMemberAdd', async member => {
+  try {
+    await handleMemberJoin(client, member);
+  } catch (error) {
+    logger.error(`Error handling member join for ${member.id}:`, error);
+  }
 });
 
 // Error handling
@@ -121,11 +231,25 @@ process.on('SIGINT', async () => {
   try {
     // Force a final save of pending verifications
     await pendingVerifications.forceSave();
+    await processedCallbacks.forceSave();
+    await deletionJobs.forceSave();
+    await identityFingerprints.forceSave();
+    await quotaSessions.forceSave();
+    await quotaUsers.forceSave();
+    await dataRequests.forceSave();
+    await localePreferences.forceSave();
+    await guildSettings.forceSave();
     logger.info('Final save of pending verifications completed');
   } catch (error) {
     logger.error('Failed to save pending verifications during shutdown:', error);
   }
 
+  try {
+    closeStorageDriver();
+  } catch (error) {
+    logger.error('Error closing storage:', error);
+  }
+
   // Close Discord client
   try {
     client.destroy();
@@ -151,11 +275,24 @@ async function start() {
     
     // Load saved pending verifications
     logger.info('Loading pending verifications...');
-    await pendingVerifications.loadFromFile();
+    await pendingVerifications.load();
+    await processedCallbacks.load();
+    await deletionJobs.load();
+    expireStale();
+    await identityFingerprints.load();
+    await quotaSessions.load();
+    await quotaUsers.load();
+    await dataRequests.load();
+    await localePreferences.load();
+    await guildSettings.load();
+    checkCatalogs();
+    loadEmbedTemplates();
+    loadRoleMapping();
+    startAuditMirror(client);
     
     // Start webhook server
     logger.info('Starting webhook server...');
-    createWebhookServer(client, pendingVerifications);
+    createWebhookServer(client, pendingVerifications, processedCallbacks);
     
     // Login to Discord
     logger.info('Connecting to Discord...');
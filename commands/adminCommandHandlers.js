@@ -0,0 +1,566 @@
+const { EmbedBuilder } = require('discord.js');
+const {
+  getExistingVerification,
+  getVerificationByCkey,
+  revokeVerification
+} = require('../services/apiClient');
+const {
+  getIdenfyVerificationStatus,
+  getIdenfyVerificationUrl
+} = require('../services/idenfyService');
+const { deletionJobs, enqueueDeletion, retryDeadDeletion } = require('../services/deletionQueue');
+const { processIdenfyResult } = require('../services/verificationOutcome');
+const { canonicalizeCkey } = require('../services/byondService');
+const { getUserQuota, resetUserAttempts } = require('../services/quotaTracker');
+const { getUserLocale } = require('../services/localePreferences');
+const { AuditCategory, recordAudit } = require('../services/auditLog');
+const { runRoleSync, buildRoleSyncReport } = require('../services/roleSync');
+const {
+  VerificationState,
+  isActive,
+  transitionVerification,
+  findActiveVerification,
+  formatVerificationHistory
+} = require('../services/verificationLifecycle');
+const { t } = require('../utils/i18n');
+const logger = require('../utils/logger');
+const {
+  safeSendDM,
+  removeVerifiedRoles,
+  formatRoles
+} = require('../utils/discordHelpers');
+
+/**
+ * Record an admin action in the audit log, which posts it to the audit channel
+ * @param {import("discord.js").Client} client
+ * @param {import("discord.js").Interaction} interaction
+ * @param {string} action
+ * @param {Array<import("discord.js").APIEmbedField>} fields
+ * @param {number} [color=0x0099FF]
+ * @param {{ target?: string, ckey?: string, scanRef?: string, before?: string, after?: string, note?: string, mirror?: boolean }} [audit]
+ *   What the action was done to, for searching the audit log
+ */
+async function logAdminAction(client, interaction, action, fields, color = 0x0099FF, audit = {}) {
+  logger.info(`Admin action ${action} by ${interaction.user.username} (${interaction.user.id})`, fields);
+
+  const { mirror = true, ...context } = audit;
+  await recordAudit({
+    category: AuditCategory.ADMIN,
+    action: `admin.${action.toLowerCase().replace(/\W+/g, '-')}`,
+    label: action,
+    actor: interaction.user.id,
+    actorName: interaction.user.username,
+    ...context,
+    details: fields
+  }, { client, color, mirror });
+}
+
+/**
+ * Find a pending verification by its key or the scanRef stored on it
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} scanRef
+ * @returns {[string, object] | undefined}
+ */
+function findPendingByScanRef(pendingVerifications, scanRef) {
+  if (pendingVerifications.has(scanRef)) {
+    return [scanRef, pendingVerifications.get(scanRef)];
+  }
+  return pendingVerifications.findOneBy('scanRef', scanRef);
+}
+
+/**
+ * Handle /verification lookup
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ */
+async function handleLookup(interaction, pendingVerifications) {
+  const user = interaction.options.getUser('user');
+  const ckey = canonicalizeCkey(interaction.options.getString('ckey'));
+
+  if (!user && !ckey) {
+    return await interaction.editReply({
+      content: 'Provide either a user or a ckey to look up.',
+      ephemeral: true
+    });
+  }
+
+  let existing = null;
+  let lookupError = null;
+  try {
+    existing = user ? await getExistingVerification(user.id) : await getVerificationByCkey(ckey);
+  } catch (error) {
+    logger.error('Error looking up verification:', error);
+    lookupError = error.message || 'Unknown error';
+  }
+
+  const pending = user
+    ? pendingVerifications.findBy('discordId', user.id)
+    : pendingVerifications.findBy('ckey', ckey);
+
+  const embed = new EmbedBuilder()
+    .setColor(existing ? 0x00FF00 : 0x0099FF)
+    .setTitle(`Verification Lookup: ${user ? user.username : ckey}`)
+    .setTimestamp();
+
+  if (existing) {
+    embed.addFields(
+      { name: 'Discord User', value: `<@${existing.discord_id}>`, inline: true },
+      { name: 'CKEY', value: existing.ckey, inline: true },
+      { name: 'Method', value: existing.verification_method || 'Unknown', inline: true },
+      { name: 'Verified By', value: existing.verified_by || 'Unknown', inline: true },
+      { name: 'Created', value: existing.created_at || 'Unknown', inline: true },
+      { name: 'Updated', value: existing.updated_at || 'Unknown', inline: true },
+      { name: 'Flags', value: '```json\n' + JSON.stringify(existing.verified_flags ?? {}, null, 2) + '\n```', inline: false }
+    );
+  } else {
+    embed.addFields({
+      name: 'Backend Record',
+      value: lookupError ? `Lookup failed: ${lookupError}` : 'No verification stored',
+      inline: false
+    });
+  }
+
+  // Discord embeds allow 25 fields, leave room for the backend record
+  for (const [key, verification] of pending.slice(0, 5)) {
+    embed.addFields({
+      name: `Pending: ${key} (${verification.state})`,
+      value: `<@${verification.discordId}> - ${verification.ckey}\n${formatVerificationHistory(verification, 5)}`,
+      inline: false
+    });
+  }
+  if (pending.length === 0) {
+    embed.addFields({ name: 'Pending', value: 'No pending verifications', inline: false });
+  }
+
+  await interaction.editReply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Handle /verification revoke
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleRevoke(interaction, client) {
+  const user = interaction.options.getUser('user', true);
+  const reason = interaction.options.getString('reason') || 'No reason given';
+
+  let revoked;
+  try {
+    revoked = await revokeVerification(user.id);
+  } catch (error) {
+    return await interaction.editReply({
+      content: `Failed to revoke verification: ${error.message}`,
+      ephemeral: true
+    });
+  }
+
+  let rolesRemoved = [];
+  try {
+    rolesRemoved = await removeVerifiedRoles(client, user.id, `Verification revoked by ${interaction.user.username}: ${reason}`);
+  } catch (roleError) {
+    logger.error('Failed to remove verified roles:', roleError.message);
+  }
+
+  const fields = [
+    { name: 'Target', value: `<@${user.id}> (${user.username})`, inline: true },
+    { name: 'Backend Record', value: revoked ? 'Removed' : 'None found', inline: true },
+    { name: 'Roles Removed', value: formatRoles(rolesRemoved), inline: true },
+    { name: 'Reason', value: reason, inline: false }
+  ];
+
+  await logAdminAction(client, interaction, 'Revoke', fields, 0xFF0000, { target: user.id, note: reason });
+  await interaction.editReply({
+    embeds: [new EmbedBuilder().setColor(0xFF0000).setTitle('Verification Revoked').addFields(fields).setTimestamp()],
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /verification force-complete
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ */
+async function handleForceComplete(interaction, pendingVerifications, client) {
+  const scanRef = interaction.options.getString('scan_ref', true);
+  const override = interaction.options.getBoolean('override') ?? false;
+
+  const [key, pending] = findPendingByScanRef(pendingVerifications, scanRef) ?? [null, null];
+  if (!pending || !isActive(pending) || !pending.scanRef) {
+    return await interaction.editReply({
+      content: `No in-progress iDenfy verification found for scan reference: ${scanRef}`,
+      ephemeral: true
+    });
+  }
+
+  let status;
+  try {
+    status = await getIdenfyVerificationStatus(pending.scanRef);
+  } catch (error) {
+    if (!override) {
+      return await interaction.editReply({
+        content: `Failed to get iDenfy status: ${error.message}. Use override to submit anyway.`,
+        ephemeral: true
+      });
+    }
+  }
+
+  if (status?.status !== 'APPROVED' && !override) {
+    return await interaction.editReply({
+      content: `iDenfy status is ${status?.status || 'Unknown'}, not APPROVED. Use override to submit anyway.`,
+      ephemeral: true
+    });
+  }
+
+  const note = override ? `Force-completed with override (iDenfy: ${status?.status || 'Unknown'})` : 'Force-completed';
+  const outcome = await processIdenfyResult(client, pendingVerifications, key, { overall: 'APPROVED' }, {
+    actor: interaction.user.id,
+    note,
+    verifiedBy: interaction.user.id
+  });
+
+  if (outcome.result !== 'submitted') {
+    return await interaction.editReply({
+      content: outcome.result === 'error'
+        ? `Failed to submit verification: ${outcome.error?.message || 'Unknown error'}`
+        : outcome.result === 'held'
+          ? 'Verification matches another account and is waiting for conflict review in the verification channel.'
+          : `Verification is already ${outcome.verification?.state ?? 'finished'}, nothing to do.`,
+      ephemeral: true
+    });
+  }
+
+  const fields = [
+    { name: 'Target', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+    { name: 'CKEY', value: pending.ckey, inline: true },
+    { name: 'Scan Reference', value: pending.scanRef, inline: true },
+    { name: 'iDenfy Status', value: status?.status || 'Unknown', inline: true },
+    { name: 'Override', value: override ? 'Yes' : 'No', inline: true },
+    { name: 'Roles Assigned', value: formatRoles(outcome.rolesAssigned), inline: true },
+    { name: 'User Notified', value: outcome.userNotified ? 'Yes' : 'No', inline: true },
+    { name: 'Data Deletion', value: 'Scheduled', inline: true }
+  ];
+
+  await logAdminAction(client, interaction, 'Force Complete', fields, 0x00FF00, {
+    target: pending.discordId,
+    ckey: pending.ckey,
+    scanRef: pending.scanRef,
+    before: pending.state,
+    after: outcome.verification?.state
+  });
+  await interaction.editReply({
+    embeds: [new EmbedBuilder().setColor(0x00FF00).setTitle('Verification Force-Completed').addFields(fields).setTimestamp()],
+    ephemeral: true
+  });
+}
+
+/**
+ * Cancel a pending verification, queue deletion of its iDenfy data, DM the user and log the action
+ * @param {import("discord.js").Client} client
+ * @param {import("discord.js").Interaction} interaction The admin's interaction, used for logging
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} key
+ * @param {string} reason
+ * @returns {Promise<Array<import("discord.js").APIEmbedField>>} Summary of what was done
+ */
+async function cancelVerification(client, interaction, pendingVerifications, key, reason) {
+  const pending = pendingVerifications.get(key);
+
+  transitionVerification(pendingVerifications, key, VerificationState.DENIED, {
+    actor: interaction.user.id,
+    note: `Cancelled: ${reason}`
+  });
+
+  // Remove anything iDenfy already holds for the session
+  if (pending.scanRef) {
+    enqueueDeletion(pending.scanRef, { discordId: pending.discordId, verificationKey: key, requestedBy: interaction.user.id });
+  }
+
+  const locale = getUserLocale(pending.discordId, pending.locale);
+  const embed = new EmbedBuilder()
+    .setColor(0xFF0000)
+    .setTitle(t(locale, 'cancel.title'))
+    .setDescription(t(locale, 'dm.cancelledByAdmin'))
+    .addFields(
+      { name: t(locale, 'field.ckey'), value: pending.ckey, inline: true },
+      { name: t(locale, 'field.reason'), value: reason, inline: false }
+    )
+    .setTimestamp();
+  const userNotified = await safeSendDM(client, pending.discordId, { embeds: [embed] });
+
+  const fields = [
+    { name: 'Target', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+    { name: 'CKEY', value: pending.ckey, inline: true },
+    { name: 'Reference', value: key, inline: true },
+    { name: 'Previous State', value: pending.state, inline: true },
+    { name: 'Data Deletion', value: pending.scanRef ? 'Queued' : 'No session', inline: true },
+    { name: 'User Notified', value: userNotified ? 'Yes' : 'No', inline: true },
+    { name: 'Reason', value: reason, inline: false }
+  ];
+
+  await logAdminAction(client, interaction, 'Cancel', fields, 0xFF6B6B, {
+    target: pending.discordId,
+    ckey: pending.ckey,
+    scanRef: key,
+    before: pending.state,
+    after: VerificationState.DENIED,
+    note: reason
+  });
+  return fields;
+}
+
+/**
+ * Handle /verification cancel
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ */
+async function handleCancel(interaction, pendingVerifications, client) {
+  const user = interaction.options.getUser('user', true);
+  const reason = interaction.options.getString('reason') || 'Cancelled by an administrator';
+
+  const [key] = findActiveVerification(pendingVerifications, user.id) ?? [null];
+  if (!key) {
+    return await interaction.editReply({
+      content: `${user.username} has no pending verification.`,
+      ephemeral: true
+    });
+  }
+
+  const fields = await cancelVerification(client, interaction, pendingVerifications, key, reason);
+  await interaction.editReply({
+    embeds: [new EmbedBuilder().setColor(0xFF6B6B).setTitle('Verification Cancelled').addFields(fields).setTimestamp()],
+    ephemeral: true
+  });
+}
+
+/**
+ * DM the user their iDenfy link again and log the action
+ * @param {import("discord.js").Client} client
+ * @param {import("discord.js").Interaction} interaction The admin's interaction, used for logging
+ * @param {string} key
+ * @param {object} pending Must be in session_created with a sessionToken
+ * @returns {Promise<{ userNotified: boolean, verificationUrl: string }>}
+ */
+async function resendVerificationLink(client, interaction, key, pending) {
+  const verificationUrl = getIdenfyVerificationUrl(pending.sessionToken);
+  const locale = getUserLocale(pending.discordId, pending.locale);
+  const embed = new EmbedBuilder()
+    .setColor(0x00FF00)
+    .setTitle(t(locale, 'dm.linkResent.title'))
+    .setDescription(t(locale, 'dm.linkResent.description'))
+    .addFields(
+      { name: t(locale, 'field.ckey'), value: pending.ckey, inline: true },
+      { name: t(locale, 'field.scanRef'), value: pending.scanRef, inline: true }
+    )
+    .setTimestamp();
+
+  const userNotified = await safeSendDM(client, pending.discordId, {
+    content: t(locale, 'verify.linkContent', { url: verificationUrl }),
+    embeds: [embed]
+  });
+
+  await logAdminAction(client, interaction, 'Resend Link', [
+    { name: 'Target', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+    { name: 'Scan Reference', value: key, inline: true },
+    { name: 'Delivered', value: userNotified ? 'Yes' : 'No - DM failed', inline: true }
+  ], 0x0099FF, { target: pending.discordId, ckey: pending.ckey, scanRef: key });
+
+  return { userNotified, verificationUrl };
+}
+
+/**
+ * Handle /verification resend-link
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ */
+async function handleResendLink(interaction, pendingVerifications, client) {
+  const user = interaction.options.getUser('user', true);
+
+  const [key, pending] = findActiveVerification(pendingVerifications, user.id) ?? [null, null];
+  if (!pending || pending.state !== VerificationState.SESSION_CREATED || !pending.sessionToken) {
+    return await interaction.editReply({
+      content: `${user.username} has no iDenfy session waiting to be completed.`,
+      ephemeral: true
+    });
+  }
+
+  const { userNotified, verificationUrl } = await resendVerificationLink(client, interaction, key, pending);
+  await interaction.editReply({
+    content: userNotified ? `Verification link sent to ${user.username}.` : `Could not DM ${user.username}. Link: ${verificationUrl}`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /verification deletions
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ */
+async function handleDeletions(interaction) {
+  const counts = { pending: 0, done: 0, dead: 0 };
+  for (const job of deletionJobs.values()) {
+    counts[job.status] = (counts[job.status] ?? 0) + 1;
+  }
+
+  const deadLetters = deletionJobs.getDeadLetters();
+  const lines = deadLetters.slice(0, 15).map(([scanRef, job]) =>
+    `\`${scanRef}\` <@${job.discordId}> - ${job.attempts} attempts, failed <t:${Math.floor(job.deadAt / 1000)}:R>: ${(job.lastError || 'Unknown error').slice(0, 80)}`
+  );
+
+  const embed = new EmbedBuilder()
+    .setColor(deadLetters.length > 0 ? 0xFF6B00 : 0x00FF00)
+    .setTitle('iDenfy Data Deletion Queue')
+    .addFields(
+      { name: 'Pending', value: String(counts.pending), inline: true },
+      { name: 'Confirmed Deleted', value: String(counts.done), inline: true },
+      { name: 'Dead Letters', value: String(counts.dead), inline: true },
+      {
+        name: 'Dead Letter List',
+        value: lines.length > 0
+          ? (lines.join('\n') + (deadLetters.length > lines.length ? `\n...and ${deadLetters.length - lines.length} more` : '')).slice(0, 1024)
+          : 'None',
+        inline: false
+      }
+    )
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Handle /verification deletion-retry
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleDeletionRetry(interaction, client) {
+  const scanRef = interaction.options.getString('scan_ref');
+
+  const scanRefs = scanRef ? [scanRef] : deletionJobs.getDeadLetters().map(([ref]) => ref);
+  const retried = scanRefs.filter(ref => retryDeadDeletion(ref, interaction.user.id));
+
+  if (retried.length === 0) {
+    return await interaction.editReply({
+      content: scanRef ? `No dead deletion job found for scan reference: ${scanRef}` : 'There are no dead deletion jobs to retry.',
+      ephemeral: true
+    });
+  }
+
+  const fields = [
+    { name: 'Requeued', value: String(retried.length), inline: true },
+    { name: 'Scan References', value: retried.map(ref => `\`${ref}\``).join(', ').slice(0, 1024), inline: false }
+  ];
+
+  await logAdminAction(client, interaction, 'Retry Data Deletion', fields, 0x0099FF, scanRef ? { scanRef } : {});
+  await interaction.editReply({
+    content: `Requeued ${retried.length} deletion job(s).`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /verification reset-attempts
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleResetAttempts(interaction, client) {
+  const user = interaction.options.getUser('user', true);
+  const { failures, blocked } = getUserQuota(user.id);
+
+  if (!resetUserAttempts(user.id)) {
+    return await interaction.editReply({
+      content: `${user.username} has no failed verification attempts.`,
+      ephemeral: true
+    });
+  }
+
+  const fields = [
+    { name: 'Target', value: `<@${user.id}> (${user.username})`, inline: true },
+    { name: 'Failed Attempts', value: String(failures), inline: true },
+    { name: 'Was Blocked', value: blocked === 'max_retries' ? 'Yes - max retries' : blocked === 'cooldown' ? 'Yes - cooldown' : 'No', inline: true }
+  ];
+
+  await logAdminAction(client, interaction, 'Reset Attempts', fields, 0x0099FF, { target: user.id });
+  await interaction.editReply({
+    content: `Cleared ${failures} failed attempt(s) for ${user.username}. They can run /verify again.`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /verification role-sync
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleRoleSync(interaction, client) {
+  const dryRun = interaction.options.getBoolean('dry_run') ?? true;
+
+  let report;
+  try {
+    // An admin asking for changes has decided, so the removal limit for scheduled runs doesn't apply
+    report = await runRoleSync(client, { dryRun, maxRemovals: 0, actor: interaction.user.id });
+  } catch (error) {
+    logger.error('Failed to sync verified roles:', error);
+    return await interaction.editReply({
+      content: `Failed to sync verified roles: ${error.message}`,
+      ephemeral: true
+    });
+  }
+
+  // The report was just posted to the channel
+  await logAdminAction(client, interaction, 'Role Sync', [
+    { name: 'Dry Run', value: report.dryRun ? 'Yes' : 'No', inline: true },
+    { name: 'Added', value: String(report.added.length), inline: true },
+    { name: 'Removed', value: String(report.removed.length), inline: true }
+  ], 0x0099FF, { mirror: false });
+  await interaction.editReply({
+    embeds: [buildRoleSyncReport(report)],
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /verification command
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @returns
+ */
+async function handleVerificationCommand(interaction, pendingVerifications, client) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const subcommand = interaction.options.getSubcommand();
+  switch (subcommand) {
+    case 'lookup':
+      return await handleLookup(interaction, pendingVerifications);
+    case 'revoke':
+      return await handleRevoke(interaction, client);
+    case 'force-complete':
+      return await handleForceComplete(interaction, pendingVerifications, client);
+    case 'cancel':
+      return await handleCancel(interaction, pendingVerifications, client);
+    case 'resend-link':
+      return await handleResendLink(interaction, pendingVerifications, client);
+    case 'deletions':
+      return await handleDeletions(interaction);
+    case 'deletion-retry':
+      return await handleDeletionRetry(interaction, client);
+    case 'reset-attempts':
+      return await handleResetAttempts(interaction, client);
+    case 'role-sync':
+      return await handleRoleSync(interaction, client);
+    default:
+      return await interaction.editReply({
+        content: `Unknown subcommand: ${subcommand}`,
+        ephemeral: true
+      });
+  }
+}
+
+module.exports = {
+  handleVerificationCommand,
+  logAdminAction,
+  findPendingByScanRef,
+  cancelVerification,
+  resendVerificationLink
+};
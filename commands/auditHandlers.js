@@ -0,0 +1,135 @@
+const { AttachmentBuilder, EmbedBuilder } = require('discord.js');
+const { auditLog, toCsv, toJsonl } = require('../services/auditLog');
+const { canonicalizeCkey } = require('../services/byondService');
+const logger = require('../utils/logger');
+const { logAdminAction } = require('./adminCommandHandlers');
+
+// Entries listed in the /audit reply; exports include every match
+const SHOWN_ENTRIES = 15;
+
+const EXPORT_FORMATS = Object.freeze({
+  csv: toCsv,
+  jsonl: toJsonl
+});
+
+/**
+ * Parse a /audit date option. A bare date covers the whole (UTC) day, so `until: 2024-05-01` includes May 1st.
+ * @param {string | null} value `YYYY-MM-DD` or an ISO timestamp
+ * @param {boolean} endOfDay
+ * @returns {number | undefined | null} undefined when not given, null when invalid
+ */
+function parseDateOption(value, endOfDay) {
+  if (!value) {
+    return undefined;
+  }
+
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+  const time = Date.parse(isDateOnly ? `${value.trim()}T00:00:00Z` : value);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return isDateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * One line of the /audit listing
+ * @param {import("../utils/AuditLogStore").AuditEntry} entry
+ * @returns {string}
+ */
+function formatEntry(entry) {
+  const actor = /^\d+$/.test(entry.actor) ? `<@${entry.actor}>` : entry.actor;
+  const parts = [`<t:${Math.floor(entry.timestamp / 1000)}:f> \`${entry.action}\` by ${actor}`];
+  if (entry.target) {
+    parts.push(`→ <@${entry.target}>`);
+  }
+  if (entry.ckey) {
+    parts.push(`(${entry.ckey})`);
+  }
+  if (entry.after) {
+    parts.push(`${entry.before ?? 'new'} → ${entry.after}`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Handle /audit
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleAudit(interaction, client) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const user = interaction.options.getUser('user');
+  const ckey = interaction.options.getString('ckey');
+  const action = interaction.options.getString('action')?.trim();
+  const format = interaction.options.getString('format') ?? 'show';
+  const since = parseDateOption(interaction.options.getString('since'), false);
+  const until = parseDateOption(interaction.options.getString('until'), true);
+
+  if (since === null || until === null) {
+    return await interaction.editReply({
+      content: 'Dates must be written as YYYY-MM-DD (or a full ISO timestamp).',
+      ephemeral: true
+    });
+  }
+
+  const query = {
+    discordId: user?.id,
+    ckey: ckey ? canonicalizeCkey(ckey) : undefined,
+    action: action || undefined,
+    since,
+    until,
+    limit: interaction.options.getInteger('limit') ?? undefined
+  };
+
+  let entries;
+  try {
+    entries = await auditLog.query(query);
+  } catch (error) {
+    logger.error('Failed to read the audit log:', error);
+    return await interaction.editReply({
+      content: `Failed to read the audit log: ${error.message}`,
+      ephemeral: true
+    });
+  }
+
+  const filters = [
+    user && `user <@${user.id}>`,
+    query.ckey && `ckey ${query.ckey}`,
+    query.action && `action ${query.action}`,
+    since && `since <t:${Math.floor(since / 1000)}:d>`,
+    until && `until <t:${Math.floor(until / 1000)}:d>`
+  ].filter(Boolean).join(', ') || 'none';
+
+  if (format === 'show') {
+    const lines = entries.slice(0, SHOWN_ENTRIES).map(formatEntry);
+    const embed = new EmbedBuilder()
+      .setColor(0x0099FF)
+      .setTitle('Audit Log')
+      .setDescription((lines.length > 0 ? lines.join('\n') : 'No matching entries.').slice(0, 4096))
+      .addFields(
+        { name: 'Filters', value: filters, inline: false },
+        { name: 'Matches', value: entries.length > SHOWN_ENTRIES ? `${entries.length} (newest ${SHOWN_ENTRIES} shown, export for the rest)` : String(entries.length), inline: false }
+      )
+      .setTimestamp();
+
+    return await interaction.editReply({ embeds: [embed], ephemeral: true });
+  }
+
+  const fileName = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+  await logAdminAction(client, interaction, 'Audit Export', [
+    { name: 'Format', value: format.toUpperCase(), inline: true },
+    { name: 'Entries', value: String(entries.length), inline: true },
+    { name: 'Filters', value: filters, inline: false }
+  ]);
+
+  await interaction.editReply({
+    content: `Exported ${entries.length} audit entries (filters: ${filters}).`,
+    files: [new AttachmentBuilder(Buffer.from(EXPORT_FORMATS[format](entries), 'utf8'), { name: fileName })],
+    ephemeral: true
+  });
+}
+
+module.exports = {
+  handleAudit
+};
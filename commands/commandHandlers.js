@@ -1,9 +1,112 @@
-const { EmbedBuilder } = require('discord.js');
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
 const { v4: uuidv4 } = require('uuid');
-const config = require('../config/config');
-const { checkDailyLimit, submitVerification, getExistingVerification } = require('../services/apiClient');
-const { createIdenfyVerification, getIdenfyVerificationStatus, deleteIdenfyData } = require('../services/idenfyService');
+const { submitVerification, getExistingVerification } = require('../services/apiClient');
+const { createIdenfyVerification, getIdenfyVerificationStatus, getIdenfyVerificationUrl } = require('../services/idenfyService');
+const { processIdenfyResult, holdForConflictReview, resultFromStatusResponse, formatNextAttempt } = require('../services/verificationOutcome');
+const { checkQuota, getUserQuota, getNextQuotaReset, recordSession, refundSession, resetUserAttempts } = require('../services/quotaTracker');
+const { canonicalizeCkey, validateCkey, byondAccountExists } = require('../services/byondService');
+const { findCkeyConflictOrWarn } = require('../services/identityConflicts');
+const {
+  getOwnershipVerifier,
+  startOwnershipChallenge,
+  isChallengeExpired,
+  passOwnershipChallenge
+} = require('../services/byondOwnership');
+const { isSessionExpired, canRegenerateSession, regenerateSession } = require('../services/verificationSession');
+const { enqueueDeletion } = require('../services/deletionQueue');
+const {
+  VerificationState,
+  createVerification,
+  transitionVerification,
+  updateVerification,
+  findActiveVerification,
+  findLatestVerification,
+  formatVerificationHistory
+} = require('../services/verificationLifecycle');
+const { getUserLocale } = require('../services/localePreferences');
+const { getReportingSettings, isGlobalAdmin, isGuildAdmin } = require('../services/guildSettings');
 const logger = require('../utils/logger');
+const { DEFAULT_LOCALE, t } = require('../utils/i18n');
+const { renderTemplate } = require('../utils/embedTemplates');
+const { safeSendDM, sendToVerificationChannel, addVerifiedRoles, formatRoles } = require('../utils/discordHelpers');
+const { logAdminAction } = require('./adminCommandHandlers');
+
+// Custom ID prefixes for the manual approval controls posted to the admin channel
+const APPROVAL_BUTTON_PREFIX = 'manual-approval';
+const APPROVAL_DENY_MODAL_PREFIX = 'manual-approval-deny';
+// Custom ID prefix for the Check profile button on a BYOND ownership challenge
+const OWNERSHIP_BUTTON_PREFIX = 'byond-ownership';
+// Custom ID prefix for the Get a new link button offered when an iDenfy link has expired
+const SESSION_BUTTON_PREFIX = 'verify-session';
+
+// Challenges being checked right now, so double-clicking Check can't create two sessions
+const ownershipChecksInProgress = new Set();
+
+// Verifications being approved right now, so two admins (or an admin and the schedule) can't create two sessions
+const approvalsInProgress = new Set();
+
+// Failed scheduled approvals are retried after 1, 2, 4... minutes, then left to an admin
+const SCHEDULED_APPROVAL_MAX_ATTEMPTS = 5;
+const SCHEDULED_APPROVAL_RETRY_DELAY = 60 * 1000;
+
+/**
+ * Build the Approve / Deny / Approve tomorrow buttons for an admin approval request
+ * @param {string} verificationId 
+ * @param {{ includeSchedule?: boolean }} [options]
+ * @returns {ActionRowBuilder<ButtonBuilder>}
+ */
+function buildApprovalButtons(verificationId, { includeSchedule = true } = {}) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${APPROVAL_BUTTON_PREFIX}:approve:${verificationId}`)
+      .setLabel('Approve')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`${APPROVAL_BUTTON_PREFIX}:deny:${verificationId}`)
+      .setLabel('Deny')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  if (includeSchedule) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${APPROVAL_BUTTON_PREFIX}:tomorrow:${verificationId}`)
+        .setLabel('Approve tomorrow')
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  return row;
+}
+
+/**
+ * Copy the admin approval embed and stamp it with the outcome, the acting admin and the time
+ * @param {import("discord.js").Message} message 
+ * @param {{ color: number, status: string, actor: { id: string, username: string }, fields?: Array<import("discord.js").APIEmbedField> }} outcome
+ * @returns {EmbedBuilder}
+ */
+function buildResolvedApprovalEmbed(message, { color, status, actor, fields = [] }) {
+  const embed = message?.embeds?.[0]
+    ? EmbedBuilder.from(message.embeds[0])
+    : new EmbedBuilder().setTitle('Verification Approval Required');
+
+  return embed
+    .setColor(color)
+    .addFields(
+      { name: 'Status', value: status, inline: true },
+      { name: 'Handled By', value: `<@${actor.id}> (${actor.username})`, inline: true },
+      { name: 'Handled At', value: `<t:${Math.floor(Date.now() / 1000)}:f>`, inline: true },
+      ...fields
+    );
+}
 
 /**
  * Handle /verify command
@@ -15,15 +118,24 @@ const logger = require('../utils/logger');
 async function handleVerify(interaction, pendingVerifications, client) {
   await interaction.deferReply({ ephemeral: true });
 
-  const ckey = interaction.options.getString('ckey');
+  const ckey = canonicalizeCkey(interaction.options.getString('ckey'));
   const discordId = interaction.user.id;
+  const locale = getUserLocale(discordId, interaction.locale);
+
+  const ckeyProblem = validateCkey(ckey);
+  if (ckeyProblem) {
+    return await interaction.editReply({
+      content: t(locale, 'verify.invalidCkey', { reason: t(locale, `ckey.${ckeyProblem}`) }),
+      ephemeral: true
+    });
+  }
 
   // Check if user is vetted and verification status
   try {
     const existing = await getExistingVerification(discordId);
     if (!existing || !existing.verified_flags || !existing.verified_flags.vetted) {
       return await interaction.editReply({
-        content: 'Access denied. You must be vetted to use the verification system.',
+        content: t(locale, 'verify.notVetted'),
         ephemeral: true
       });
     }
@@ -31,7 +143,7 @@ async function handleVerify(interaction, pendingVerifications, client) {
     // Check if they already have scan_ref (already ID verified)
     if (existing.verified_flags.scan_ref) {
       return await interaction.editReply({
-        content: `You are already ID verified with ckey: ${existing.ckey}`,
+        content: t(locale, 'verify.alreadyVerified', { ckey: existing.ckey }),
         ephemeral: true
       });
     }
@@ -40,99 +152,444 @@ async function handleVerify(interaction, pendingVerifications, client) {
   } catch (error) {
     logger.error('Error checking verification status:', error);
     return await interaction.editReply({
-      content: 'Unable to verify your status. Please try again later.',
+      content: t(locale, 'verify.statusUnavailable'),
+      ephemeral: true
+    });
+  }
+
+  // Check if user already has a pending verification
+  const [activeKey, activeVerification] = findActiveVerification(pendingVerifications, discordId) ?? [null, null];
+
+  if (activeVerification?.state === VerificationState.BYOND_CHALLENGE && activeVerification.ckey === ckey && !isChallengeExpired(activeVerification)) {
+    // Ownership already proven but the session couldn't be created last time
+    if (activeVerification.byondVerifiedAt) {
+      return await startIdVerification(interaction, pendingVerifications, client, activeVerification, activeKey);
+    }
+    return await interaction.editReply({ ...buildOwnershipChallengeReply(activeKey, activeVerification, locale), ephemeral: true });
+  }
+
+  if (activeVerification?.state === VerificationState.BYOND_CHALLENGE) {
+    // An unfinished challenge for another ckey, or one that timed out, doesn't block starting over
+    transitionVerification(pendingVerifications, activeKey, VerificationState.EXPIRED, {
+      actor: discordId,
+      note: isChallengeExpired(activeVerification) ? 'Ownership challenge timed out' : 'Replaced by a new /verify'
+    });
+  } else if (activeVerification && isSessionExpired(activeVerification)) {
+    return await interaction.editReply({ ...buildLinkExpiredReply(activeKey, activeVerification, locale), ephemeral: true });
+  } else if (activeVerification) {
+    return await interaction.editReply({
+      content: activeVerification.state === VerificationState.SESSION_CREATED
+        ? t(locale, 'verify.alreadyPendingSession')
+        : t(locale, 'verify.alreadyPending'),
       ephemeral: true
     });
   }
 
-  // Check if user already has a pending verification by searching through all pending verifications
-  const existingPendingVerification = Array.from(pendingVerifications.values())
-    .find(verification => verification.discordId === discordId);
+  // Users who keep failing have to wait, or ask an admin once they are out of attempts
+  const userQuota = getUserQuota(discordId);
+  if (userQuota.blocked) {
+    return await interaction.editReply({
+      content: `${t(locale, 'verify.lastAttemptFailed')} ${formatNextAttempt(userQuota, locale)}`,
+      ephemeral: true
+    });
+  }
 
-  if (existingPendingVerification) {
+  // Make sure the BYOND account exists before spending an iDenfy session on it
+  try {
+    if (!await byondAccountExists(ckey)) {
+      return await interaction.editReply({
+        content: t(locale, 'verify.byondAccountMissing', { ckey }),
+        ephemeral: true
+      });
+    }
+  } catch {
     return await interaction.editReply({
-      content: 'You already have a pending verification. Please complete it first.',
+      content: t(locale, 'verify.byondUnavailable'),
       ephemeral: true
     });
   }
 
-  // Check daily limit
-  const limitExceeded = await checkDailyLimit();
-  if (limitExceeded) {
+  // A ckey can only ever belong to one Discord account. It is checked again once iDenfy approves, so a backend
+  // that can't be reached now doesn't stop anyone from starting
+  const conflict = await findCkeyConflictOrWarn(pendingVerifications, `/verify from ${discordId}`, { discordId, ckey });
+  if (conflict) {
+    logger.warn(`Rejected /verify from ${discordId}: ckey ${ckey} is already bound to ${conflict.discordId} (${conflict.source})`);
+    return await interaction.editReply({
+      content: t(locale, 'verify.ckeyTaken', { ckey }),
+      ephemeral: true
+    });
+  }
+
+  const fields = {
+    discordId,
+    ckey,
+    userId: interaction.user.id,
+    username: interaction.user.username,
+    locale: interaction.locale,
+    guildId: interaction.guildId
+  };
+
+  // The user has to prove they own the ckey before any iDenfy session is created for it
+  if (getOwnershipVerifier()) {
+    const [challengeKey, challenge] = startOwnershipChallenge(pendingVerifications, fields);
+    return await interaction.editReply({ ...buildOwnershipChallengeReply(challengeKey, challenge, locale), ephemeral: true });
+  }
+
+  await startIdVerification(interaction, pendingVerifications, client, fields);
+}
+
+/**
+ * Instructions for an ownership challenge, with a Check button for verifiers that check on demand
+ * @param {string} verificationId
+ * @param {{ ckey: string, challengeCode: string, challengeExpiresAt: number, ownershipMethod: string }} challenge
+ * @param {string} locale
+ * @returns {import("discord.js").InteractionEditReplyOptions}
+ */
+function buildOwnershipChallengeReply(verificationId, challenge, locale) {
+  const verifier = getOwnershipVerifier(challenge.ownershipMethod);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(t(locale, 'ownership.title'))
+    .setDescription(verifier.instructions(challenge.ckey, challenge.challengeCode, locale))
+    .addFields(
+      { name: t(locale, 'field.ckey'), value: challenge.ckey, inline: true },
+      { name: t(locale, 'ownership.code'), value: `\`${challenge.challengeCode}\``, inline: true },
+      { name: t(locale, 'ownership.expires'), value: `<t:${Math.floor(challenge.challengeExpiresAt / 1000)}:R>`, inline: true }
+    )
+    .setFooter({ text: t(locale, 'ownership.footer') })
+    .setTimestamp();
+
+  const components = verifier.check
+    ? [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${OWNERSHIP_BUTTON_PREFIX}:check:${verificationId}`)
+        .setLabel(t(locale, 'ownership.checkButton'))
+        .setStyle(ButtonStyle.Primary)
+    )]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+/**
+ * Send the request to admins if the verification quota is used up, otherwise create the iDenfy session.
+ * With `verificationId` the existing ownership challenge is moved on, otherwise a new verification is stored.
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @param {{ discordId: string, ckey: string, userId: string, username: string, locale?: string, guildId?: string }} fields
+ * @param {string} [verificationId]
+ * @returns {Promise<{ result: 'awaiting_approval', verificationId: string, resetsAt: number } | { result: 'session_created', verification: object }>}
+ */
+async function beginIdVerification(pendingVerifications, client, fields, verificationId) {
+  const { discordId, ckey, username } = fields;
+  const enterState = (key, state, patch, meta) => verificationId
+    ? transitionVerification(pendingVerifications, verificationId, state, { ...meta, patch, newKey: key })
+    : createVerification(pendingVerifications, key, { ...fields, ...patch }, state, meta);
+
+  // Check the verification quota
+  const quota = await checkQuota(Date.now(), fields.guildId);
+  if (quota.exceeded) {
     // Create pending verification request for manual approval
-    const verificationId = uuidv4();
-    pendingVerifications.set(verificationId, {
-      discordId,
+    const approvalId = verificationId ?? uuidv4();
+    enterState(approvalId, VerificationState.AWAITING_APPROVAL, {}, { actor: discordId, note: quota.unavailable ? 'Quota unavailable' : 'Verification limit reached' });
+
+    // Send to the admin channel of the guild /verify was run in
+    const { logChannelId, adminRoleId } = getReportingSettings(fields.guildId);
+    const adminChannel = await client.channels.fetch(logChannelId);
+    const adminMessage = await adminChannel.send({
+      ...renderTemplate('approvalRequired', DEFAULT_LOCALE, {
+        adminRoleId,
+        reason: quota.unavailable
+          ? 'Verification quota could not be checked'
+          : quota.guildLimited ? 'Daily limit for this server reached' : 'Verification limit reached',
+        discordId,
+        username,
+        ckey,
+        used: quota.used,
+        limit: quota.limit,
+        resetsAt: `<t:${Math.floor(quota.resetsAt / 1000)}:R>`,
+        verificationId: approvalId
+      }),
+      components: [buildApprovalButtons(approvalId)]
+    });
+
+    // Remember where the request was posted so it can be updated once handled
+    updateVerification(pendingVerifications, approvalId, {
+      adminChannelId: adminMessage.channelId,
+      adminMessageId: adminMessage.id
+    });
+
+    return { result: 'awaiting_approval', verificationId: approvalId, resetsAt: quota.resetsAt };
+  }
+
+  // Create iDenfy verification directly (normal flow)
+  const verification = await createIdenfyVerification(discordId, ckey, getUserLocale(discordId, fields.locale));
+  recordSession(discordId, verification.scanRef, fields.guildId);
+
+  enterState(verification.scanRef, VerificationState.SESSION_CREATED, {
+    scanRef: verification.scanRef,
+    clientId: verification.clientId,
+    sessionToken: verification.sessionToken,
+    sessionExpiresAt: verification.expiresAt
+  }, { actor: discordId });
+
+  return { result: 'session_created', verification };
+}
+
+/**
+ * What to tell the user once beginIdVerification has run
+ * @param {string} ckey
+ * @param {Awaited<ReturnType<typeof beginIdVerification>>} outcome
+ * @param {string} locale
+ * @returns {import("discord.js").MessageCreateOptions}
+ */
+function buildVerificationStartedMessage(ckey, outcome, locale) {
+  if (outcome.result === 'awaiting_approval') {
+    return {
+      content: t(locale, 'verify.awaitingApproval', { resetsAt: `<t:${Math.floor(outcome.resetsAt / 1000)}:R>` }),
+      embeds: [],
+      components: []
+    };
+  }
+
+  const { verification } = outcome;
+  return {
+    ...renderTemplate('verificationStarted', locale, {
       ckey,
-      userId: interaction.user.id,
-      username: interaction.user.username,
-      timestamp: Date.now(),
-      type: 'manual_approval_pending'
+      scanRef: verification.scanRef,
+      url: verification.verificationUrl,
+      linkExpires: `<t:${Math.floor(verification.expiresAt / 1000)}:R>`
+    }),
+    components: []
+  };
+}
+
+// Run beginIdVerification for a command or button and answer in its deferred reply
+async function startIdVerification(interaction, pendingVerifications, client, fields, verificationId) {
+  const locale = getUserLocale(fields.discordId, interaction.locale);
+  try {
+    const outcome = await beginIdVerification(pendingVerifications, client, fields, verificationId);
+    await interaction.editReply({ ...buildVerificationStartedMessage(fields.ckey, outcome, locale), ephemeral: true });
+  } catch (error) {
+    logger.error(`Failed to create verification session`, error);
+    await interaction.editReply({
+      content: t(locale, 'verify.sessionFailed'),
+      embeds: [],
+      components: [],
+      ephemeral: true
     });
+  }
+}
 
-    // Send to admin channel
-    const adminChannel = await client.channels.fetch(config.VERIFICATION_CHANNEL_ID);
-    const embed = new EmbedBuilder()
-      .setColor(0xFF6B6B)
-      .setTitle('Verification Approval Required')
-      .setDescription('Daily verification limit reached - Admin approval needed')
-      .addFields(
-        { name: 'Discord User', value: `<@${discordId}> (${interaction.user.username})`, inline: true },
-        { name: 'CKEY', value: ckey, inline: true },
-        { name: 'Verification ID', value: verificationId, inline: false }
-      )
-      .setTimestamp();
+/**
+ * Handle the Check profile button on an ownership challenge
+ * @param {import("discord.js").ButtonInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @returns
+ */
+async function handleOwnershipCheckButton(interaction, pendingVerifications, client) {
+  const [, , verificationId] = interaction.customId.split(':');
+  const challenge = pendingVerifications.get(verificationId);
+  const locale = getUserLocale(interaction.user.id, interaction.locale);
 
-    await adminChannel.send({
-      content: `<@&${config.ADMIN_ROLE_ID}>`,
-      embeds: [embed]
+  if (!challenge || challenge.discordId !== interaction.user.id || challenge.state !== VerificationState.BYOND_CHALLENGE) {
+    return await interaction.update({
+      content: t(locale, 'ownership.gone'),
+      embeds: [],
+      components: []
     });
+  }
 
-    return await interaction.editReply({
-      content: 'Daily verification limit reached. Your request has been sent to administrators for approval. You will receive a DM with your verification link once approved.',
+  if (isChallengeExpired(challenge)) {
+    transitionVerification(pendingVerifications, verificationId, VerificationState.EXPIRED, {
+      actor: interaction.user.id,
+      note: 'Ownership challenge timed out'
+    });
+    return await interaction.update({
+      content: t(locale, 'ownership.expired'),
+      embeds: [],
+      components: []
+    });
+  }
+
+  if (ownershipChecksInProgress.has(verificationId)) {
+    return await interaction.reply({
+      content: t(locale, 'ownership.checking'),
       ephemeral: true
     });
   }
 
-  // Create iDenfy verification directly (normal flow)
+  ownershipChecksInProgress.add(verificationId);
   try {
-    const verification = await createIdenfyVerification(discordId, ckey);
-    
-    pendingVerifications.set(verification.scanRef, {
-      discordId,
-      ckey,
-      userId: interaction.user.id,
-      username: interaction.user.username,
-      timestamp: Date.now(),
-      type: 'idenfy',
-      clientId: verification.clientId,
-      sessionToken: verification.sessionToken
+    await checkOwnershipAndBegin(interaction, pendingVerifications, client, verificationId, challenge, locale);
+  } finally {
+    ownershipChecksInProgress.delete(verificationId);
+  }
+}
+
+async function checkOwnershipAndBegin(interaction, pendingVerifications, client, verificationId, challenge, locale) {
+  await interaction.deferUpdate();
+
+  if (!challenge.byondVerifiedAt) {
+    const verifier = getOwnershipVerifier(challenge.ownershipMethod);
+    let passed;
+    try {
+      passed = await verifier.check(challenge.ckey, challenge.challengeCode);
+    } catch {
+      return await interaction.followUp({
+        content: t(locale, 'ownership.byondUnavailable'),
+        ephemeral: true
+      });
+    }
+
+    if (!passed) {
+      return await interaction.followUp({
+        content: t(locale, 'ownership.codeNotFound', { code: challenge.challengeCode }),
+        ephemeral: true
+      });
+    }
+
+    passOwnershipChallenge(pendingVerifications, verificationId, challenge.ownershipMethod);
+  }
+
+  await startIdVerification(interaction, pendingVerifications, client, challenge, verificationId);
+}
+
+/**
+ * Move an ownership challenge on once the game server has confirmed the code, and DM the user the result
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @param {string} verificationId
+ */
+async function continueAfterOwnershipCallback(pendingVerifications, client, verificationId) {
+  const challenge = passOwnershipChallenge(pendingVerifications, verificationId, 'callback');
+  const locale = getUserLocale(challenge.discordId, challenge.locale);
+
+  try {
+    const outcome = await beginIdVerification(pendingVerifications, client, challenge, verificationId);
+    await safeSendDM(client, challenge.discordId, buildVerificationStartedMessage(challenge.ckey, outcome, locale));
+  } catch (error) {
+    logger.error(`Failed to create verification session after ownership callback for ${verificationId}`, error);
+    await safeSendDM(client, challenge.discordId, {
+      content: t(locale, 'ownership.callbackSessionFailed', { ckey: challenge.ckey })
     });
+  }
+}
+
+/**
+ * Tell the user their iDenfy link expired, with a button to get a new one
+ * @param {string} verificationId
+ * @param {{ ckey: string }} verification
+ * @param {string} locale
+ * @returns {import("discord.js").InteractionEditReplyOptions}
+ */
+function buildLinkExpiredReply(verificationId, verification, locale) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${SESSION_BUTTON_PREFIX}:regenerate:${verificationId}`)
+      .setLabel(t(locale, 'resend.newLinkButton'))
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  return {
+    content: t(locale, 'resend.linkExpired', { ckey: verification.ckey }),
+    embeds: [],
+    components: [row]
+  };
+}
+
+// Replace an expired link and describe the outcome to the user
+async function regenerateForUser(pendingVerifications, verificationId, verification, actor, locale) {
+  let outcome;
+  try {
+    outcome = await regenerateSession(pendingVerifications, verificationId, actor);
+  } catch (error) {
+    logger.error(`Failed to regenerate verification session ${verificationId}`, error);
+    return { content: t(locale, 'resend.failed'), embeds: [], components: [] };
+  }
+
+  switch (outcome.result) {
+    case 'session_created':
+      return buildVerificationStartedMessage(verification.ckey, outcome, locale);
+    case 'in_use':
+      return { content: t(locale, 'resend.inUse'), embeds: [], components: [] };
+    case 'busy':
+      return { content: t(locale, 'resend.busy'), embeds: [], components: [] };
+    default:
+      return { content: t(locale, 'resend.nothingToReplace'), embeds: [], components: [] };
+  }
+}
+
+/**
+ * Handle /verify-resend: show the current iDenfy link again, or replace it if it has expired
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @returns
+ */
+async function handleVerifyResend(interaction, pendingVerifications) {
+  await interaction.deferReply({ ephemeral: true });
 
+  const discordId = interaction.user.id;
+  const locale = getUserLocale(discordId, interaction.locale);
+  const active = findActiveVerification(pendingVerifications, discordId);
+  const [verificationId, verification] = active ?? findLatestVerification(pendingVerifications, discordId) ?? [null, null];
+
+  if (active && verification.state === VerificationState.SESSION_CREATED && !isSessionExpired(verification)) {
     const embed = new EmbedBuilder()
-      .setColor(0x00FF00)
-      .setTitle('Verification Started')
-      .setDescription('Please complete the identity verification process using iDenfy')
+      .setColor(0x0099FF)
+      .setTitle(t(locale, 'resend.title'))
       .addFields(
-        { name: 'CKEY', value: ckey, inline: true },
-        { name: 'Status', value: 'Pending', inline: true },
-        { name: 'Scan Reference', value: verification.scanRef, inline: true }
+        { name: t(locale, 'field.ckey'), value: verification.ckey, inline: true },
+        { name: t(locale, 'field.scanRef'), value: verificationId, inline: true },
+        ...(verification.sessionExpiresAt
+          ? [{ name: t(locale, 'field.linkExpires'), value: `<t:${Math.floor(verification.sessionExpiresAt / 1000)}:R>`, inline: true }]
+          : [])
       )
-      .setFooter({ text: 'This link expires in 1 hour' })
       .setTimestamp();
 
-    await interaction.editReply({
-      content: `Please complete your verification here: ${verification.verificationUrl}`,
+    return await interaction.editReply({
+      content: t(locale, 'verify.linkContent', { url: getIdenfyVerificationUrl(verification.sessionToken) }),
       embeds: [embed],
       ephemeral: true
     });
-  } catch (error) {
-    logger.error(`Failed to create verification session`, error);
-    await interaction.editReply({
-      content: 'Failed to create verification session. Please try again later.',
+  }
+
+  if (canRegenerateSession(verification)) {
+    return await interaction.editReply({
+      ...await regenerateForUser(pendingVerifications, verificationId, verification, discordId, locale),
       ephemeral: true
     });
   }
+
+  return await interaction.editReply({
+    content: active ? t(locale, 'resend.notWaiting') : t(locale, 'resend.noLink'),
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle the Get a new link button offered for an expired iDenfy link
+ * @param {import("discord.js").ButtonInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @returns
+ */
+async function handleSessionButton(interaction, pendingVerifications) {
+  const [, , verificationId] = interaction.customId.split(':');
+  const verification = pendingVerifications.get(verificationId);
+  const locale = getUserLocale(interaction.user.id, interaction.locale);
+
+  if (!verification || verification.discordId !== interaction.user.id || !canRegenerateSession(verification)) {
+    return await interaction.update({
+      content: t(locale, 'resend.buttonGone'),
+      embeds: [],
+      components: []
+    });
+  }
+
+  await interaction.deferUpdate();
+  await interaction.editReply(await regenerateForUser(pendingVerifications, verificationId, verification, interaction.user.id, locale));
 }
 
 /**
@@ -154,49 +611,53 @@ async function handleManualApproval(verificationId, pendingVerifications, client
     throw new Error('Verification not found');
   }
 
-  if (pendingVerification.type !== 'manual_approval_pending') {
+  if (pendingVerification.state !== VerificationState.AWAITING_APPROVAL && pendingVerification.state !== VerificationState.QUEUED) {
     throw new Error('Verification is not awaiting manual approval');
   }
+  if (approvalsInProgress.has(verificationId)) {
+    throw new Error('Verification is already being approved');
+  }
 
   // Create iDenfy verification now that it's approved
+  approvalsInProgress.add(verificationId);
+  let verification;
+  let sessionStored = false;
   try {
-    const verification = await createIdenfyVerification(
+    const locale = getUserLocale(pendingVerification.discordId, pendingVerification.locale);
+    verification = await createIdenfyVerification(
       pendingVerification.discordId, 
-      pendingVerification.ckey
+      pendingVerification.ckey,
+      locale
     );
+    recordSession(pendingVerification.discordId, verification.scanRef, pendingVerification.guildId);
     
-    // Update the pending verification with iDenfy details
-    pendingVerifications.delete(verificationId); // Remove old entry
-    pendingVerifications.set(verification.scanRef, {
-      ...pendingVerification,
-      type: 'idenfy',
-      clientId: verification.clientId,
-      sessionToken: verification.sessionToken,
-      manuallyApproved: true,
-      approvedBy: adminUser.id,
-      approvedAt: Date.now()
+    // Update the pending verification with iDenfy details, re-keyed by scanRef
+    transitionVerification(pendingVerifications, verificationId, VerificationState.SESSION_CREATED, {
+      actor: adminUser.id,
+      note: 'Manually approved',
+      newKey: verification.scanRef,
+      patch: {
+        scanRef: verification.scanRef,
+        clientId: verification.clientId,
+        sessionToken: verification.sessionToken,
+        sessionExpiresAt: verification.expiresAt,
+        manuallyApproved: true,
+        approvedBy: adminUser.id,
+        approvedAt: Date.now()
+      }
     });
+    sessionStored = true;
 
     // Try to DM the user with their iDenfy link
     try {
       const user = await client.users.fetch(pendingVerification.discordId);
-      const embed = new EmbedBuilder()
-        .setColor(0x00FF00)
-        .setTitle('Verification Approved!')
-        .setDescription('Your verification has been approved by an administrator. Please complete the identity verification process using the link below.')
-        .addFields(
-          { name: 'CKEY', value: pendingVerification.ckey, inline: true },
-          { name: 'Status', value: 'Approved - Complete iDenfy', inline: true },
-          { name: 'Scan Reference', value: verification.scanRef, inline: true },
-          { name: 'Approved By', value: `${adminUser.username}`, inline: true }
-        )
-        .setFooter({ text: 'This link expires in 1 hour' })
-        .setTimestamp();
-
-      await user.send({
-        content: `Your verification has been approved! Please complete your verification here: ${verification.verificationUrl}`,
-        embeds: [embed]
-      });
+      await user.send(renderTemplate('verificationApproved', locale, {
+        ckey: pendingVerification.ckey,
+        scanRef: verification.scanRef,
+        url: verification.verificationUrl,
+        approvedBy: adminUser.username,
+        linkExpires: `<t:${Math.floor(verification.expiresAt / 1000)}:R>`
+      }));
 
       logger.info(`Successfully sent iDenfy link to user ${pendingVerification.username} (${pendingVerification.discordId})`);
     } catch (dmError) {
@@ -204,7 +665,7 @@ async function handleManualApproval(verificationId, pendingVerifications, client
       
       // Try to post in verification channel as fallback
       try {
-        const verificationChannel = await client.channels.fetch(config.VERIFICATION_CHANNEL_ID);
+        const verificationChannel = await client.channels.fetch(getReportingSettings(pendingVerification.guildId).logChannelId);
         const fallbackEmbed = new EmbedBuilder()
           .setColor(0xFFAA00)
           .setTitle('⚠️ Unable to DM User - Manual Contact Required')
@@ -234,93 +695,466 @@ async function handleManualApproval(verificationId, pendingVerifications, client
     };
   } catch (error) {
     logger.error('Failed to create iDenfy verification after approval:', error);
+    // The session was created but never stored, so nothing else would delete it or give back its quota
+    if (verification && !sessionStored) {
+      enqueueDeletion(verification.scanRef, { discordId: pendingVerification.discordId, verificationKey: verificationId, requestedBy: adminUser.id });
+      refundSession(verification.scanRef);
+    }
     throw error;
+  } finally {
+    approvalsInProgress.delete(verificationId);
   }
 }
 
 /**
- * Handle /verify-debug command
- * @param {import("discord.js").ChatInputCommandInteraction} interaction 
+ * Whether the member behind an interaction may approve or deny a verification. A guild's own admins may handle
+ * requests started in their guild; anything else needs a global admin.
+ * @param {import("discord.js").Interaction} interaction
+ * @param {{ guildId?: string } | undefined} pendingVerification
+ * @returns {boolean}
+ */
+function canHandleApproval(interaction, pendingVerification) {
+  return isGlobalAdmin(interaction) || (isGuildAdmin(interaction) && pendingVerification?.guildId === interaction.guildId);
+}
+
+/**
+ * Handle the Approve / Deny / Approve tomorrow buttons on an admin approval request
+ * @param {import("discord.js").ButtonInteraction} interaction 
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications 
+ * @param {import("discord.js").Client} client 
  * @returns 
  */
-async function handleDebugVerify(interaction) {
-  // Check if user is admin
-  if (!interaction.member.roles.cache.has(config.ADMIN_ROLE_ID)) {
+async function handleApprovalButton(interaction, pendingVerifications, client) {
+  const [, action, verificationId] = interaction.customId.split(':');
+  const pendingVerification = pendingVerifications.get(verificationId);
+
+  if (!canHandleApproval(interaction, pendingVerification)) {
     return await interaction.reply({
       content: 'You do not have permission to use this command.',
       ephemeral: true
     });
   }
 
-  await interaction.deferReply({ ephemeral: true });
+  if (!pendingVerification || ![VerificationState.AWAITING_APPROVAL, VerificationState.QUEUED].includes(pendingVerification.state)) {
+    await interaction.update({ components: [] });
+    return await interaction.followUp({
+      content: 'This verification request has already been handled or no longer exists.',
+      ephemeral: true
+    });
+  }
 
-  const ckey = interaction.options.getString('ckey');
-  const discordId = interaction.user.id;
+  switch (action) {
+    case 'approve': {
+      await interaction.deferUpdate();
 
-  try {
-    const result = await submitVerification(discordId, ckey, true);
-    
-    const embed = new EmbedBuilder()
-      .setColor(0xFFFF00)
-      .setTitle('Debug Verification Complete')
-      .setDescription('Verification added in debug mode')
-      .addFields(
-        { name: 'Discord ID', value: discordId, inline: true },
-        { name: 'CKEY', value: ckey, inline: true },
-        { name: 'Mode', value: 'DEBUG', inline: true }
-      )
-      .setTimestamp();
+      try {
+        const result = await handleManualApproval(verificationId, pendingVerifications, client, interaction.user);
+        logger.info(`Verification ${verificationId} approved by ${interaction.user.username} (${interaction.user.id})`);
+        // The approval message below is edited to show this, so it isn't posted again
+        await logAdminAction(client, interaction, 'Approve', [
+          { name: 'Target', value: `<@${pendingVerification.discordId}> (${pendingVerification.username})`, inline: true },
+          { name: 'Scan Reference', value: result.scanRef, inline: true }
+        ], 0x00FF00, {
+          target: pendingVerification.discordId,
+          ckey: pendingVerification.ckey,
+          scanRef: result.scanRef,
+          before: pendingVerification.state,
+          after: VerificationState.SESSION_CREATED,
+          mirror: false
+        });
 
-    await interaction.editReply({
-      embeds: [embed],
+        await interaction.editReply({
+          embeds: [buildResolvedApprovalEmbed(interaction.message, {
+            color: 0x00FF00,
+            status: 'Approved ✅',
+            actor: interaction.user,
+            fields: [{ name: 'Scan Reference', value: result.scanRef, inline: false }]
+          })],
+          components: []
+        });
+      } catch (error) {
+        logger.error(`Failed to approve verification ${verificationId}:`, error);
+        await interaction.followUp({
+          content: `Failed to approve verification: ${error.message}`,
+          ephemeral: true
+        });
+      }
+      return;
+    }
+    case 'tomorrow': {
+      if (pendingVerification.state === VerificationState.QUEUED) {
+        return await interaction.reply({
+          content: 'This verification is already scheduled for approval.',
+          ephemeral: true
+        });
+      }
+
+      const scheduledApprovalAt = getNextQuotaReset();
+      transitionVerification(pendingVerifications, verificationId, VerificationState.QUEUED, {
+        actor: interaction.user.id,
+        note: 'Approve tomorrow',
+        patch: {
+          scheduledApprovalAt,
+          scheduledBy: interaction.user.id,
+          scheduledByUsername: interaction.user.username
+        }
+      });
+      logger.info(`Verification ${verificationId} scheduled for approval at ${new Date(scheduledApprovalAt).toISOString()} by ${interaction.user.username}`);
+      await logAdminAction(client, interaction, 'Approve Tomorrow', [
+        { name: 'Target', value: `<@${pendingVerification.discordId}> (${pendingVerification.username})`, inline: true },
+        { name: 'Approves At', value: `<t:${Math.floor(scheduledApprovalAt / 1000)}:f>`, inline: true }
+      ], 0xFFAA00, {
+        target: pendingVerification.discordId,
+        ckey: pendingVerification.ckey,
+        scanRef: verificationId,
+        before: pendingVerification.state,
+        after: VerificationState.QUEUED,
+        mirror: false
+      });
+
+      return await interaction.update({
+        embeds: [buildResolvedApprovalEmbed(interaction.message, {
+          color: 0xFFAA00,
+          status: 'Scheduled for approval ⏳',
+          actor: interaction.user,
+          fields: [{ name: 'Approves At', value: `<t:${Math.floor(scheduledApprovalAt / 1000)}:f>`, inline: false }]
+        })],
+        // Keep Approve / Deny available so another admin can still act before the reset
+        components: [buildApprovalButtons(verificationId, { includeSchedule: false })]
+      });
+    }
+    case 'deny': {
+      const modal = new ModalBuilder()
+        .setCustomId(`${APPROVAL_DENY_MODAL_PREFIX}:${verificationId}`)
+        .setTitle('Deny Verification')
+        .addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('reason')
+              .setLabel('Reason (sent to the user)')
+              .setStyle(TextInputStyle.Paragraph)
+              .setRequired(true)
+              .setMaxLength(1000)
+          )
+        );
+
+      return await interaction.showModal(modal);
+    }
+    default:
+      logger.warn(`Unknown manual approval action: ${action}`);
+  }
+}
+
+/**
+ * Handle the deny reason modal submitted from an admin approval request
+ * @param {import("discord.js").ModalSubmitInteraction} interaction 
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications 
+ * @param {import("discord.js").Client} client 
+ * @returns 
+ */
+async function handleApprovalDenyModal(interaction, pendingVerifications, client) {
+  const [, verificationId] = interaction.customId.split(':');
+  const reason = interaction.fields.getTextInputValue('reason');
+  const pendingVerification = pendingVerifications.get(verificationId);
+
+  if (!canHandleApproval(interaction, pendingVerification)) {
+    return await interaction.reply({
+      content: 'You do not have permission to use this command.',
+      ephemeral: true
+    });
+  }
+
+  if (!pendingVerification || ![VerificationState.AWAITING_APPROVAL, VerificationState.QUEUED].includes(pendingVerification.state)) {
+    return await interaction.reply({
+      content: 'This verification request has already been handled or no longer exists.',
+      ephemeral: true
+    });
+  }
+  if (approvalsInProgress.has(verificationId)) {
+    return await interaction.reply({
+      content: 'This verification is being approved right now, so it can\'t be denied.',
+      ephemeral: true
+    });
+  }
+
+  transitionVerification(pendingVerifications, verificationId, VerificationState.DENIED, {
+    actor: interaction.user.id,
+    note: reason
+  });
+  logger.info(`Verification ${verificationId} denied by ${interaction.user.username} (${interaction.user.id}): ${reason}`);
+
+  const locale = getUserLocale(pendingVerification.discordId, pendingVerification.locale);
+  const userNotified = await safeSendDM(client, pendingVerification.discordId,
+    renderTemplate('verificationDenied', locale, { ckey: pendingVerification.ckey, reason }));
+
+  await logAdminAction(client, interaction, 'Deny', [
+    { name: 'Target', value: `<@${pendingVerification.discordId}> (${pendingVerification.username})`, inline: true },
+    { name: 'User Notified', value: userNotified ? 'Yes' : 'No - DM failed', inline: true },
+    { name: 'Reason', value: reason, inline: false }
+  ], 0xFF0000, {
+    target: pendingVerification.discordId,
+    ckey: pendingVerification.ckey,
+    scanRef: verificationId,
+    before: pendingVerification.state,
+    after: VerificationState.DENIED,
+    note: reason,
+    mirror: false
+  });
+
+  const resolvedEmbed = buildResolvedApprovalEmbed(interaction.message, {
+    color: 0xFF0000,
+    status: 'Denied ❌',
+    actor: interaction.user,
+    fields: [
+      { name: 'Reason', value: reason, inline: false },
+      { name: 'User Notified', value: userNotified ? 'Yes' : 'No - DM failed', inline: true }
+    ]
+  });
+
+  if (interaction.isFromMessage()) {
+    return await interaction.update({ embeds: [resolvedEmbed], components: [] });
+  }
+
+  await interaction.reply({ embeds: [resolvedEmbed] });
+}
+
+/**
+ * Approve every queued request whose "Approve tomorrow" time has passed
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications 
+ * @param {import("discord.js").Client} client 
+ */
+async function processScheduledApprovals(pendingVerifications, client) {
+  const now = Date.now();
+
+  for (const [verificationId, verification] of Array.from(pendingVerifications.entries())) {
+    if (verification.state !== VerificationState.QUEUED || !verification.scheduledApprovalAt || verification.scheduledApprovalAt > now) {
+      continue;
+    }
+    // An admin is approving it right now
+    if (approvalsInProgress.has(verificationId)) {
+      continue;
+    }
+
+    const approver = { id: verification.scheduledBy, username: verification.scheduledByUsername };
+
+    try {
+      const result = await handleManualApproval(verificationId, pendingVerifications, client, approver);
+      logger.info(`Processed scheduled approval for ${verificationId} (scheduled by ${approver.username})`);
+
+      // Update the original admin message if we still know where it is
+      if (verification.adminChannelId && verification.adminMessageId) {
+        try {
+          const channel = await client.channels.fetch(verification.adminChannelId);
+          const message = await channel.messages.fetch(verification.adminMessageId);
+          await message.edit({
+            embeds: [buildResolvedApprovalEmbed(message, {
+              color: 0x00FF00,
+              status: 'Approved (scheduled) ✅',
+              actor: approver,
+              fields: [{ name: 'Scan Reference', value: result.scanRef, inline: false }]
+            })],
+            components: []
+          });
+        } catch (editError) {
+          logger.error(`Failed to update admin message for scheduled approval ${verificationId}:`, editError);
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to process scheduled approval for ${verificationId}:`, error);
+      await rescheduleFailedApproval(pendingVerifications, client, verificationId, error);
+    }
+  }
+}
+
+/**
+ * Retry a failed scheduled approval later, or give up and hand it back to the admins
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @param {string} verificationId
+ * @param {Error} error
+ */
+async function rescheduleFailedApproval(pendingVerifications, client, verificationId, error) {
+  const verification = pendingVerifications.get(verificationId);
+  if (verification?.state !== VerificationState.QUEUED) {
+    return;
+  }
+
+  const attempts = (verification.scheduledApprovalAttempts ?? 0) + 1;
+  if (attempts < SCHEDULED_APPROVAL_MAX_ATTEMPTS) {
+    updateVerification(pendingVerifications, verificationId, {
+      scheduledApprovalAttempts: attempts,
+      scheduledApprovalAt: Date.now() + SCHEDULED_APPROVAL_RETRY_DELAY * 2 ** (attempts - 1)
+    });
+    return;
+  }
+
+  // Approve / Deny stay on the request message, so an admin can retry once the problem is fixed
+  updateVerification(pendingVerifications, verificationId, { scheduledApprovalAttempts: attempts, scheduledApprovalAt: null });
+  logger.warn(`Gave up on scheduled approval for ${verificationId} after ${attempts} attempts`);
+
+  const { logChannelId, adminRoleId } = getReportingSettings(verification.guildId);
+  const alert = new EmbedBuilder()
+    .setColor(0xFF0000)
+    .setTitle('Scheduled Approval Failed')
+    .setDescription(`The scheduled approval failed ${attempts} times and won't be retried. Use Approve or Deny on the original request.`)
+    .addFields(
+      { name: 'User', value: `<@${verification.discordId}> (${verification.username})`, inline: true },
+      { name: 'CKEY', value: verification.ckey, inline: true },
+      { name: 'Last Error', value: error.message.slice(0, 1024), inline: false }
+    )
+    .setTimestamp();
+  if (verification.adminChannelId) {
+    alert.addFields({ name: 'Request Posted In', value: `<#${verification.adminChannelId}>`, inline: false });
+  }
+
+  await sendToVerificationChannel(client, { ...(adminRoleId && { content: `<@&${adminRoleId}>` }), embeds: [alert] }, logChannelId);
+}
+
+/**
+ * Handle /verify-debug command
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction 
+ * @param {import("discord.js").Client} client 
+ * @returns 
+ */
+async function handleDebugVerify(interaction, client) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const ckey = canonicalizeCkey(interaction.options.getString('ckey'));
+  const targetUser = interaction.options.getUser('user') ?? interaction.user;
+  const reason = interaction.options.getString('reason');
+  const discordId = targetUser.id;
+  const admin = interaction.user;
+
+  const ckeyProblem = validateCkey(ckey);
+  if (ckeyProblem) {
+    return await interaction.editReply({
+      content: `Invalid ckey: ${t(DEFAULT_LOCALE, `ckey.${ckeyProblem}`)}`,
       ephemeral: true
     });
+  }
+
+  try {
+    await submitVerification(discordId, ckey, true, undefined, admin.id);
+    logger.info(`Debug verification for ${targetUser.username} (${discordId}) with ckey ${ckey} by ${admin.username} (${admin.id})${reason ? `: ${reason}` : ''}`);
   } catch (error) {
-    await interaction.editReply({
+    return await interaction.editReply({
       content: `Failed to create debug verification: ${error.message}`,
       ephemeral: true
     });
   }
+
+  // Same follow-up as a successful iDenfy verification: role, then DM (both non-critical)
+  let roleResult = 'Not assigned';
+  try {
+    const stored = await getExistingVerification(discordId);
+    const added = await addVerifiedRoles(client, discordId, stored?.verified_flags, `Debug verified by ${admin.username}`);
+    roleResult = formatRoles(added, 'Already assigned or not in server');
+  } catch (roleError) {
+    logger.error('Failed to assign verified roles (continuing anyway):', roleError.message);
+    roleResult = `Failed: ${roleError.message}`;
+  }
+
+  let userNotified = false;
+  if (discordId !== admin.id) {
+    const locale = getUserLocale(discordId);
+    const dmEmbed = new EmbedBuilder()
+      .setColor(0x00FF00)
+      .setTitle(t(locale, 'dm.verified.title'))
+      .setDescription(t(locale, 'dm.debugVerified.description'))
+      .addFields(
+        { name: t(locale, 'field.ckey'), value: ckey, inline: true },
+        { name: t(locale, 'field.status'), value: t(locale, 'status.verified'), inline: true },
+        ...(reason ? [{ name: t(locale, 'dm.debugVerified.note'), value: reason, inline: false }] : [])
+      )
+      .setTimestamp();
+
+    userNotified = await safeSendDM(client, discordId, { embeds: [dmEmbed] });
+  }
+
+  const fields = [
+    { name: 'Discord User', value: `<@${discordId}> (${targetUser.username})`, inline: true },
+    { name: 'CKEY', value: ckey, inline: true },
+    { name: 'Mode', value: 'DEBUG', inline: true },
+    { name: 'Verified By', value: `<@${admin.id}>`, inline: true },
+    { name: 'Roles', value: roleResult, inline: true },
+    { name: 'User Notified', value: discordId === admin.id ? 'N/A' : userNotified ? 'Yes' : 'No - DM failed', inline: true },
+    ...(reason ? [{ name: 'Reason', value: reason, inline: false }] : [])
+  ];
+
+  await logAdminAction(client, interaction, 'Debug Verify', fields, 0xFFFF00, {
+    target: discordId,
+    ckey,
+    ...(reason && { note: reason })
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0xFFFF00)
+    .setTitle('Debug Verification Complete')
+    .setDescription('Verification added in debug mode')
+    .addFields(fields)
+    .setTimestamp();
+
+  await interaction.editReply({
+    embeds: [embed],
+    ephemeral: true
+  });
 }
 
 /**
  * @function handleCheckVerification
  * @param {import('discord.js').CommandInteraction} interaction - The Discord interaction object representing the user's command.
  * @param {Map<string, Object>} pendingVerifications - A map of pending verification references to their associated verification data.
+ * @param {import('discord.js').Client} client
  * @returns {Promise<void>}
  */
-async function handleCheckVerification(interaction, pendingVerifications) {
+async function handleCheckVerification(interaction, pendingVerifications, client) {
   await interaction.deferReply({ ephemeral: true });
 
   const user = interaction.user;
   const discordId = user.id;
+  const locale = getUserLocale(discordId, interaction.locale);
 
   try {
-    let pending = null;
-    let actualScanRef = null;
-
-    // Find the caller's pending verification
-    for (const [ref, verification] of pendingVerifications.entries()) {
-      if (verification.discordId === discordId) {
-        pending = verification;
-        actualScanRef = ref;
-        break;
-      }
-    }
+    // Find the caller's verification that is still in progress
+    const [actualScanRef, pending] = findActiveVerification(pendingVerifications, discordId) ?? [null, null];
 
-    // If nothing pending, see if they are already verified
+    // If nothing pending, show a recent failure or see if they are already verified
     if (!pending) {
+      const [latestRef, latest] = findLatestVerification(pendingVerifications, discordId) ?? [null, null];
+      if (latest && (latest.state === VerificationState.DENIED || latest.state === VerificationState.EXPIRED ||
+          (latest.state === VerificationState.DATA_DELETED && !latest.history?.some(entry => entry.state === VerificationState.SUBMITTED)))) {
+        const embed = new EmbedBuilder()
+          .setColor(0xFF0000)
+          .setTitle(t(locale, 'check.notCompleted'))
+          .addFields(
+            { name: t(locale, 'field.discordUser'), value: `<@${discordId}> (${user.username})`, inline: true },
+            { name: t(locale, 'field.ckey'), value: latest.ckey, inline: true },
+            { name: t(locale, 'field.reference'), value: latestRef, inline: true },
+            { name: t(locale, 'field.history'), value: formatVerificationHistory(latest), inline: false },
+            {
+              name: t(locale, 'field.nextAttempt'),
+              value: canRegenerateSession(latest)
+                ? t(locale, 'dm.linkExpired.description')
+                : formatNextAttempt(getUserQuota(discordId), locale),
+              inline: false
+            }
+          )
+          .setTimestamp();
+
+        return interaction.editReply({ embeds: [embed], ephemeral: true });
+      }
+
       try {
         const existing = await getExistingVerification(discordId);
         if (existing) {
           const embed = new EmbedBuilder()
             .setColor(0x00FF00)
-            .setTitle('You Are Already Verified')
+            .setTitle(t(locale, 'check.alreadyVerified'))
             .addFields(
-              { name: 'Discord User', value: `<@${discordId}> (${user.username})`, inline: true },
-              { name: 'CKEY', value: existing.ckey, inline: true },
-              { name: 'Status', value: 'Completed ✅', inline: true },
-              { name: 'Method', value: existing.verification_method || 'Unknown', inline: true }
+              { name: t(locale, 'field.discordUser'), value: `<@${discordId}> (${user.username})`, inline: true },
+              { name: t(locale, 'field.ckey'), value: existing.ckey, inline: true },
+              { name: t(locale, 'field.status'), value: t(locale, 'status.completed'), inline: true },
+              { name: t(locale, 'field.method'), value: existing.verification_method || t(locale, 'common.unknown'), inline: true }
             )
             .setTimestamp();
 
@@ -332,48 +1166,70 @@ async function handleCheckVerification(interaction, pendingVerifications) {
       }
 
       return interaction.editReply({
-        content: 'No pending or completed verification found for you.',
+        content: t(locale, 'check.nothingFound'),
         ephemeral: true
       });
     }
 
-    // Handle manual approval pending state
-    if (pending.type === 'manual_approval_pending') {
+    // Still proving BYOND account ownership
+    if (pending.state === VerificationState.BYOND_CHALLENGE) {
+      if (pending.byondVerifiedAt) {
+        return interaction.editReply({
+          content: t(locale, 'check.ownershipConfirmed', { ckey: pending.ckey }),
+          ephemeral: true
+        });
+      }
+      return interaction.editReply({ ...buildOwnershipChallengeReply(actualScanRef, pending, locale), ephemeral: true });
+    }
+
+    // Handle manual approval pending states
+    if (pending.state === VerificationState.AWAITING_APPROVAL || pending.state === VerificationState.QUEUED) {
+      const queued = pending.state === VerificationState.QUEUED;
       const embed = new EmbedBuilder()
         .setColor(0xFFFF00)
-        .setTitle('Manual Approval - Awaiting Admin Review')
-        .setDescription('Your verification is waiting for administrator approval due to daily limits.')
+        .setTitle(queued ? t(locale, 'check.scheduled.title') : t(locale, 'check.awaitingApproval.title'))
+        .setDescription(queued ? t(locale, 'check.scheduled.description') : t(locale, 'check.awaitingApproval.description'))
         .addFields(
-          { name: 'Discord User', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
-          { name: 'CKEY', value: pending.ckey, inline: true },
-          { name: 'Status', value: 'Awaiting Admin Approval ⏳', inline: true },
-          { name: 'Verification ID', value: actualScanRef, inline: true },
-          { name: 'Submitted At', value: new Date(pending.timestamp).toLocaleString(), inline: true },
-          { name: 'Next Step', value: 'You will receive a DM with your iDenfy link after approval', inline: false }
+          { name: t(locale, 'field.discordUser'), value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+          { name: t(locale, 'field.ckey'), value: pending.ckey, inline: true },
+          { name: t(locale, 'field.status'), value: queued ? t(locale, 'check.scheduled.status') : t(locale, 'check.awaitingApproval.status'), inline: true },
+          { name: t(locale, 'field.verificationId'), value: actualScanRef, inline: true },
+          { name: t(locale, 'field.submittedAt'), value: `<t:${Math.floor(pending.timestamp / 1000)}:f>`, inline: true },
+          ...(queued && pending.scheduledApprovalAt
+            ? [{ name: t(locale, 'check.scheduled.startsAt'), value: `<t:${Math.floor(pending.scheduledApprovalAt / 1000)}:f>`, inline: true }]
+            : []),
+          { name: t(locale, 'check.nextStep'), value: t(locale, 'check.nextStepValue'), inline: false }
         )
         .setTimestamp();
 
       return interaction.editReply({ embeds: [embed], ephemeral: true });
     }
 
-    // Legacy manual approval flow (immediate submission)
-    if (pending.type === 'manual_approval') {
+    // Legacy manual approval flow (immediate submission, no iDenfy session)
+    if (pending.state === VerificationState.APPROVED && !pending.sessionToken) {
+      // Checked here too, since nothing else checks a legacy approval before it is saved
+      const conflict = await findCkeyConflictOrWarn(pendingVerifications, actualScanRef, pending);
+      if (conflict) {
+        await holdForConflictReview(client, pendingVerifications, actualScanRef, pending, [conflict], { actor: discordId, notifyUser: false });
+        return interaction.editReply({ ...renderTemplate('verificationHeld', locale, { ckey: pending.ckey, scanRef: actualScanRef }), ephemeral: true });
+      }
+
       try {
-        const result = await submitVerification(pending.discordId, pending.ckey, false, actualScanRef);
+        await submitVerification(pending.discordId, pending.ckey, false, actualScanRef, undefined, Boolean(pending.byondVerifiedAt));
 
-        // Remove from pending after submit
-        pendingVerifications.delete(actualScanRef);
+        transitionVerification(pendingVerifications, actualScanRef, VerificationState.SUBMITTED, { actor: discordId });
+        resetUserAttempts(pending.discordId);
 
         const embed = new EmbedBuilder()
           .setColor(0x00FF00)
-          .setTitle('Manual Approval Verification - SUBMITTED')
+          .setTitle(t(locale, 'check.legacy.submittedTitle'))
           .addFields(
-            { name: 'Discord User', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
-            { name: 'CKEY', value: pending.ckey, inline: true },
-            { name: 'Status', value: 'Successfully Submitted ✅', inline: true },
-            { name: 'Verification ID', value: actualScanRef, inline: true },
-            { name: 'Method', value: 'Manual Approval', inline: true },
-            { name: 'Submitted At', value: new Date().toLocaleString(), inline: true }
+            { name: t(locale, 'field.discordUser'), value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+            { name: t(locale, 'field.ckey'), value: pending.ckey, inline: true },
+            { name: t(locale, 'field.status'), value: t(locale, 'check.legacy.submittedStatus'), inline: true },
+            { name: t(locale, 'field.verificationId'), value: actualScanRef, inline: true },
+            { name: t(locale, 'field.method'), value: t(locale, 'check.legacy.method'), inline: true },
+            { name: t(locale, 'field.submittedAt'), value: `<t:${Math.floor(Date.now() / 1000)}:f>`, inline: true }
           )
           .setTimestamp();
 
@@ -381,12 +1237,12 @@ async function handleCheckVerification(interaction, pendingVerifications) {
       } catch (error) {
         const embed = new EmbedBuilder()
           .setColor(0xFF0000)
-          .setTitle('Manual Approval Verification - FAILED')
+          .setTitle(t(locale, 'check.legacy.failedTitle'))
           .addFields(
-            { name: 'Discord User', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
-            { name: 'CKEY', value: pending.ckey, inline: true },
-            { name: 'Status', value: 'Submission Failed ❌', inline: true },
-            { name: 'Error', value: error.message || 'Unknown error', inline: false }
+            { name: t(locale, 'field.discordUser'), value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+            { name: t(locale, 'field.ckey'), value: pending.ckey, inline: true },
+            { name: t(locale, 'field.status'), value: t(locale, 'check.legacy.failedStatus'), inline: true },
+            { name: t(locale, 'field.error'), value: error.message || t(locale, 'common.unknownError'), inline: false }
           )
           .setTimestamp();
 
@@ -397,7 +1253,7 @@ async function handleCheckVerification(interaction, pendingVerifications) {
     // From here it's iDenfy-style flow; we need a scan ref
     if (!actualScanRef) {
       return interaction.editReply({
-        content: 'Pending verification found but no scan reference is associated with it yet.',
+        content: t(locale, 'check.noScanRef'),
         ephemeral: true
       });
     }
@@ -405,103 +1261,92 @@ async function handleCheckVerification(interaction, pendingVerifications) {
     const status = await getIdenfyVerificationStatus(actualScanRef);
 
     const embed = new EmbedBuilder()
-      .setTitle('iDenfy Verification Status')
+      .setTitle(t(locale, 'check.status.title'))
       .addFields(
-        { name: 'Scan Reference', value: actualScanRef, inline: true },
-        { name: 'Status', value: status?.status || 'Unknown', inline: true },
-        { name: 'Final', value: status?.final ? 'Yes' : 'No', inline: true }
+        { name: t(locale, 'field.scanRef'), value: actualScanRef, inline: true },
+        { name: t(locale, 'field.status'), value: status?.status || t(locale, 'common.unknown'), inline: true },
+        { name: t(locale, 'check.status.final'), value: status?.final ? t(locale, 'common.yes') : t(locale, 'common.no'), inline: true }
       );
 
     // Add pending info
     embed.addFields(
-      { name: 'Discord User', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
-      { name: 'CKEY', value: pending.ckey, inline: true },
-      { name: 'Created', value: new Date(pending.timestamp).toLocaleString(), inline: true }
+      { name: t(locale, 'field.discordUser'), value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+      { name: t(locale, 'field.ckey'), value: pending.ckey, inline: true },
+      { name: t(locale, 'field.created'), value: `<t:${Math.floor(pending.timestamp / 1000)}:f>`, inline: true },
+      { name: t(locale, 'field.state'), value: pending.state, inline: true }
     );
 
+    if (pending.state === VerificationState.SESSION_CREATED && pending.sessionExpiresAt) {
+      embed.addFields({
+        name: t(locale, 'field.linkExpires'),
+        value: isSessionExpired(pending) ? t(locale, 'check.status.linkExpired') : `<t:${Math.floor(pending.sessionExpiresAt / 1000)}:R>`,
+        inline: true
+      });
+    }
+
     // Show if this was manually approved
     if (pending.manuallyApproved) {
-      embed.addFields({ name: 'Approval Method', value: 'Manually Approved by Admin', inline: true });
+      embed.addFields({ name: t(locale, 'check.status.approvalMethod'), value: t(locale, 'check.status.manuallyApproved'), inline: true });
       if (pending.approvedBy && pending.approvedAt) {
         embed.addFields(
-          { name: 'Approved By', value: `<@${pending.approvedBy}>`, inline: true },
-          { name: 'Approved At', value: new Date(pending.approvedAt).toLocaleString(), inline: true }
+          { name: t(locale, 'dm.approved.approvedBy'), value: `<@${pending.approvedBy}>`, inline: true },
+          { name: t(locale, 'check.status.approvedAt'), value: `<t:${Math.floor(pending.approvedAt / 1000)}:f>`, inline: true }
         );
       }
     }
 
     if (status?.reasonCode) {
-      embed.addFields({ name: 'Reason Code', value: String(status.reasonCode), inline: true });
+      embed.addFields({ name: t(locale, 'check.status.reasonCode'), value: String(status.reasonCode), inline: true });
     }
     if (status?.additionalSteps) {
-      embed.addFields({ name: 'Additional Steps', value: '```json\n' + JSON.stringify(status.additionalSteps, null, 2) + '\n```', inline: false });
+      embed.addFields({ name: t(locale, 'check.status.additionalSteps'), value: '```json\n' + JSON.stringify(status.additionalSteps, null, 2) + '\n```', inline: false });
     }
 
-    // If approved, submit and delete iDenfy data
-    if (status?.status === 'APPROVED') {
-      try {
-        const result = await submitVerification(pending.discordId, pending.ckey, false, actualScanRef);
-
-        pendingVerifications.delete(actualScanRef);
+    // Final results complete the verification the same way the webhook does
+    const result = resultFromStatusResponse(status);
+    const outcome = result
+      ? await processIdenfyResult(client, pendingVerifications, actualScanRef, result, { actor: discordId, note: 'iDenfy status check', notifyUser: false })
+      : { result: 'pending' };
 
+    switch (outcome.result) {
+      case 'submitted':
         embed.setColor(0x00FF00);
         embed.addFields(
-          { name: 'Action Taken', value: 'Verification Submitted ✅', inline: true },
-          { name: 'Submitted At', value: new Date().toLocaleString(), inline: true }
+          { name: t(locale, 'check.action'), value: t(locale, 'check.action.submitted'), inline: true },
+          { name: t(locale, 'field.submittedAt'), value: `<t:${Math.floor(Date.now() / 1000)}:f>`, inline: true },
+          { name: t(locale, 'check.roleAssigned'), value: formatRoles(outcome.rolesAssigned, t(locale, 'check.roleNotAssigned')), inline: true },
+          { name: t(locale, 'field.dataDeletion'), value: t(locale, 'common.deletionScheduled'), inline: true }
         );
-
-        try {
-          await deleteIdenfyData(actualScanRef);
-          embed.addFields({ name: 'Data Deletion', value: 'iDenfy data deleted ✅', inline: true });
-        } catch (deleteError) {
-          embed.addFields(
-            { name: 'Data Deletion', value: 'Failed to delete iDenfy data ⚠️', inline: true },
-            { name: 'Deletion Error', value: deleteError.message || 'Unknown error', inline: false }
-          );
-        }
-
-        // Assign verified role
-        try {
-          const guild = interaction.guild;
-          const member = await guild.members.fetch(pending.discordId);
-          const verifiedRoleId = config.VERIFIED_ROLE_ID;
-          if (verifiedRoleId && member && !member.roles.cache.has(verifiedRoleId)) {
-            await member.roles.add(verifiedRoleId, 'User verified with iDenfy');
-            embed.addFields({ name: 'Role Assigned', value: `<@&${verifiedRoleId}>`, inline: true });
-          }
-        } catch (roleError) {
-          embed.addFields({ name: 'Role Assignment Error', value: roleError.message || 'Failed to assign role', inline: false });
-        }
-      } catch (error) {
-        embed.setColor(0xFF8800);
-        embed.addFields({ name: 'Submission Error', value: error.message || 'Unknown error', inline: false });
-      }
-    } else if (status?.final && status?.status === 'DENIED') {
-      embed.setColor(0xFF0000);
-
-      // Remove from pending since it's final denied
-      pendingVerifications.delete(actualScanRef);
-      embed.addFields({ name: 'Action Taken', value: 'Removed from pending (denied)', inline: true });
-
-      try {
-        await deleteIdenfyData(actualScanRef);
-        embed.addFields({ name: 'Data Deletion', value: 'iDenfy data deleted ✅', inline: true });
-      } catch (deleteError) {
+        break;
+      case 'failed':
+        embed.setColor(0xFF0000);
         embed.addFields(
-          { name: 'Data Deletion', value: 'Failed to delete iDenfy data ⚠️', inline: true },
-          { name: 'Deletion Error', value: deleteError.message || 'Unknown error', inline: false }
+          { name: t(locale, 'check.action'), value: t(locale, 'check.action.marked', { state: outcome.verification.state }), inline: true },
+          { name: t(locale, 'field.reason'), value: outcome.failureReason, inline: true },
+          { name: t(locale, 'field.dataDeletion'), value: t(locale, 'common.deletionScheduled'), inline: true }
         );
-      }
-    } else if (!status?.final) {
-      embed.setColor(0xFFFF00); // in progress
-    } else {
-      embed.setColor(0xFF8800); // other terminal state
+        break;
+      case 'held':
+        embed.setColor(0xFFAA00);
+        embed.addFields({ name: t(locale, 'check.action'), value: t(locale, 'check.action.held'), inline: false });
+        break;
+      case 'error':
+        embed.setColor(0xFF8800);
+        embed.addFields({ name: t(locale, 'check.submissionError'), value: outcome.error?.message || t(locale, 'common.unknownError'), inline: false });
+        break;
+      case 'ignored':
+        // Finished by the webhook or poller while we were checking
+        embed.setColor(0x0099FF);
+        embed.addFields({ name: t(locale, 'check.action'), value: t(locale, 'check.action.already', { state: outcome.verification?.state ?? 'processed' }), inline: true });
+        break;
+      default:
+        embed.setColor(status?.final ? 0xFF8800 : 0xFFFF00); // other terminal state, or in progress
     }
 
     await interaction.editReply({ embeds: [embed], ephemeral: true });
   } catch (error) {
     await interaction.editReply({
-      content: `Failed to check verification status: ${error.message || 'Unknown error'}`,
+      content: t(locale, 'check.failed', { error: error.message || t(locale, 'common.unknownError') }),
       ephemeral: true
     });
   }
@@ -511,5 +1356,17 @@ module.exports = {
   handleVerify,
   handleDebugVerify,
   handleCheckVerification,
-  handleManualApproval
+  handleManualApproval,
+  handleApprovalButton,
+  handleApprovalDenyModal,
+  buildResolvedApprovalEmbed,
+  processScheduledApprovals,
+  handleOwnershipCheckButton,
+  continueAfterOwnershipCallback,
+  handleVerifyResend,
+  handleSessionButton,
+  APPROVAL_BUTTON_PREFIX,
+  APPROVAL_DENY_MODAL_PREFIX,
+  OWNERSHIP_BUTTON_PREFIX,
+  SESSION_BUTTON_PREFIX
 };
\ No newline at end of file
@@ -1,25 +1,326 @@
-const { SlashCommandBuilder } = require('discord.js');
+const { ChannelType, PermissionFlagsBits, SlashCommandBuilder } = require('discord.js');
+const { handleVerify, handleVerifyResend, handleDebugVerify, handleCheckVerification } = require('./commandHandlers');
+const { handleVerificationCommand } = require('./adminCommandHandlers');
+const { handleListPending } = require('./pendingListHandlers');
+const { handleVerifyCancel, handleMyData, handleLanguage } = require('./userDataHandlers');
+const { handleAudit } = require('./auditHandlers');
+const { SETTING_LABELS, handleVeyraConfig } = require('./guildConfigHandlers');
+const { VerificationState } = require('../services/verificationLifecycle');
+const { getSupportedLocales, t } = require('../utils/i18n');
 
 const commands = [
-  new SlashCommandBuilder()
-    .setName('verify')
-    .setDescription('Verify your BYOND account')
-    .addStringOption(option =>
-      option.setName('ckey')
-        .setDescription('Your BYOND ckey (username)')
-        .setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName('verify-debug')
-    .setDescription('Debug verification (admin only)')
-    .addStringOption(option =>
-      option.setName('ckey')
-        .setDescription('BYOND ckey to verify')
-        .setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName('check-verification')
-    .setDescription('Check your verification status')
+  {
+    data: new SlashCommandBuilder()
+      .setName('verify')
+      .setDescription('Verify your BYOND account')
+      .addStringOption(option =>
+        option.setName('ckey')
+          .setDescription('Your BYOND ckey (username)')
+          .setRequired(true)
+      ),
+    execute: (interaction, { pendingVerifications, client }) => handleVerify(interaction, pendingVerifications, client)
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('verify-resend')
+      .setDescription('Show your verification link again, or get a new one if it has expired'),
+    execute: (interaction, { pendingVerifications }) => handleVerifyResend(interaction, pendingVerifications)
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('verify-cancel')
+      .setDescription('Cancel your pending verification and delete anything sent to iDenfy'),
+    execute: (interaction, { pendingVerifications, client }) => handleVerifyCancel(interaction, pendingVerifications, client)
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('verify-debug')
+      .setDescription('Debug verification (admin only)')
+      .addStringOption(option =>
+        option.setName('ckey')
+          .setDescription('BYOND ckey to verify')
+          .setRequired(true)
+      )
+      .addUserOption(option =>
+        option.setName('user')
+          .setDescription('User to verify (defaults to yourself)')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('reason')
+          .setDescription('Why this user is being debug-verified')
+          .setRequired(false)
+      ),
+    execute: (interaction, { client }) => handleDebugVerify(interaction, client),
+    requiresAdmin: true
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('check-verification')
+      .setDescription('Check your verification status'),
+    execute: (interaction, { pendingVerifications, client }) => handleCheckVerification(interaction, pendingVerifications, client)
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('my-data')
+      .setDescription('See what is stored about you and request its deletion'),
+    execute: (interaction, { pendingVerifications }) => handleMyData(interaction, pendingVerifications)
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('language')
+      .setDescription('Choose the language the bot uses in replies and DMs')
+      .addStringOption(option =>
+        option.setName('language')
+          .setDescription('Language to use')
+          .setRequired(true)
+          .addChoices(
+            { name: 'Same as my Discord client', value: 'auto' },
+            ...getSupportedLocales().map(locale => ({ name: t(locale, 'language.name'), value: locale }))
+          )
+      ),
+    execute: interaction => handleLanguage(interaction)
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('verification')
+      .setDescription('Manage user verifications (admin only)')
+      .addSubcommand(subcommand =>
+        subcommand.setName('lookup')
+          .setDescription('Show the stored and pending verification for a user or ckey')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('Discord user to look up')
+              .setRequired(false)
+          )
+          .addStringOption(option =>
+            option.setName('ckey')
+              .setDescription('BYOND ckey to look up')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('revoke')
+          .setDescription('Remove a user\'s verification and verified role')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('User to revoke')
+              .setRequired(true)
+          )
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Why the verification is being revoked')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('force-complete')
+          .setDescription('Submit a pending iDenfy verification now')
+          .addStringOption(option =>
+            option.setName('scan_ref')
+              .setDescription('Scan reference of the pending verification')
+              .setRequired(true)
+          )
+          .addBooleanOption(option =>
+            option.setName('override')
+              .setDescription('Submit even if iDenfy has not approved it')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('cancel')
+          .setDescription('Cancel a user\'s pending verification')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('User whose pending verification to cancel')
+              .setRequired(true)
+          )
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Reason sent to the user')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('resend-link')
+          .setDescription('DM a user their iDenfy verification link again')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('User to send the link to')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('deletions')
+          .setDescription('Show the iDenfy data deletion queue and failed deletions')
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('deletion-retry')
+          .setDescription('Retry failed iDenfy data deletions')
+          .addStringOption(option =>
+            option.setName('scan_ref')
+              .setDescription('Scan reference to retry (retries all failed deletions if omitted)')
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('reset-attempts')
+          .setDescription('Clear a user\'s failed verification attempts and cooldown')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('User whose attempts to reset')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('role-sync')
+          .setDescription('Add or remove verification roles so they match Veyra, and post a report')
+          .addBooleanOption(option =>
+            option.setName('dry_run')
+              .setDescription('Only report what would change (default: true)')
+              .setRequired(false)
+          )
+      ),
+    execute: (interaction, { pendingVerifications, client }) => handleVerificationCommand(interaction, pendingVerifications, client),
+    requiresAdmin: true
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('list-pending')
+      .setDescription('Browse pending verifications (admin only)')
+      .addStringOption(option =>
+        option.setName('state')
+          .setDescription('Only show verifications in this state (default: all in progress)')
+          .setRequired(false)
+          .addChoices(
+            { name: 'All in progress', value: 'active' },
+            { name: 'Everything', value: 'all' },
+            ...Object.values(VerificationState).map(state => ({ name: state, value: state }))
+          )
+      )
+      .addIntegerOption(option =>
+        option.setName('older_than')
+          .setDescription('Only show verifications older than this many minutes')
+          .setRequired(false)
+          .setMinValue(0)
+      )
+      .addStringOption(option =>
+        option.setName('sort')
+          .setDescription('Sort order (default: oldest first)')
+          .setRequired(false)
+          .addChoices(
+            { name: 'Oldest first', value: 'oldest' },
+            { name: 'Newest first', value: 'newest' }
+          )
+      )
+      .addStringOption(option =>
+        option.setName('search')
+          .setDescription('Ckey, Discord ID, username or reference to search for')
+          .setRequired(false)
+          .setMaxLength(32)
+      ),
+    execute: (interaction, { pendingVerifications }) => handleListPending(interaction, pendingVerifications),
+    requiresAdmin: true
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('audit')
+      .setDescription('Search or export the audit log (admin only)')
+      .addUserOption(option =>
+        option.setName('user')
+          .setDescription('Only entries about or by this user')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('ckey')
+          .setDescription('Only entries for this BYOND ckey')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('action')
+          .setDescription('Action or action prefix, e.g. admin.revoke, verification.denied or admin')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('since')
+          .setDescription('Earliest date, as YYYY-MM-DD')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('until')
+          .setDescription('Latest date, as YYYY-MM-DD (inclusive)')
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('format')
+          .setDescription('List the newest entries, or export every match as a file (default: list)')
+          .setRequired(false)
+          .addChoices(
+            { name: 'List', value: 'show' },
+            { name: 'CSV file', value: 'csv' },
+            { name: 'JSON Lines file', value: 'jsonl' }
+          )
+      )
+      .addIntegerOption(option =>
+        option.setName('limit')
+          .setDescription('Only the newest this many matches')
+          .setRequired(false)
+          .setMinValue(1)
+      ),
+    execute: (interaction, { client }) => handleAudit(interaction, client),
+    requiresAdmin: true
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('veyra-config')
+      .setDescription('Show or change Veyra\'s settings for this server')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand(subcommand =>
+        subcommand.setName('show')
+          .setDescription('Show the settings this server is using')
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('set')
+          .setDescription('Change one or more settings')
+          .addRoleOption(option =>
+            option.setName('admin_role')
+              .setDescription('Role allowed to use admin commands and approve verifications')
+              .setRequired(false)
+          )
+          .addChannelOption(option =>
+            option.setName('log_channel')
+              .setDescription('Channel for approval requests and verification logs from this server')
+              .setRequired(false)
+              .addChannelTypes(ChannelType.GuildText)
+          )
+          .addRoleOption(option =>
+            option.setName('verified_role')
+              .setDescription('Role given to ID-verified members')
+              .setRequired(false)
+          )
+          .addIntegerOption(option =>
+            option.setName('daily_limit')
+              .setDescription('Verifications started here per day before admin approval is needed (0 for no limit)')
+              .setRequired(false)
+              .setMinValue(0)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('reset')
+          .setDescription('Put a setting back to its default')
+          .addStringOption(option =>
+            option.setName('setting')
+              .setDescription('Setting to reset')
+              .setRequired(true)
+              .addChoices(
+                ...Object.entries(SETTING_LABELS).map(([value, name]) => ({ name, value })),
+                { name: 'Everything', value: 'all' }
+              )
+          )
+      ),
+    execute: (interaction, { client }) => handleVeyraConfig(interaction, client),
+    requiresManageGuild: true
+  }
 ];
 
 module.exports = commands;
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { processIdenfyResult } = require('../services/verificationOutcome');
+const { CONFLICT_REVIEW_PREFIX } = require('../services/identityConflicts');
+const { VerificationState } = require('../services/verificationLifecycle');
+const { isGlobalAdmin } = require('../services/guildSettings');
+const logger = require('../utils/logger');
+const { cancelVerification, logAdminAction } = require('./adminCommandHandlers');
+const { buildResolvedApprovalEmbed } = require('./commandHandlers');
+
+/**
+ * Handle the Approve anyway / Deny buttons on a verification held for identity conflicts
+ * @param {import("discord.js").ButtonInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @returns
+ */
+async function handleConflictReviewButton(interaction, pendingVerifications, client) {
+  if (!isGlobalAdmin(interaction)) {
+    return await interaction.reply({
+      content: 'You do not have permission to use this command.',
+      ephemeral: true
+    });
+  }
+
+  const [, action, scanRef] = interaction.customId.split(':');
+  const pending = pendingVerifications.get(scanRef);
+
+  if (pending?.state !== VerificationState.CONFLICT_REVIEW) {
+    await interaction.update({ components: [] });
+    return await interaction.followUp({
+      content: 'This conflict review has already been handled or no longer exists.',
+      ephemeral: true
+    });
+  }
+
+  await interaction.deferUpdate();
+
+  switch (action) {
+    case 'approve': {
+      const outcome = await processIdenfyResult(client, pendingVerifications, scanRef, { overall: 'APPROVED' }, {
+        actor: interaction.user.id,
+        note: 'Identity conflicts reviewed',
+        verifiedBy: interaction.user.id,
+        conflictsReviewed: true
+      });
+
+      if (outcome.result !== 'submitted') {
+        return await interaction.followUp({
+          content: outcome.result === 'error'
+            ? `Failed to submit verification: ${outcome.error?.message || 'Unknown error'}`
+            : `Verification is already ${outcome.verification?.state ?? 'finished'}, nothing to do.`,
+          ephemeral: true
+        });
+      }
+
+      logger.info(`Conflicting verification ${scanRef} approved by ${interaction.user.username} (${interaction.user.id})`);
+      await logAdminAction(client, interaction, 'Approve Conflict', [
+        { name: 'Target', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+        { name: 'Scan Reference', value: scanRef, inline: true }
+      ], 0x00FF00, {
+        target: pending.discordId,
+        ckey: pending.ckey,
+        scanRef,
+        before: VerificationState.CONFLICT_REVIEW,
+        after: outcome.verification?.state,
+        mirror: false
+      });
+      return await interaction.editReply({
+        embeds: [buildResolvedApprovalEmbed(interaction.message, {
+          color: 0x00FF00,
+          status: 'Approved ✅',
+          actor: interaction.user,
+          fields: [{ name: 'User Notified', value: outcome.userNotified ? 'Yes' : 'No - DM failed', inline: true }]
+        })],
+        components: []
+      });
+    }
+    case 'deny': {
+      await cancelVerification(client, interaction, pendingVerifications, scanRef, 'Conflicts with an existing verification');
+      return await interaction.editReply({
+        embeds: [buildResolvedApprovalEmbed(interaction.message, {
+          color: 0xFF0000,
+          status: 'Denied ❌',
+          actor: interaction.user
+        })],
+        components: []
+      });
+    }
+    default:
+      logger.warn(`Unknown conflict review action: ${action}`);
+  }
+}
+
+module.exports = {
+  handleConflictReviewButton,
+  CONFLICT_REVIEW_PREFIX
+};
@@ -0,0 +1,209 @@
+const { EmbedBuilder } = require('discord.js');
+const config = require('../config/config');
+const {
+  GUILD_SETTING_NAMES,
+  guildSettings,
+  getDefaultSettings,
+  getGuildSettings,
+  updateGuildSettings
+} = require('../services/guildSettings');
+const { logAdminAction } = require('./adminCommandHandlers');
+
+// /veyra-config option names for each setting
+const SETTING_OPTIONS = Object.freeze({
+  adminRoleId: 'admin_role',
+  logChannelId: 'log_channel',
+  verifiedRoleId: 'verified_role',
+  dailyLimit: 'daily_limit'
+});
+
+const SETTING_LABELS = Object.freeze({
+  adminRoleId: 'Admin Role',
+  logChannelId: 'Log Channel',
+  verifiedRoleId: 'Verified Role',
+  dailyLimit: 'Daily Limit'
+});
+
+/**
+ * @param {keyof import("../services/guildSettings").GuildSettings} name
+ * @param {string | number | null} value
+ * @returns {string}
+ */
+function formatSetting(name, value) {
+  if (value === null || value === undefined) {
+    return 'Not set';
+  }
+  if (name === 'logChannelId') {
+    return `<#${value}>`;
+  }
+  if (name === 'dailyLimit') {
+    return `${value} per day`;
+  }
+  return `<@&${value}>`;
+}
+
+/**
+ * The settings a guild is using, and where each comes from
+ * @param {import("discord.js").Guild} guild
+ * @returns {EmbedBuilder}
+ */
+function buildSettingsEmbed(guild) {
+  const saved = guildSettings.get(guild.id) ?? {};
+  const defaults = getDefaultSettings(guild.id);
+  const settings = getGuildSettings(guild.id);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle(`Veyra Settings for ${guild.name}`)
+    .addFields(GUILD_SETTING_NAMES.map(name => {
+      const source = saved[name] !== undefined ? 'saved' : defaults[name] !== null ? 'default' : null;
+      return {
+        name: SETTING_LABELS[name],
+        value: `${formatSetting(name, settings[name])}${source ? ` (${source})` : ''}`,
+        inline: true
+      };
+    }))
+    .setTimestamp(saved.timestamp ?? Date.now());
+
+  if (!settings.logChannelId) {
+    embed.setDescription('Without a log channel, approval requests from this server go to the main server\'s log channel.');
+  }
+  if (saved.updatedBy) {
+    embed.setFooter({ text: `Last changed by ${saved.updatedBy}` });
+  }
+
+  return embed;
+}
+
+/**
+ * Handle /veyra-config show
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ */
+async function handleShow(interaction) {
+  await interaction.editReply({ embeds: [buildSettingsEmbed(interaction.guild)], ephemeral: true });
+}
+
+/**
+ * Handle /veyra-config set
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleSet(interaction, client) {
+  const adminRole = interaction.options.getRole('admin_role');
+  const logChannel = interaction.options.getChannel('log_channel');
+  const verifiedRole = interaction.options.getRole('verified_role');
+  const dailyLimit = interaction.options.getInteger('daily_limit');
+
+  const changes = {
+    ...(adminRole && { adminRoleId: adminRole.id }),
+    ...(logChannel && { logChannelId: logChannel.id }),
+    ...(verifiedRole && { verifiedRoleId: verifiedRole.id }),
+    // 0 turns the limit off, leaving only the shared quota
+    ...(dailyLimit !== null && { dailyLimit: dailyLimit || null })
+  };
+
+  if (Object.keys(changes).length === 0) {
+    return await interaction.editReply({
+      content: `Give at least one setting to change: ${Object.values(SETTING_OPTIONS).join(', ')}.`,
+      ephemeral: true
+    });
+  }
+
+  // @everyone shares the guild's ID, and would make every member an admin or verified
+  if ([adminRole, verifiedRole].some(role => role?.id === interaction.guildId)) {
+    return await interaction.editReply({
+      content: '@everyone can\'t be the admin role or the verified role. Pick a role that only some members have.',
+      ephemeral: true
+    });
+  }
+
+  const warnings = [];
+  if (adminRole && interaction.guildId !== config.GUILD_ID && !config.TRUSTED_GUILD_IDS.includes(interaction.guildId)) {
+    warnings.push(`${adminRole} can handle approval requests from this server and change its settings. Other admin commands affect every server, so they only work in the main server.`);
+  }
+  if (verifiedRole && (verifiedRole.managed || !interaction.guild.roles.cache.get(verifiedRole.id)?.editable)) {
+    warnings.push(`I can't assign ${verifiedRole}. Move my role above it in the server settings.`);
+  }
+  if (logChannel && !logChannel.permissionsFor?.(client.user)?.has(['ViewChannel', 'SendMessages'])) {
+    warnings.push(`I can't post in ${logChannel}. Give me View Channel and Send Messages there.`);
+  }
+
+  const before = getGuildSettings(interaction.guildId);
+  const after = updateGuildSettings(interaction.guildId, changes, interaction.user.id);
+
+  await logAdminAction(client, interaction, 'Update Guild Settings', [
+    { name: 'Server', value: `${interaction.guild.name} (${interaction.guildId})`, inline: false },
+    ...Object.keys(changes).map(name => ({
+      name: SETTING_LABELS[name],
+      value: `${formatSetting(name, before[name])} → ${formatSetting(name, after[name])}`,
+      inline: true
+    }))
+  ]);
+
+  await interaction.editReply({
+    content: ['Settings saved.', ...warnings].join('\n'),
+    embeds: [buildSettingsEmbed(interaction.guild)],
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /veyra-config reset
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleReset(interaction, client) {
+  const setting = interaction.options.getString('setting', true);
+  const names = setting === 'all' ? GUILD_SETTING_NAMES : [setting];
+
+  const before = getGuildSettings(interaction.guildId);
+  const after = updateGuildSettings(
+    interaction.guildId,
+    Object.fromEntries(names.map(name => [name, null])),
+    interaction.user.id
+  );
+
+  await logAdminAction(client, interaction, 'Update Guild Settings', [
+    { name: 'Server', value: `${interaction.guild.name} (${interaction.guildId})`, inline: false },
+    ...names.map(name => ({
+      name: SETTING_LABELS[name],
+      value: `${formatSetting(name, before[name])} → ${formatSetting(name, after[name])} (reset)`,
+      inline: true
+    }))
+  ]);
+
+  await interaction.editReply({
+    content: setting === 'all' ? 'Every setting is back to its default.' : `${SETTING_LABELS[setting]} is back to its default.`,
+    embeds: [buildSettingsEmbed(interaction.guild)],
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /veyra-config
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("discord.js").Client} client
+ */
+async function handleVeyraConfig(interaction, client) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const subcommand = interaction.options.getSubcommand();
+  switch (subcommand) {
+    case 'show':
+      return await handleShow(interaction);
+    case 'set':
+      return await handleSet(interaction, client);
+    case 'reset':
+      return await handleReset(interaction, client);
+    default:
+      return await interaction.editReply({
+        content: `Unknown subcommand: ${subcommand}`,
+        ephemeral: true
+      });
+  }
+}
+
+module.exports = {
+  SETTING_LABELS,
+  handleVeyraConfig
+};
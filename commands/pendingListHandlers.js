@@ -0,0 +1,352 @@
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const { getIdenfyVerificationStatus } = require('../services/idenfyService');
+const { processIdenfyResult, resultFromStatusResponse } = require('../services/verificationOutcome');
+const { VerificationState, isActive } = require('../services/verificationLifecycle');
+const { isGlobalAdmin } = require('../services/guildSettings');
+const logger = require('../utils/logger');
+const { cancelVerification, resendVerificationLink, logAdminAction } = require('./adminCommandHandlers');
+
+const PENDING_LIST_PREFIX = 'pending-list';
+const PAGE_SIZE = 5;
+const MAX_SEARCH_LENGTH = 32;
+
+// Age filters offered in the select menu, in minutes
+const AGE_FILTERS = [
+  { label: 'Any age', value: 0 },
+  { label: 'Older than 15 minutes', value: 15 },
+  { label: 'Older than 1 hour', value: 60 },
+  { label: 'Older than 6 hours', value: 6 * 60 },
+  { label: 'Older than 12 hours', value: 12 * 60 }
+];
+
+/**
+ * @typedef {Object} PendingListView
+ * @property {string} state `active`, `all` or a VerificationState
+ * @property {number} age Only show entries older than this many minutes
+ * @property {'oldest' | 'newest'} sort
+ * @property {number} page Zero-based
+ * @property {string} search Matched against ckey, Discord ID, username and reference
+ */
+
+/** @type {PendingListView} */
+const DEFAULT_VIEW = Object.freeze({ state: 'active', age: 0, sort: 'oldest', page: 0, search: '' });
+
+// The view is carried in every custom ID so the list keeps working across restarts
+function encodeCustomId(action, view) {
+  return [PENDING_LIST_PREFIX, action, view.state, view.age, view.sort, view.page, view.search].join(':');
+}
+
+/**
+ * @param {string} customId
+ * @returns {{ action: string, view: PendingListView }}
+ */
+function decodeCustomId(customId) {
+  const [, action, state, age, sort, page, ...search] = customId.split(':');
+  return {
+    action,
+    view: {
+      state: state || DEFAULT_VIEW.state,
+      age: parseInt(age) || 0,
+      sort: sort === 'newest' ? 'newest' : 'oldest',
+      page: parseInt(page) || 0,
+      search: search.join(':')
+    }
+  };
+}
+
+// Custom IDs are limited to 100 characters and use ':' as a separator
+function sanitizeSearch(search) {
+  return (search ?? '').replace(/:/g, '').trim().slice(0, MAX_SEARCH_LENGTH);
+}
+
+/**
+ * Entries matching the view's filters, sorted
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {PendingListView} view
+ * @returns {Array<[string, object]>}
+ */
+function filterEntries(pendingVerifications, view) {
+  const now = Date.now();
+  const search = view.search.toLowerCase();
+
+  return Array.from(pendingVerifications.entries())
+    .filter(([, verification]) =>
+      view.state === 'all' ||
+      (view.state === 'active' ? isActive(verification) : verification.state === view.state)
+    )
+    .filter(([, verification]) => now - verification.timestamp >= view.age * 60 * 1000)
+    .filter(([key, verification]) => !search || [key, verification.ckey, verification.discordId, verification.username]
+      .some(value => value?.toLowerCase().includes(search)))
+    .sort(([, a], [, b]) => (view.sort === 'oldest' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp));
+}
+
+/**
+ * Build the list message for a view
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {PendingListView} view
+ * @returns {import("discord.js").InteractionEditReplyOptions}
+ */
+function buildPendingList(pendingVerifications, view) {
+  const entries = filterEntries(pendingVerifications, view);
+  const pageCount = Math.max(Math.ceil(entries.length / PAGE_SIZE), 1);
+  const page = Math.min(Math.max(view.page, 0), pageCount - 1);
+  const current = { ...view, page };
+  const pageEntries = entries.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const filters = [
+    `State: **${view.state}**`,
+    view.age > 0 ? `Older than: **${view.age}m**` : null,
+    `Sort: **${view.sort} first**`,
+    view.search ? `Search: **${view.search}**` : null
+  ].filter(Boolean).join(' • ');
+
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle('📋 Pending Verifications')
+    .setDescription(`${entries.length} matching of ${pendingVerifications.size} stored\n${filters}`)
+    .setFooter({ text: `Page ${page + 1}/${pageCount}` })
+    .setTimestamp();
+
+  if (pageEntries.length === 0) {
+    embed.addFields({ name: 'No results', value: 'No verifications match these filters.', inline: false });
+  }
+
+  pageEntries.forEach(([key, verification], index) => {
+    const lines = [
+      `<@${verification.discordId}> (${verification.username ?? 'unknown'})`,
+      `Ref: \`${key}\``,
+      `Created <t:${Math.floor(verification.timestamp / 1000)}:R>, updated <t:${Math.floor((verification.updatedAt ?? verification.timestamp) / 1000)}:R>`
+    ];
+    if (verification.pollAttempts) {
+      lines.push(`Polled ${verification.pollAttempts} time(s), last <t:${Math.floor(verification.lastPolledAt / 1000)}:R>`);
+    }
+
+    embed.addFields({
+      name: `${page * PAGE_SIZE + index + 1}. ${verification.ckey} (${verification.state})`,
+      value: lines.join('\n'),
+      inline: false
+    });
+  });
+
+  const stateMenu = new StringSelectMenuBuilder()
+    .setCustomId(encodeCustomId('state', current))
+    .setPlaceholder('Filter by state')
+    .addOptions(
+      ['active', 'all', ...Object.values(VerificationState)].map(state => ({
+        label: state === 'active' ? 'All in progress' : state === 'all' ? 'Everything' : state,
+        value: state,
+        default: state === view.state
+      }))
+    );
+
+  const ageMenu = new StringSelectMenuBuilder()
+    .setCustomId(encodeCustomId('age', current))
+    .setPlaceholder('Filter by age')
+    .addOptions(AGE_FILTERS.map(({ label, value }) => ({ label, value: String(value), default: value === view.age })));
+
+  const components = [
+    new ActionRowBuilder().addComponents(stateMenu),
+    new ActionRowBuilder().addComponents(ageMenu)
+  ];
+
+  const actionOptions = pageEntries.flatMap(([key, verification]) => {
+    const options = [];
+    if (isActive(verification)) {
+      options.push({ label: `Cancel ${verification.ckey}`, description: key.slice(0, 100), value: `cancel|${key}` });
+    }
+    if (isActive(verification) && verification.scanRef) {
+      options.push({ label: `Re-poll status for ${verification.ckey}`, description: key.slice(0, 100), value: `repoll|${key}` });
+    }
+    if (verification.state === VerificationState.SESSION_CREATED && verification.sessionToken) {
+      options.push({ label: `Resend link to ${verification.ckey}`, description: key.slice(0, 100), value: `resend|${key}` });
+    }
+    return options;
+  });
+
+  if (actionOptions.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(encodeCustomId('entry', current))
+        .setPlaceholder('Act on an entry on this page')
+        .addOptions(actionOptions)
+    ));
+  }
+
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(encodeCustomId('prev', current))
+      .setLabel('Previous')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page === 0),
+    new ButtonBuilder()
+      .setCustomId(encodeCustomId('next', current))
+      .setLabel('Next')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount - 1),
+    new ButtonBuilder()
+      .setCustomId(encodeCustomId('sort', current))
+      .setLabel(view.sort === 'oldest' ? 'Newest first' : 'Oldest first')
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(encodeCustomId('search', current))
+      .setLabel(view.search ? 'Change search' : 'Search')
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(encodeCustomId('refresh', current))
+      .setLabel('Refresh')
+      .setStyle(ButtonStyle.Secondary)
+  ));
+
+  return { embeds: [embed], components };
+}
+
+/**
+ * Handle /list-pending
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ */
+async function handleListPending(interaction, pendingVerifications) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const view = {
+    ...DEFAULT_VIEW,
+    state: interaction.options.getString('state') ?? DEFAULT_VIEW.state,
+    age: interaction.options.getInteger('older_than') ?? DEFAULT_VIEW.age,
+    sort: interaction.options.getString('sort') ?? DEFAULT_VIEW.sort,
+    search: sanitizeSearch(interaction.options.getString('search'))
+  };
+
+  await interaction.editReply(buildPendingList(pendingVerifications, view));
+}
+
+/**
+ * Run a per-entry action picked from the list
+ * @param {import("discord.js").StringSelectMenuInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @returns {Promise<string>} Result shown to the admin
+ */
+async function runEntryAction(interaction, pendingVerifications, client) {
+  const [action, key] = interaction.values[0].split('|');
+  const pending = pendingVerifications.get(key);
+  if (!pending || !isActive(pending)) {
+    return `\`${key}\` is no longer in progress.`;
+  }
+
+  switch (action) {
+    case 'cancel':
+      await cancelVerification(client, interaction, pendingVerifications, key, 'Cancelled by an administrator');
+      return `Cancelled ${pending.ckey}'s verification.`;
+    case 'repoll': {
+      const status = await getIdenfyVerificationStatus(pending.scanRef);
+      const result = resultFromStatusResponse(status);
+      const outcome = result
+        ? await processIdenfyResult(client, pendingVerifications, key, result, { actor: interaction.user.id, note: 'Re-polled from /list-pending' })
+        : { result: 'pending' };
+
+      await logAdminAction(client, interaction, 'Re-poll Status', [
+        { name: 'Target', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+        { name: 'Scan Reference', value: pending.scanRef, inline: true },
+        { name: 'iDenfy Status', value: status?.status || 'Unknown', inline: true },
+        { name: 'Result', value: outcome.result, inline: true }
+      ], 0x0099FF, { target: pending.discordId, ckey: pending.ckey, scanRef: pending.scanRef });
+      return `iDenfy reports ${status?.status || 'Unknown'}${status?.final ? ' (final)' : ''} for ${pending.ckey}: ${outcome.result}.`;
+    }
+    case 'resend': {
+      if (pending.state !== VerificationState.SESSION_CREATED || !pending.sessionToken) {
+        return `${pending.ckey} has no iDenfy session waiting to be completed.`;
+      }
+      const { userNotified, verificationUrl } = await resendVerificationLink(client, interaction, key, pending);
+      return userNotified ? `Verification link sent to ${pending.username}.` : `Could not DM ${pending.username}. Link: ${verificationUrl}`;
+    }
+    default:
+      return `Unknown action: ${action}`;
+  }
+}
+
+/**
+ * Handle buttons, select menus and the search modal of the /list-pending message
+ * @param {import("discord.js").ButtonInteraction | import("discord.js").StringSelectMenuInteraction | import("discord.js").ModalSubmitInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ */
+async function handlePendingListComponent(interaction, pendingVerifications, client) {
+  if (!isGlobalAdmin(interaction)) {
+    return await interaction.reply({
+      content: 'You do not have permission to use this command.',
+      ephemeral: true
+    });
+  }
+
+  const { action, view } = decodeCustomId(interaction.customId);
+
+  switch (action) {
+    case 'prev':
+      return await interaction.update(buildPendingList(pendingVerifications, { ...view, page: view.page - 1 }));
+    case 'next':
+      return await interaction.update(buildPendingList(pendingVerifications, { ...view, page: view.page + 1 }));
+    case 'refresh':
+      return await interaction.update(buildPendingList(pendingVerifications, view));
+    case 'sort':
+      return await interaction.update(buildPendingList(pendingVerifications, {
+        ...view,
+        sort: view.sort === 'oldest' ? 'newest' : 'oldest',
+        page: 0
+      }));
+    case 'state':
+      return await interaction.update(buildPendingList(pendingVerifications, { ...view, state: interaction.values[0], page: 0 }));
+    case 'age':
+      return await interaction.update(buildPendingList(pendingVerifications, { ...view, age: parseInt(interaction.values[0]) || 0, page: 0 }));
+    case 'search': {
+      const input = new TextInputBuilder()
+        .setCustomId('search')
+        .setLabel('Ckey, Discord ID, username or reference')
+        .setStyle(TextInputStyle.Short)
+        .setRequired(false)
+        .setMaxLength(MAX_SEARCH_LENGTH);
+      if (view.search) {
+        input.setValue(view.search);
+      }
+
+      const modal = new ModalBuilder()
+        .setCustomId(encodeCustomId('search-submit', view))
+        .setTitle('Search Pending Verifications')
+        .addComponents(new ActionRowBuilder().addComponents(input));
+      return await interaction.showModal(modal);
+    }
+    case 'search-submit': {
+      const search = sanitizeSearch(interaction.fields.getTextInputValue('search'));
+      return await interaction.update(buildPendingList(pendingVerifications, { ...view, search, page: 0 }));
+    }
+    case 'entry': {
+      // iDenfy and Discord calls can take longer than the 3 second interaction window
+      await interaction.deferUpdate();
+      let result;
+      try {
+        result = await runEntryAction(interaction, pendingVerifications, client);
+      } catch (error) {
+        logger.error(`Failed to run /list-pending action ${interaction.values[0]}:`, error);
+        result = `Action failed: ${error.message || 'Unknown error'}`;
+      }
+      await interaction.editReply(buildPendingList(pendingVerifications, view));
+      return await interaction.followUp({ content: result, ephemeral: true });
+    }
+    default:
+      logger.warn(`Unknown /list-pending action: ${action}`);
+  }
+}
+
+module.exports = {
+  handleListPending,
+  handlePendingListComponent,
+  PENDING_LIST_PREFIX
+};
@@ -0,0 +1,107 @@
+const { PermissionFlagsBits } = require('discord.js');
+const config = require('../config/config');
+const { isGlobalAdmin, isGuildAdmin } = require('../services/guildSettings');
+const logger = require('../utils/logger');
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {import("discord.js").Client} client
+ * @property {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ */
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {import("discord.js").SlashCommandBuilder} data Slash command definition sent to Discord
+ * @property {(interaction: import("discord.js").ChatInputCommandInteraction, context: CommandContext) => Promise<any>} execute
+ * @property {boolean} [requiresAdmin] Only members with the admin role of GUILD_ID or a trusted guild may run it, there
+ * @property {boolean} [requiresManageGuild] Only members with Manage Server or the guild's admin role may run it
+ * @property {boolean} [debugOnly] Only registered when DEBUG is on
+ */
+
+// Every module that declares commands, in registration order
+const commandModules = [
+  require('./commands'),
+  require('./testCommands')
+];
+
+/**
+ * The commands available with the current configuration
+ * @returns {CommandDefinition[]}
+ */
+function getEnabledCommands() {
+  return commandModules.flat().filter(command => !command.debugOnly || config.DEBUG);
+}
+
+/**
+ * @param {string} name
+ * @returns {CommandDefinition | undefined}
+ */
+function findCommand(name) {
+  return getEnabledCommands().find(command => command.data.name === name);
+}
+
+/**
+ * Register every enabled command in one guild
+ * @param {import("discord.js").Guild} guild
+ */
+async function registerGuildCommands(guild) {
+  const commands = getEnabledCommands();
+  await guild.commands.set(commands.map(command => command.data));
+  logger.info(`Registered ${commands.length} slash commands in ${guild.name} (${guild.id})${config.DEBUG ? ' (including debug commands)' : ''}`);
+}
+
+/**
+ * Register every enabled command in each guild the bot is in. A guild that fails doesn't stop the others.
+ * @param {import("discord.js").Client} client
+ */
+async function registerCommands(client) {
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      await registerGuildCommands(guild);
+    } catch (error) {
+      logger.error(`Failed to register slash commands in ${guild.name} (${guild.id}):`, error);
+    }
+  }
+}
+
+/**
+ * Run the handler for a slash command, enforcing its permission requirement
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {CommandContext} context
+ */
+async function executeCommand(interaction, context) {
+  const command = findCommand(interaction.commandName);
+  if (!command) {
+    logger.warn(`Received unknown command ${interaction.commandName} from ${interaction.user.id}`);
+    return await interaction.reply({
+      content: 'This command is not available.',
+      ephemeral: true
+    });
+  }
+
+  if (command.requiresAdmin && !isGlobalAdmin(interaction)) {
+    return await interaction.reply({
+      content: isGuildAdmin(interaction)
+        ? 'This command affects every server, so it can only be used by admins in the main server.'
+        : 'You do not have permission to use this command.',
+      ephemeral: true
+    });
+  }
+
+  const canManageGuild = Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) || isGuildAdmin(interaction);
+  if (command.requiresManageGuild && !canManageGuild) {
+    return await interaction.reply({
+      content: 'You do not have permission to use this command.',
+      ephemeral: true
+    });
+  }
+
+  await command.execute(interaction, context);
+}
+
+module.exports = {
+  getEnabledCommands,
+  registerGuildCommands,
+  registerCommands,
+  executeCommand
+};
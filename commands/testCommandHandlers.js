@@ -1,20 +1,13 @@
 const { EmbedBuilder } = require('discord.js');
-const config = require('../config/config');
 const { createDummyVerification, simulateWebhookCall } = require('../test/testUtilities');
+const { VerificationState, createVerification } = require('../services/verificationLifecycle');
+const { canonicalizeCkey } = require('../services/byondService');
 
 // Handle /test-verify command (creates a dummy verification that will auto-complete)
 async function handleTestVerify(interaction, pendingVerifications) {
-  // Check if user is admin
-  if (!interaction.member.roles.cache.has(config.ADMIN_ROLE_ID)) {
-    return await interaction.reply({
-      content: 'You do not have permission to use this command.',
-      ephemeral: true
-    });
-  }
-
   await interaction.deferReply({ ephemeral: true });
 
-  const ckey = interaction.options.getString('ckey');
+  const ckey = canonicalizeCkey(interaction.options.getString('ckey'));
   const status = interaction.options.getString('status') || 'APPROVED';
   const discordId = interaction.user.id;
 
@@ -23,16 +16,15 @@ async function handleTestVerify(interaction, pendingVerifications) {
     const verification = await createDummyVerification(discordId, ckey, status);
     
     // Add to pending verifications
-    pendingVerifications.set(verification.scanRef, {
+    createVerification(pendingVerifications, verification.scanRef, {
       discordId,
       ckey,
       userId: interaction.user.id,
       username: interaction.user.username,
-      timestamp: Date.now(),
-      type: 'idenfy',
+      scanRef: verification.scanRef,
       clientId: verification.clientId,
       sessionToken: verification.sessionToken
-    });
+    }, VerificationState.SESSION_CREATED, { actor: discordId, note: `Test verification (${status})` });
 
     const embed = new EmbedBuilder()
       .setColor(0xFFFF00)
@@ -72,14 +64,6 @@ async function handleTestVerify(interaction, pendingVerifications) {
 
 // Handle /simulate-webhook command (directly simulates a webhook call)
 async function handleSimulateWebhook(interaction, pendingVerifications) {
-  // Check if user is admin
-  if (!interaction.member.roles.cache.has(config.ADMIN_ROLE_ID)) {
-    return await interaction.reply({
-      content: 'You do not have permission to use this command.',
-      ephemeral: true
-    });
-  }
-
   await interaction.deferReply({ ephemeral: true });
 
   const scanRef = interaction.options.getString('scan_ref');
@@ -122,63 +106,7 @@ async function handleSimulateWebhook(interaction, pendingVerifications) {
   }
 }
 
-// Handle /list-pending command (shows all pending verifications)
-async function handleListPending(interaction, pendingVerifications) {
-  // Check if user is admin
-  if (!interaction.member.roles.cache.has(config.ADMIN_ROLE_ID)) {
-    return await interaction.reply({
-      content: 'You do not have permission to use this command.',
-      ephemeral: true
-    });
-  }
-
-  await interaction.deferReply({ ephemeral: true });
-
-  if (pendingVerifications.size === 0) {
-    return await interaction.editReply({
-      content: 'No pending verifications found.',
-      ephemeral: true
-    });
-  }
-
-  const embed = new EmbedBuilder()
-    .setColor(0x0099FF)
-    .setTitle('📋 Pending Verifications')
-    .setDescription(`Total: ${pendingVerifications.size} pending verification(s)`)
-    .setTimestamp();
-
-  const fields = [];
-  let count = 0;
-  
-  for (const [scanRef, verification] of pendingVerifications.entries()) {
-    if (count >= 10) { // Limit to 10 to avoid embed limits
-      fields.push({
-        name: '...',
-        value: `And ${pendingVerifications.size - count} more...`,
-        inline: false
-      });
-      break;
-    }
-
-    const age = Math.round((Date.now() - verification.timestamp) / (1000 * 60)); // minutes
-    fields.push({
-      name: `${verification.ckey} (${verification.type})`,
-      value: `<@${verification.discordId}>\nScan: \`${scanRef.substring(0, 20)}...\`\nAge: ${age}m`,
-      inline: true
-    });
-    count++;
-  }
-
-  embed.addFields(fields);
-
-  await interaction.editReply({
-    embeds: [embed],
-    ephemeral: true
-  });
-}
-
 module.exports = {
   handleTestVerify,
-  handleSimulateWebhook,
-  handleListPending
+  handleSimulateWebhook
 };
\ No newline at end of file
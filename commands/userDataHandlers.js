@@ -0,0 +1,445 @@
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const config = require('../config/config');
+const { getExistingVerification } = require('../services/apiClient');
+const { enqueueDeletion } = require('../services/deletionQueue');
+const { DeletionJobStatus } = require('../utils/DeletionJobStore');
+const {
+  DATA_REQUEST_PREFIX,
+  DataRequestStatus,
+  dataRequests,
+  collectUserData,
+  findOpenDataRequest,
+  createDataRequest,
+  resolveDataRequest,
+  eraseUserData,
+  buildDataRequestMessage
+} = require('../services/dataRequests');
+const { getUserLocale, setUserLocale } = require('../services/localePreferences');
+const { getGuildSettings, isGlobalAdmin } = require('../services/guildSettings');
+const { VerificationState, transitionVerification, findActiveVerification } = require('../services/verificationLifecycle');
+const { t } = require('../utils/i18n');
+const logger = require('../utils/logger');
+const { safeSendDM, formatRoles } = require('../utils/discordHelpers');
+const { logAdminAction } = require('./adminCommandHandlers');
+const { buildResolvedApprovalEmbed } = require('./commandHandlers');
+
+// Custom ID prefix for the Request deletion button on /my-data
+const MY_DATA_PREFIX = 'my-data';
+// Custom ID prefix for the reject reason modal on a data deletion request
+const DATA_REQUEST_REJECT_MODAL_PREFIX = 'data-request-reject';
+
+// iDenfy has already approved these, so they are finished by an admin rather than cancelled
+const UNCANCELLABLE_STATES = [VerificationState.APPROVED, VerificationState.CONFLICT_REVIEW];
+
+// Mark the admin approval request for a verification as handled, if one was posted
+async function resolveApprovalMessage(client, verification, actor) {
+  if (!verification.adminChannelId || !verification.adminMessageId) {
+    return;
+  }
+
+  try {
+    const channel = await client.channels.fetch(verification.adminChannelId);
+    const message = await channel.messages.fetch(verification.adminMessageId);
+    await message.edit({
+      embeds: [buildResolvedApprovalEmbed(message, { color: 0x808080, status: 'Cancelled by user', actor })],
+      components: []
+    });
+  } catch (error) {
+    logger.error(`Failed to update admin message for cancelled verification of ${verification.discordId}:`, error);
+  }
+}
+
+/**
+ * Handle /verify-cancel
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @returns
+ */
+async function handleVerifyCancel(interaction, pendingVerifications, client) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const discordId = interaction.user.id;
+  const locale = getUserLocale(discordId, interaction.locale);
+  const [key, pending] = findActiveVerification(pendingVerifications, discordId) ?? [null, null];
+
+  if (!pending) {
+    return await interaction.editReply({
+      content: t(locale, 'cancel.nothingPending'),
+      ephemeral: true
+    });
+  }
+
+  if (UNCANCELLABLE_STATES.includes(pending.state)) {
+    return await interaction.editReply({
+      content: t(locale, 'cancel.alreadyApproved'),
+      ephemeral: true
+    });
+  }
+
+  transitionVerification(pendingVerifications, key, VerificationState.DENIED, { actor: discordId, note: 'Cancelled by user' });
+  logger.info(`Verification ${key} cancelled by ${interaction.user.username} (${discordId})`);
+
+  // Remove anything iDenfy already holds for the session
+  if (pending.scanRef) {
+    enqueueDeletion(pending.scanRef, { discordId, verificationKey: key, requestedBy: discordId });
+  }
+  await resolveApprovalMessage(client, pending, interaction.user);
+
+  const embed = new EmbedBuilder()
+    .setColor(0xFF6B6B)
+    .setTitle(t(locale, 'cancel.title'))
+    .setDescription(t(locale, 'cancel.description'))
+    .addFields(
+      { name: t(locale, 'field.ckey'), value: pending.ckey, inline: true },
+      { name: t(locale, 'field.reference'), value: key, inline: true },
+      { name: t(locale, 'field.dataDeletion'), value: pending.scanRef ? t(locale, 'common.deletionScheduled') : t(locale, 'cancel.nothingSent'), inline: false }
+    )
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Handle /my-data: show what the bot and backend store about the caller, with a button to request deletion
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ */
+async function handleMyData(interaction, pendingVerifications) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const discordId = interaction.user.id;
+  const locale = getUserLocale(discordId, interaction.locale);
+  const stored = collectUserData(pendingVerifications, discordId);
+
+  let existing = null;
+  let lookupError = null;
+  try {
+    existing = await getExistingVerification(discordId);
+  } catch (error) {
+    logger.error('Error looking up verification:', error);
+    lookupError = error.message || t(locale, 'common.unknownError');
+  }
+
+  const verificationLines = stored.verifications.slice(0, 5).map(([key, verification]) =>
+    `\`${key}\` ${verification.ckey} - ${t(locale, 'myData.verificationLine', { state: verification.state, time: `<t:${Math.floor((verification.updatedAt ?? verification.timestamp) / 1000)}:R>` })}`
+  );
+  const deletionLines = stored.deletionJobs.slice(0, 5).map(([scanRef, job]) =>
+    `\`${scanRef}\` - ${job.status === DeletionJobStatus.DONE ? t(locale, 'myData.deletedAt', { time: `<t:${Math.floor(job.confirmedDeletedAt / 1000)}:R>` }) : job.status}`
+  );
+  const [, openRequest] = findOpenDataRequest(discordId) ?? [null, null];
+
+  const embed = new EmbedBuilder()
+    .setColor(0x0099FF)
+    .setTitle(t(locale, 'myData.title'))
+    .setDescription(t(locale, 'myData.description'))
+    .addFields(
+      {
+        name: t(locale, 'myData.backendRecord'),
+        value: existing
+          ? t(locale, 'myData.backendRecordValue', {
+            ckey: existing.ckey,
+            method: existing.verification_method || t(locale, 'common.unknown'),
+            created: existing.created_at || t(locale, 'common.unknown'),
+            flags: JSON.stringify(existing.verified_flags ?? {})
+          }).slice(0, 1024)
+          : lookupError ? t(locale, 'myData.lookupFailed', { error: lookupError }) : t(locale, 'common.none'),
+        inline: false
+      },
+      {
+        name: t(locale, 'myData.verifications', { count: stored.verifications.length }),
+        value: verificationLines.length > 0 ? verificationLines.join('\n').slice(0, 1024) : t(locale, 'common.none'),
+        inline: false
+      },
+      {
+        name: t(locale, 'myData.failedAttempts'),
+        value: stored.attempts
+          ? (stored.attempts.cooldownUntil > Date.now()
+            ? t(locale, 'myData.failedAttemptsCooldown', { count: stored.attempts.failures, time: `<t:${Math.floor(stored.attempts.cooldownUntil / 1000)}:R>` })
+            : String(stored.attempts.failures))
+          : t(locale, 'common.none'),
+        inline: true
+      },
+      { name: t(locale, 'myData.quotaSessions'), value: String(stored.quotaSessions), inline: true },
+      { name: t(locale, 'myData.fingerprints'), value: stored.fingerprints > 0 ? t(locale, 'myData.fingerprintsValue', { count: stored.fingerprints }) : t(locale, 'common.none'), inline: true },
+      { name: t(locale, 'myData.language'), value: stored.locale ? t(stored.locale, 'language.name') : t(locale, 'myData.languageAuto'), inline: true },
+      {
+        name: t(locale, 'myData.deletions'),
+        value: deletionLines.length > 0 ? deletionLines.join('\n').slice(0, 1024) : t(locale, 'common.none'),
+        inline: false
+      },
+      {
+        name: t(locale, 'myData.deletionRequest'),
+        value: openRequest ? t(locale, 'myData.deletionRequestOpen', { time: `<t:${Math.floor(openRequest.timestamp / 1000)}:R>` }) : t(locale, 'common.none'),
+        inline: false
+      }
+    )
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${MY_DATA_PREFIX}:request-deletion`)
+      .setLabel(t(locale, 'myData.requestDeletion'))
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(Boolean(openRequest))
+  );
+
+  await interaction.editReply({ embeds: [embed], components: [row], ephemeral: true });
+}
+
+/**
+ * Handle /language: pick the language the bot talks to you in, or go back to following your Discord client
+ * @param {import("discord.js").ChatInputCommandInteraction} interaction
+ */
+async function handleLanguage(interaction) {
+  const choice = interaction.options.getString('language', true);
+  setUserLocale(interaction.user.id, choice === 'auto' ? null : choice);
+
+  const locale = getUserLocale(interaction.user.id, interaction.locale);
+  await interaction.reply({
+    content: choice === 'auto'
+      ? t(locale, 'language.reset', { language: t(locale, 'language.name') })
+      : t(locale, 'language.set', { language: t(locale, 'language.name') }),
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle the Request deletion button on /my-data by filing a request for the admins
+ * @param {import("discord.js").ButtonInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @returns
+ */
+async function handleMyDataButton(interaction, pendingVerifications, client) {
+  const discordId = interaction.user.id;
+  const locale = getUserLocale(discordId, interaction.locale);
+
+  if (findOpenDataRequest(discordId)) {
+    return await interaction.update({
+      content: t(locale, 'myData.alreadyRequested'),
+      components: []
+    });
+  }
+
+  // Filed before anything is awaited, so a double click can't file two
+  const [requestId, request] = createDataRequest(interaction.user, interaction.guildId);
+  await interaction.deferUpdate();
+
+  let existing = null;
+  try {
+    existing = await getExistingVerification(discordId);
+  } catch (error) {
+    logger.error('Error looking up verification for data request:', error);
+  }
+
+  try {
+    const adminChannel = await client.channels.fetch(getGuildSettings(config.GUILD_ID).logChannelId);
+    const guildName = interaction.guildId !== config.GUILD_ID ? interaction.guild?.name : undefined;
+    const adminMessage = await adminChannel.send(buildDataRequestMessage(requestId, request, collectUserData(pendingVerifications, discordId), existing, guildName));
+    dataRequests.set(requestId, { ...request, adminChannelId: adminMessage.channelId, adminMessageId: adminMessage.id });
+  } catch (error) {
+    // Nobody would ever see the request, so don't leave it open
+    logger.error(`Failed to post data deletion request ${requestId}:`, error);
+    dataRequests.delete(requestId);
+    return await interaction.followUp({
+      content: t(locale, 'myData.requestFailed'),
+      ephemeral: true
+    });
+  }
+
+  await interaction.editReply({
+    content: t(locale, 'myData.requestSent', { requestId }),
+    components: []
+  });
+}
+
+/**
+ * Handle the Erase / Reject buttons on a data deletion request
+ * @param {import("discord.js").ButtonInteraction} interaction
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {import("discord.js").Client} client
+ * @returns
+ */
+async function handleDataRequestButton(interaction, pendingVerifications, client) {
+  if (!isGlobalAdmin(interaction)) {
+    return await interaction.reply({
+      content: 'You do not have permission to use this command.',
+      ephemeral: true
+    });
+  }
+
+  const [, action, requestId] = interaction.customId.split(':');
+  const request = dataRequests.get(requestId);
+
+  if (request?.status !== DataRequestStatus.OPEN) {
+    await interaction.update({ components: [] });
+    return await interaction.followUp({
+      content: 'This data deletion request has already been handled or no longer exists.',
+      ephemeral: true
+    });
+  }
+
+  switch (action) {
+    case 'erase': {
+      // Claimed before anything is awaited, so a second Erase (or a Reject) sees it as handled
+      dataRequests.set(requestId, { ...request, status: DataRequestStatus.ERASING });
+      await interaction.deferUpdate();
+
+      // Looked up first, since erasing removes the user's language choice too
+      const locale = getUserLocale(request.discordId, pendingVerifications.findBy('discordId', request.discordId)[0]?.[1].locale);
+      let erased;
+      try {
+        erased = await eraseUserData(client, pendingVerifications, request.discordId, interaction.user.id);
+      } catch (error) {
+        logger.error(`Failed to erase data for request ${requestId}:`, error);
+        // Erasing again is safe, so an admin can retry whatever was left
+        dataRequests.set(requestId, { ...dataRequests.get(requestId), status: DataRequestStatus.OPEN });
+        return await interaction.followUp({
+          content: `Failed to erase data: ${error.message}`,
+          ephemeral: true
+        });
+      }
+
+      const backendRecordLeft = erased.backendRecord === 'manual';
+      const fields = [
+        { name: 'Target', value: `<@${request.discordId}> (${request.username})`, inline: true },
+        {
+          name: 'Backend Record',
+          value: backendRecordLeft
+            ? `Not removed, remove it by hand: ${erased.backendError}`.slice(0, 1024)
+            : erased.backendRecord === 'removed' ? 'Removed' : 'None found',
+          inline: true
+        },
+        { name: 'Verifications Removed', value: String(erased.verifications), inline: true },
+        { name: 'iDenfy Deletions Queued', value: String(erased.deletionsQueued), inline: true },
+        { name: 'Fingerprints Removed', value: String(erased.fingerprints), inline: true },
+        { name: 'Roles Removed', value: formatRoles(erased.rolesRemoved), inline: true }
+      ];
+      resolveDataRequest(requestId, DataRequestStatus.COMPLETED, interaction.user.id,
+        `backend ${backendRecordLeft ? 'left for manual removal' : erased.backendRecord}, ${erased.verifications} verifications, ${erased.deletionsQueued} iDenfy deletions, ${erased.fingerprints} fingerprints`);
+      if (backendRecordLeft) {
+        dataRequests.set(requestId, { ...dataRequests.get(requestId), backendRecordLeft: true });
+      }
+
+      const embed = new EmbedBuilder()
+        .setColor(0x00AA00)
+        .setTitle(t(locale, 'dm.dataErased.title'))
+        .setDescription(t(locale, 'dm.dataErased.description'))
+        .setTimestamp();
+      const userNotified = await safeSendDM(client, request.discordId, { embeds: [embed] });
+
+      await logAdminAction(client, interaction, 'Erase User Data', fields, 0xFF0000, { target: request.discordId, note: `Data request ${requestId}` });
+      return await interaction.editReply({
+        embeds: [buildResolvedApprovalEmbed(interaction.message, {
+          color: backendRecordLeft ? 0xFFAA00 : 0x00FF00,
+          status: backendRecordLeft ? 'Erased, except the backend record ⚠️' : 'Erased ✅',
+          actor: interaction.user,
+          fields: [
+            { name: 'User Notified', value: userNotified ? 'Yes' : 'No - DM failed', inline: true },
+            ...(backendRecordLeft ? [{ name: 'Backend Record', value: 'Not removed, remove it by hand', inline: true }] : [])
+          ]
+        })],
+        components: []
+      });
+    }
+    case 'reject': {
+      const modal = new ModalBuilder()
+        .setCustomId(`${DATA_REQUEST_REJECT_MODAL_PREFIX}:${requestId}`)
+        .setTitle('Reject Data Deletion Request')
+        .addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('reason')
+              .setLabel('Reason (sent to the user)')
+              .setStyle(TextInputStyle.Paragraph)
+              .setRequired(true)
+              .setMaxLength(1000)
+          )
+        );
+
+      return await interaction.showModal(modal);
+    }
+    default:
+      logger.warn(`Unknown data request action: ${action}`);
+  }
+}
+
+/**
+ * Handle the reject reason modal submitted from a data deletion request
+ * @param {import("discord.js").ModalSubmitInteraction} interaction
+ * @param {import("discord.js").Client} client
+ * @returns
+ */
+async function handleDataRequestRejectModal(interaction, client) {
+  if (!isGlobalAdmin(interaction)) {
+    return await interaction.reply({
+      content: 'You do not have permission to use this command.',
+      ephemeral: true
+    });
+  }
+
+  const [, requestId] = interaction.customId.split(':');
+  const reason = interaction.fields.getTextInputValue('reason');
+  const request = dataRequests.get(requestId);
+
+  if (request?.status !== DataRequestStatus.OPEN) {
+    return await interaction.reply({
+      content: 'This data deletion request has already been handled or no longer exists.',
+      ephemeral: true
+    });
+  }
+
+  resolveDataRequest(requestId, DataRequestStatus.REJECTED, interaction.user.id, reason);
+
+  const locale = getUserLocale(request.discordId);
+  const embed = new EmbedBuilder()
+    .setColor(0xFF0000)
+    .setTitle(t(locale, 'dm.dataRequestRejected.title'))
+    .setDescription(t(locale, 'dm.dataRequestRejected.description'))
+    .addFields({ name: t(locale, 'field.reason'), value: reason, inline: false })
+    .setTimestamp();
+  const userNotified = await safeSendDM(client, request.discordId, { embeds: [embed] });
+
+  await logAdminAction(client, interaction, 'Reject Data Request', [
+    { name: 'Target', value: `<@${request.discordId}> (${request.username})`, inline: true },
+    { name: 'User Notified', value: userNotified ? 'Yes' : 'No - DM failed', inline: true },
+    { name: 'Reason', value: reason, inline: false }
+  ], 0xFF0000, { target: request.discordId, note: reason, mirror: false });
+
+  const resolvedEmbed = buildResolvedApprovalEmbed(interaction.message, {
+    color: 0xFF0000,
+    status: 'Rejected ❌',
+    actor: interaction.user,
+    fields: [
+      { name: 'Reason', value: reason, inline: false },
+      { name: 'User Notified', value: userNotified ? 'Yes' : 'No - DM failed', inline: true }
+    ]
+  });
+
+  if (interaction.isFromMessage()) {
+    return await interaction.update({ embeds: [resolvedEmbed], components: [] });
+  }
+
+  await interaction.reply({ embeds: [resolvedEmbed] });
+}
+
+module.exports = {
+  handleVerifyCancel,
+  handleMyData,
+  handleLanguage,
+  handleMyDataButton,
+  handleDataRequestButton,
+  handleDataRequestRejectModal,
+  MY_DATA_PREFIX,
+  DATA_REQUEST_PREFIX,
+  DATA_REQUEST_REJECT_MODAL_PREFIX
+};
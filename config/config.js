@@ -1,3 +1,4 @@
+const path = require('path');
 const { BooleanLike } = require('../utils/other');
 
 require('dotenv').config();
@@ -7,18 +8,74 @@ module.exports = {
   API_BASE_URL: process.env.API_BASE_URL || "http://localhost:3000",
   API_USERNAME: process.env.API_USERNAME,
   API_PASSWORD: process.env.API_PASSWORD,
+  API_SUPPORTS_CKEY_LOOKUP: BooleanLike(process.env.API_SUPPORTS_CKEY_LOOKUP),
+  API_SUPPORTS_REVOKE: BooleanLike(process.env.API_SUPPORTS_REVOKE),
   IDENFY_API_KEY: process.env.IDENFY_API_KEY,
   IDENFY_API_SECRET: process.env.IDENFY_API_SECRET,
   IDENFY_BASE_URL: process.env.IDENFY_BASE_URL || "https://ivs.idenfy.com",
   DAILY_VERIFICATION_LIMIT:
     parseInt(process.env.DAILY_VERIFICATION_LIMIT) || 25,
+  WEEKLY_VERIFICATION_LIMIT:
+    parseInt(process.env.WEEKLY_VERIFICATION_LIMIT) ||
+    (parseInt(process.env.DAILY_VERIFICATION_LIMIT) || 25) * 7,
+  QUOTA_WINDOW: (process.env.QUOTA_WINDOW || "calendar").toLowerCase(),
+  QUOTA_TIMEZONE: process.env.QUOTA_TIMEZONE || "UTC",
+  QUOTA_FAIL_POLICY: (process.env.QUOTA_FAIL_POLICY || "open").toLowerCase(),
+  VERIFY_COOLDOWN_MINUTES:
+    parseInt(process.env.VERIFY_COOLDOWN_MINUTES ?? 60) || 0,
+  VERIFY_MAX_RETRIES: parseInt(process.env.VERIFY_MAX_RETRIES ?? 3) || 0,
   ADMIN_ROLE_ID: process.env.ADMIN_ROLE_ID,
   VERIFICATION_CHANNEL_ID: process.env.VERIFICATION_CHANNEL_ID,
   DEBUG: BooleanLike(process.env.DEBUG_MODE ?? process.env.DEBUG),
   GUILD_ID: process.env.GUILD_ID,
+  TRUSTED_GUILD_IDS: (process.env.TRUSTED_GUILD_IDS || "")
+    .split(",")
+    .map(id => id.trim())
+    .filter(Boolean),
   WEBHOOK_PORT: process.env.WEBHOOK_PORT || 3001,
+  BYOND_BASE_URL: process.env.BYOND_BASE_URL || "https://www.byond.com",
+  BYOND_OWNERSHIP_METHOD:
+    (process.env.BYOND_OWNERSHIP_METHOD || "profile").toLowerCase(),
+  BYOND_OWNERSHIP_SECRET: process.env.BYOND_OWNERSHIP_SECRET,
+  BYOND_CHALLENGE_TTL_MINUTES:
+    parseInt(process.env.BYOND_CHALLENGE_TTL_MINUTES) || 30,
+  IDENFY_WEBHOOK_SIGNING_KEY: process.env.IDENFY_WEBHOOK_SIGNING_KEY,
+  IDENTITY_HASH_SALT: process.env.IDENTITY_HASH_SALT,
+  WEBHOOK_MAX_AGE_SECONDS:
+    parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS) || 24 * 60 * 60,
+  WEBHOOK_TRUST_PROXY: process.env.WEBHOOK_TRUST_PROXY,
   VERIFIED_ROLE_ID: process.env.VERIFIED_ROLE_ID,
+  VETTED_ROLE_ID: process.env.VETTED_ROLE_ID,
+  ROLE_MAPPING_FILE: process.env.ROLE_MAPPING_FILE,
+  ROLE_SYNC_INTERVAL_HOURS:
+    parseInt(process.env.ROLE_SYNC_INTERVAL_HOURS ?? 0) || 0,
+  ROLE_SYNC_DRY_RUN: BooleanLike(process.env.ROLE_SYNC_DRY_RUN ?? true),
+  ROLE_SYNC_MAX_REMOVALS:
+    parseInt(process.env.ROLE_SYNC_MAX_REMOVALS ?? 25) || 0,
+  IDENFY_POLL_ENABLED: BooleanLike(process.env.IDENFY_POLL_ENABLED ?? true),
+  IDENFY_POLL_AFTER_MINUTES:
+    parseInt(process.env.IDENFY_POLL_AFTER_MINUTES) || 15,
+  IDENFY_POLL_INTERVAL_MINUTES:
+    parseInt(process.env.IDENFY_POLL_INTERVAL_MINUTES) || 5,
+  IDENFY_POLL_MAX_BACKOFF_MINUTES:
+    parseInt(process.env.IDENFY_POLL_MAX_BACKOFF_MINUTES) || 6 * 60,
+  DELETION_MAX_ATTEMPTS: parseInt(process.env.DELETION_MAX_ATTEMPTS) || 12,
+  DELETION_MAX_BACKOFF_MINUTES:
+    parseInt(process.env.DELETION_MAX_BACKOFF_MINUTES) || 60,
+  DELETION_PROOF_RETENTION_DAYS:
+    parseInt(process.env.DELETION_PROOF_RETENTION_DAYS) || 365,
+  STORAGE_DRIVER: (process.env.STORAGE_DRIVER || "json").toLowerCase(),
+  DATA_DIR: process.env.DATA_DIR || path.join(__dirname, "..", "data"),
+  SQLITE_FILE:
+    process.env.SQLITE_FILE ||
+    path.join(process.env.DATA_DIR || path.join(__dirname, "..", "data"), "veyra.sqlite"),
+  AUDIT_LOG_FILE:
+    process.env.AUDIT_LOG_FILE ||
+    path.join(process.env.DATA_DIR || path.join(__dirname, "..", "data"), "audit_log.jsonl"),
+  AUDIT_CHANNEL_ID: process.env.AUDIT_CHANNEL_ID,
+  AUDIT_MIRROR: (process.env.AUDIT_MIRROR || "admin").toLowerCase(),
   SENTRY_DSN: process.env.SENTRY_DSN,
   LOGGER_NEW: BooleanLike(process.env.LOGGER_NEW),
   LOGGER_PRETTY: BooleanLike(process.env.LOGGER_PRETTY),
+  EMBED_TEMPLATES_FILE: process.env.EMBED_TEMPLATES_FILE,
 };
\ No newline at end of file
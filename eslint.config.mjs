@@ -21,6 +21,10 @@ export default defineConfig([
     files: ["**/*.js"],
     languageOptions: { sourceType: "commonjs" },
   },
+  {
+    files: ["test/**/*.test.js"],
+    languageOptions: { globals: globals.jest },
+  },
   {
     files: ["**/*.json"],
     plugins: { json },
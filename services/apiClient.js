@@ -1,9 +1,24 @@
 const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { timeRequest } = require('../utils/metrics');
 
 let jwtToken = null;
 
+// Thrown instead of calling an optional endpoint the backend hasn't been configured as having
+class UnsupportedEndpointError extends Error {
+  /**
+   * @param {string} endpoint e.g. `DELETE /api/v1/verify/{discord_id}`
+   * @param {string} setting The config setting that turns the endpoint on
+   */
+  constructor(endpoint, setting) {
+    super(`The Veyra backend isn't set up for ${endpoint}, set ${setting} once it supports it`);
+    this.name = 'UnsupportedEndpointError';
+    this.endpoint = endpoint;
+    this.setting = setting;
+  }
+}
+
 // Axios instance for API calls
 const api = axios.create({
   baseURL: config.API_BASE_URL,
@@ -37,10 +52,10 @@ api.interceptors.response.use(
 // Authenticate with the API
 async function authenticateAPI() {
   try {
-    const response = await axios.post(`${config.API_BASE_URL}/api/auth/login`, {
+    const response = await timeRequest('api', 'login', () => axios.post(`${config.API_BASE_URL}/api/auth/login`, {
       username: config.API_USERNAME,
       password: config.API_PASSWORD
-    });
+    }));
     jwtToken = response.data.token;
     logger.debug('Successfully authenticated with API');
   } catch (error) {
@@ -50,17 +65,34 @@ async function authenticateAPI() {
 }
 
 /**
- * Check if daily verification limit is exceeded
- * @returns {Promise<boolean>}
+ * Whether we hold a backend JWT that hasn't expired yet
+ * @returns {boolean}
+ */
+function hasValidToken() {
+  if (!jwtToken) {
+    return false;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(jwtToken.split('.')[1], 'base64url').toString());
+    // Tokens without an expiry stay valid until the API rejects them
+    return !payload.exp || payload.exp * 1000 > Date.now();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the number of recent verifications reported by the API's analytics.
+ * @returns {Promise<number>}
  */
-async function checkDailyLimit() {
+async function getRecentVerificationCount() {
   try {
-    const response = await api.get('/api/analytics');
-    const { recent_verifications } = response.data;
-    return recent_verifications >= config.DAILY_VERIFICATION_LIMIT;
+    const response = await timeRequest('api', 'analytics', () => api.get('/api/analytics'));
+    return Number(response.data.recent_verifications) || 0;
   } catch (error) {
-    logger.error('Failed to check daily limit:', error.message);
-    return false; // Allow verification on error
+    logger.error('Failed to get recent verification count:', error.message);
+    throw error;
   }
 }
 
@@ -70,14 +102,16 @@ async function checkDailyLimit() {
  * @param {string} ckey The user's Ckey.
  * @param {boolean} [debugMode=false] A flag to enable debug verification method.
  * @param {string} [scan_ref] A reference ID for the verification scan.
+ * @param {string} [verifiedBy] Discord ID of the admin who performed the verification, if any.
+ * @param {boolean} [byondVerified=true] Whether the user proved they own the ckey.
  * @returns {Promise<VerificationSuccessResponse>}
  */
-async function submitVerification(discordId, ckey, debugMode = false, scan_ref) {
+async function submitVerification(discordId, ckey, debugMode = false, scan_ref, verifiedBy, byondVerified = true) {
   const verificationData = {
     discord_id: discordId,
     ckey: ckey,
     verified_flags: {
-      byond_verified: true,
+      byond_verified: byondVerified,
       id_verified: true,
       scan_ref: scan_ref
     },
@@ -88,8 +122,12 @@ async function submitVerification(discordId, ckey, debugMode = false, scan_ref)
     verificationData.verified_flags.debug = true;
   }
 
+  if (verifiedBy) {
+    verificationData.verified_by = verifiedBy;
+  }
+
   try {
-    const response = await api.post('/api/v1/verify', verificationData);
+    const response = await timeRequest('api', 'submit_verification', () => api.post('/api/v1/verify', verificationData));
     return response.data;
   } catch (error) {
     logger.error('Failed to submit verification:', error.message);
@@ -104,7 +142,29 @@ async function submitVerification(discordId, ckey, debugMode = false, scan_ref)
  */
 async function getExistingVerification(discordId) {
   try {
-    const response = await api.get(`/api/v1/verify/${discordId}`);
+    const response = await timeRequest('api', 'get_verification', () => api.get(`/api/v1/verify/${discordId}`));
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null; // Not found is expected
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns existing verification data for a ckey, or null if not found.
+ * @param {string} ckey The user's ckey
+ * @returns {Promise<VerificationGetResponse | null>}
+ * @throws {UnsupportedEndpointError} Unless API_SUPPORTS_CKEY_LOOKUP is on
+ */
+async function getVerificationByCkey(ckey) {
+  if (!config.API_SUPPORTS_CKEY_LOOKUP) {
+    throw new UnsupportedEndpointError('GET /api/v1/verify/ckey/{ckey}', 'API_SUPPORTS_CKEY_LOOKUP');
+  }
+
+  try {
+    const response = await timeRequest('api', 'get_verification_by_ckey', () => api.get(`/api/v1/verify/ckey/${encodeURIComponent(ckey)}`));
     return response.data;
   } catch (error) {
     if (error.response?.status === 404) {
@@ -114,9 +174,36 @@ async function getExistingVerification(discordId) {
   }
 }
 
+/**
+ * Removes a Discord user's verification from the API.
+ * @param {string} discordId The user's Discord ID
+ * @returns {Promise<boolean>} false if there was no verification to remove
+ * @throws {UnsupportedEndpointError} Unless API_SUPPORTS_REVOKE is on
+ */
+async function revokeVerification(discordId) {
+  if (!config.API_SUPPORTS_REVOKE) {
+    throw new UnsupportedEndpointError('DELETE /api/v1/verify/{discord_id}', 'API_SUPPORTS_REVOKE');
+  }
+
+  try {
+    await timeRequest('api', 'revoke_verification', () => api.delete(`/api/v1/verify/${discordId}`));
+    return true;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return false;
+    }
+    logger.error('Failed to revoke verification:', error.message);
+    throw error;
+  }
+}
+
 module.exports = {
+  UnsupportedEndpointError,
   authenticateAPI,
-  checkDailyLimit,
+  hasValidToken,
+  getRecentVerificationCount,
   submitVerification,
-  getExistingVerification
+  getExistingVerification,
+  getVerificationByCkey,
+  revokeVerification
 };
\ No newline at end of file
@@ -0,0 +1,168 @@
+const { EmbedBuilder } = require('discord.js');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { AuditLogStore } = require('../utils/AuditLogStore');
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+const AuditCategory = Object.freeze({
+  VERIFICATION: 'verification', // A verification changed state
+  ADMIN: 'admin',               // An admin ran a command or pressed a button
+  ROLE: 'role'                  // The bot added or removed a role on its own
+});
+
+// Which entries are posted to Discord, by AUDIT_MIRROR
+const MIRROR_FILTERS = Object.freeze({
+  none: () => false,
+  admin: entry => entry.category === AuditCategory.ADMIN,
+  all: () => true
+});
+
+const CSV_COLUMNS = ['id', 'timestamp', 'category', 'action', 'actor', 'actorName', 'target', 'ckey', 'scanRef', 'before', 'after', 'note', 'details'];
+
+const auditLog = new AuditLogStore(config.AUDIT_LOG_FILE);
+
+let mirrorClient = null;
+// Posts go out one at a time so the channel reads in the order things happened
+let mirrorQueue = Promise.resolve();
+
+/**
+ * Post audit entries to AUDIT_CHANNEL_ID (or the verification channel) from now on, as set by AUDIT_MIRROR
+ * @param {import("discord.js").Client} client
+ */
+function startAuditMirror(client) {
+  if (!MIRROR_FILTERS[config.AUDIT_MIRROR]) {
+    throw new Error(`Unknown AUDIT_MIRROR: ${config.AUDIT_MIRROR} (expected "admin", "all" or "none")`);
+  }
+  mirrorClient = client;
+}
+
+/**
+ * The Discord embed for an audit entry
+ * @param {import("../utils/AuditLogStore").AuditEntry} entry
+ * @param {number} [color]
+ * @returns {EmbedBuilder}
+ */
+function buildAuditEmbed(entry, color) {
+  const actor = /^\d+$/.test(entry.actor) ? `<@${entry.actor}>${entry.actorName ? ` (${entry.actorName})` : ''}` : entry.actor;
+  const stateChange = entry.after ? `${entry.before ?? 'new'} → ${entry.after}` : null;
+
+  if (entry.category === AuditCategory.ADMIN) {
+    return new EmbedBuilder()
+      .setColor(color ?? 0x0099FF)
+      .setTitle(`Admin Action: ${entry.label ?? entry.action}`)
+      .addFields(
+        { name: 'Admin', value: actor, inline: true },
+        ...(entry.details ?? []),
+        ...(stateChange && !entry.details?.some(({ name }) => name === 'State') ? [{ name: 'State', value: stateChange, inline: true }] : [])
+      )
+      .setTimestamp(entry.timestamp);
+  }
+
+  return new EmbedBuilder()
+    .setColor(color ?? 0x808080)
+    .setTitle(entry.label ?? `Verification ${stateChange ?? entry.action}`)
+    .addFields(
+      { name: 'User', value: entry.target ? `<@${entry.target}>` : 'Unknown', inline: true },
+      { name: 'CKEY', value: entry.ckey ?? 'Unknown', inline: true },
+      { name: 'Reference', value: entry.scanRef ?? 'None', inline: true },
+      { name: 'Actor', value: actor, inline: true },
+      ...(entry.note ? [{ name: 'Note', value: entry.note.slice(0, 1024), inline: false }] : [])
+    )
+    .setTimestamp(entry.timestamp);
+}
+
+/**
+ * Append an entry to the audit log and mirror it to Discord
+ * @param {Omit<import("../utils/AuditLogStore").AuditEntry, 'id' | 'timestamp'>} fields
+ * @param {{ mirror?: boolean, color?: number, client?: import("discord.js").Client }} [options]
+ *   `mirror: false` for actions already visible in the channel
+ * @returns {Promise<import("../utils/AuditLogStore").AuditEntry>} Resolves once the entry has been posted, never rejects
+ */
+function recordAudit(fields, { mirror = true, color, client = mirrorClient } = {}) {
+  const entry = auditLog.append(fields);
+
+  if (mirror && client && MIRROR_FILTERS[config.AUDIT_MIRROR](entry)) {
+    // Required here, not at the top: PersistentMap loads this module through the lifecycle, and
+    // discordHelpers needs the guild settings, which are a PersistentMap
+    const { sendToVerificationChannel } = require('../utils/discordHelpers');
+    mirrorQueue = mirrorQueue
+      .then(() => sendToVerificationChannel(client, { embeds: [buildAuditEmbed(entry, color)] }, config.AUDIT_CHANNEL_ID || undefined))
+      .catch(error => logger.error(`Failed to mirror audit entry ${entry.id}:`, error.message));
+    return mirrorQueue.then(() => entry);
+  }
+  return Promise.resolve(entry);
+}
+
+/**
+ * Record a verification moving between states
+ * @param {string} key
+ * @param {{ discordId: string, ckey: string }} verification
+ * @param {string | null} before null for a new verification
+ * @param {string} after
+ * @param {{ actor: string, note?: string }} meta
+ */
+function recordVerificationChange(key, verification, before, after, { actor, note }) {
+  recordAudit({
+    category: AuditCategory.VERIFICATION,
+    action: `verification.${after}`,
+    actor,
+    target: verification.discordId,
+    ckey: verification.ckey,
+    scanRef: key,
+    ...(before && { before }),
+    after,
+    ...(note && { note })
+  });
+}
+
+// Quote a CSV cell, and defuse values a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {import("../utils/AuditLogStore").AuditEntry[]} entries
+ * @returns {string}
+ */
+function toCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    switch (column) {
+      case 'timestamp':
+        return csvCell(new Date(entry.timestamp).toISOString());
+      case 'details':
+        return csvCell(entry.details?.map(({ name, value }) => `${name}: ${value}`).join('; '));
+      default:
+        return csvCell(entry[column]);
+    }
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * @param {import("../utils/AuditLogStore").AuditEntry[]} entries
+ * @returns {string}
+ */
+function toJsonl(entries) {
+  return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+}
+
+module.exports = {
+  AuditCategory,
+  auditLog,
+  startAuditMirror,
+  buildAuditEmbed,
+  recordAudit,
+  recordVerificationChange,
+  toCsv,
+  toJsonl
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const { getByondProfile } = require('./byondService');
+const { VerificationState, createVerification, updateVerification } = require('./verificationLifecycle');
+
+// No 0/O or 1/I so the code survives being read off a screen and typed in-game
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * @typedef {Object} OwnershipVerifier
+ * @property {(ckey: string, code: string, locale: string) => string} instructions What the user has to do with the code
+ * @property {(ckey: string, code: string) => Promise<boolean>} [check] Checks the code on demand (a Check button);
+ *  verifiers without one are only passed by the game server calling back
+ */
+
+/** @type {Record<string, OwnershipVerifier>} */
+const OWNERSHIP_VERIFIERS = {
+  profile: {
+    instructions: (ckey, code, locale) =>
+      t(locale, 'ownership.profileInstructions', { code, url: `${config.BYOND_BASE_URL}/members/${ckey}` }),
+    check: async (ckey, code) => {
+      const profile = await getByondProfile(ckey);
+      return profile?.toUpperCase().includes(code) ?? false;
+    }
+  },
+  callback: {
+    instructions: (ckey, code, locale) =>
+      t(locale, 'ownership.callbackInstructions', { ckey, code })
+  }
+};
+
+/**
+ * The verifier for the configured ownership method, or null if ownership checks are disabled
+ * @param {string} [method=config.BYOND_OWNERSHIP_METHOD]
+ * @returns {OwnershipVerifier | null}
+ */
+function getOwnershipVerifier(method = config.BYOND_OWNERSHIP_METHOD) {
+  return OWNERSHIP_VERIFIERS[method] ?? null;
+}
+
+/**
+ * @returns {string} A one-time code like VEYRA-7KQ2MX9P
+ */
+function generateChallengeCode() {
+  // 256 is a multiple of the alphabet size, so every character is equally likely
+  const code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `VEYRA-${code}`;
+}
+
+/**
+ * Store a new verification waiting for the user to prove they own the ckey
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {{ discordId: string, ckey: string, userId: string, username: string }} fields
+ * @returns {[string, object]} The verification ID and entry
+ */
+function startOwnershipChallenge(store, fields) {
+  const key = uuidv4();
+  const entry = createVerification(store, key, {
+    ...fields,
+    challengeCode: generateChallengeCode(),
+    challengeExpiresAt: Date.now() + config.BYOND_CHALLENGE_TTL_MINUTES * 60 * 1000,
+    ownershipMethod: config.BYOND_OWNERSHIP_METHOD
+  }, VerificationState.BYOND_CHALLENGE, { actor: fields.discordId, note: `${config.BYOND_OWNERSHIP_METHOD} challenge` });
+
+  return [key, entry];
+}
+
+/**
+ * @param {{ state: string, challengeExpiresAt?: number }} verification
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isChallengeExpired(verification, now = Date.now()) {
+  return verification.state === VerificationState.BYOND_CHALLENGE && verification.challengeExpiresAt < now;
+}
+
+/**
+ * The open challenge for a ckey with the given code, as reported by the game server
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {string} ckey Canonical ckey
+ * @param {string} code
+ * @returns {[string, object] | undefined}
+ */
+function findOwnershipChallenge(store, ckey, code) {
+  const normalized = String(code ?? '').trim().toUpperCase();
+  return store.findBy('ckey', ckey).find(([, verification]) =>
+    verification.state === VerificationState.BYOND_CHALLENGE &&
+    verification.challengeCode === normalized &&
+    !isChallengeExpired(verification));
+}
+
+/**
+ * Record that the user proved they own the ckey. The verification stays in the
+ * challenge state until an iDenfy session or approval request is created for it.
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {string} key
+ * @param {string} method The verifier that passed
+ * @returns {object} The updated entry
+ */
+function passOwnershipChallenge(store, key, method) {
+  const entry = updateVerification(store, key, { byondVerifiedAt: Date.now(), byondVerifiedMethod: method });
+  logger.info(`Verification ${key}: ownership of ${entry.ckey} proven by ${entry.discordId} (${method})`);
+  return entry;
+}
+
+module.exports = {
+  getOwnershipVerifier,
+  generateChallengeCode,
+  startOwnershipChallenge,
+  isChallengeExpired,
+  findOwnershipChallenge,
+  passOwnershipChallenge
+};
@@ -0,0 +1,84 @@
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { timeRequest } = require('../utils/metrics');
+
+// BYOND keys are at most 30 characters and always start with a letter
+const CKEY_PATTERN = /^[a-z][a-z0-9]{0,29}$/;
+
+// Why a ckey can't be used; each is also the locale key `ckey.<problem>` explaining it
+const CkeyProblem = Object.freeze({
+  EMPTY: 'empty',
+  FORMAT: 'format',
+  GUEST: 'guest'
+});
+
+/**
+ * Convert a BYOND key to its ckey the same way BYOND does: lowercase with everything but letters and digits removed
+ * @param {string} key
+ * @returns {string}
+ */
+function canonicalizeCkey(key) {
+  return String(key ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Returns why a canonical ckey can't be used, or null if it is well-formed
+ * @param {string} ckey
+ * @returns {string | null} A CkeyProblem, shown to users with t(locale, `ckey.${problem}`)
+ */
+function validateCkey(ckey) {
+  if (!ckey) {
+    return CkeyProblem.EMPTY;
+  }
+  if (!CKEY_PATTERN.test(ckey)) {
+    return CkeyProblem.FORMAT;
+  }
+  if (/^guest\d+$/.test(ckey)) {
+    return CkeyProblem.GUEST;
+  }
+  return null;
+}
+
+/**
+ * Fetch the text version of a BYOND member profile
+ * @param {string} ckey Canonical ckey
+ * @returns {Promise<string | null>} null if BYOND has no such account
+ * @throws If BYOND couldn't be reached
+ */
+async function getByondProfile(ckey) {
+  try {
+    const response = await timeRequest('byond', 'profile', () => axios.get(`${config.BYOND_BASE_URL}/members/${encodeURIComponent(ckey)}`, {
+      params: { format: 'text' },
+      responseType: 'text',
+      timeout: 10000
+    }));
+
+    // Existing members have a `key = "..."` line, unknown ones get an empty or error page
+    return /^\s*key\s*=/m.test(response.data) ? response.data : null;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    logger.error(`Failed to look up BYOND account ${ckey}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Check the BYOND public profile endpoint for a ckey
+ * @param {string} ckey Canonical ckey
+ * @returns {Promise<boolean>} false if BYOND has no such account
+ * @throws If BYOND couldn't be reached
+ */
+async function byondAccountExists(ckey) {
+  return await getByondProfile(ckey) !== null;
+}
+
+module.exports = {
+  canonicalizeCkey,
+  CkeyProblem,
+  validateCkey,
+  getByondProfile,
+  byondAccountExists
+};
@@ -0,0 +1,225 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { revokeVerification } = require('./apiClient');
+const { deletionJobs, enqueueDeletion } = require('./deletionQueue');
+const { getGuildSettings } = require('./guildSettings');
+const { identityFingerprints } = require('./identityConflicts');
+const { localePreferences } = require('./localePreferences');
+const { quotaSessions, quotaUsers } = require('./quotaTracker');
+const { VerificationState, isActive, transitionVerification } = require('./verificationLifecycle');
+const logger = require('../utils/logger');
+const { PersistentMap } = require('../utils/PersistentMap');
+const { removeVerifiedRoles } = require('../utils/discordHelpers');
+
+// Custom ID prefix for the Erase / Reject buttons on a data deletion request
+const DATA_REQUEST_PREFIX = 'data-request';
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+const DataRequestStatus = Object.freeze({
+  OPEN: 'open',           // Waiting for an admin
+  ERASING: 'erasing',     // An admin clicked Erase and it is running
+  COMPLETED: 'completed', // Data erased
+  REJECTED: 'rejected'    // Declined by an admin, with a reason
+});
+
+/**
+ * @typedef {Object} DataRequest
+ * @property {string} discordId
+ * @property {string} username
+ * @property {DataRequestStatus} status
+ * @property {string} [guildId] Server the request was made in
+ * @property {number} timestamp When the user filed it
+ * @property {string} [adminChannelId]
+ * @property {string} [adminMessageId]
+ * @property {string} [resolvedBy]
+ * @property {number} [resolvedAt]
+ * @property {string} [resolution] What was erased, or why it was rejected
+ * @property {boolean} [backendRecordLeft] Erased, but the backend record has to be removed by hand
+ */
+
+// Data deletion requests keyed by request ID, kept as a record of how each one was handled
+const dataRequests = new PersistentMap('data_requests', {
+  indexes: ['discordId', 'status'],
+  validate: request => (request?.discordId && request.status && typeof request.timestamp === 'number' ? null : 'invalid data request')
+});
+
+/**
+ * @typedef {Object} StoredUserData
+ * @property {Array<[string, object]>} verifications Pending and recent verifications, newest first
+ * @property {{ failures: number, cooldownUntil?: number } | undefined} attempts
+ * @property {number} quotaSessions iDenfy sessions still counted against the quota
+ * @property {number} fingerprints Salted identity fingerprints
+ * @property {string | undefined} locale Language picked with /language
+ * @property {Array<[string, import("../utils/DeletionJobStore").DeletionJob]>} deletionJobs
+ */
+
+/**
+ * Everything the bot itself stores about a Discord account
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} discordId
+ * @returns {StoredUserData}
+ */
+function collectUserData(pendingVerifications, discordId) {
+  return {
+    verifications: pendingVerifications.findBy('discordId', discordId)
+      .sort(([, a], [, b]) => (b.updatedAt ?? b.timestamp) - (a.updatedAt ?? a.timestamp)),
+    attempts: quotaUsers.get(discordId),
+    quotaSessions: quotaSessions.findBy('discordId', discordId).length,
+    fingerprints: identityFingerprints.findBy('discordId', discordId).length,
+    locale: localePreferences.get(discordId)?.locale,
+    deletionJobs: deletionJobs.findBy('discordId', discordId)
+  };
+}
+
+/**
+ * @param {string} discordId
+ * @returns {[string, DataRequest] | undefined}
+ */
+function findOpenDataRequest(discordId) {
+  return dataRequests.findBy('discordId', discordId).find(([, request]) =>
+    request.status === DataRequestStatus.OPEN || request.status === DataRequestStatus.ERASING);
+}
+
+/**
+ * File a data deletion request for an admin to handle
+ * @param {{ id: string, username: string }} user
+ * @param {string} [guildId] Server the request was made in
+ * @returns {[string, DataRequest]}
+ */
+function createDataRequest(user, guildId) {
+  const requestId = uuidv4();
+  const request = {
+    discordId: user.id,
+    username: user.username,
+    ...(guildId && { guildId }),
+    status: DataRequestStatus.OPEN,
+    timestamp: Date.now()
+  };
+  dataRequests.set(requestId, request);
+  logger.info(`Data deletion request ${requestId} filed by ${user.username} (${user.id})`);
+  return [requestId, request];
+}
+
+/**
+ * Close a data deletion request
+ * @param {string} requestId
+ * @param {DataRequestStatus} status
+ * @param {string} actor
+ * @param {string} resolution
+ * @returns {DataRequest}
+ */
+function resolveDataRequest(requestId, status, actor, resolution) {
+  const request = { ...dataRequests.get(requestId), status, resolvedBy: actor, resolvedAt: Date.now(), resolution };
+  dataRequests.set(requestId, request);
+  logger.info(`Data deletion request ${requestId} ${status} by ${actor}`);
+  return request;
+}
+
+/**
+ * Erase a Discord account's verification data: cancel anything in progress, queue deletion of every
+ * iDenfy session still holding data, and remove the local entries and backend record. Deletion jobs
+ * are kept as proof, and quota sessions until they age out of the quota window. Everything else is erased even
+ * if the backend record can't be removed (e.g. without API_SUPPORTS_REVOKE); `backendRecord` is then `manual`
+ * and an admin has to remove it by hand.
+ * @param {import("discord.js").Client} client
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} discordId
+ * @param {string} actor
+ * @returns {Promise<{ verifications: number, deletionsQueued: number, fingerprints: number, backendRecord: 'removed' | 'none' | 'manual', backendError?: string, rolesRemoved: string[] }>}
+ */
+async function eraseUserData(client, pendingVerifications, discordId, actor) {
+  let backendRecord;
+  let backendError;
+  try {
+    backendRecord = await revokeVerification(discordId) ? 'removed' : 'none';
+  } catch (error) {
+    logger.error(`Failed to remove the backend record of ${discordId}, it has to be removed by hand:`, error.message);
+    backendRecord = 'manual';
+    backendError = error.message;
+  }
+
+  let deletionsQueued = 0;
+  const verifications = pendingVerifications.findBy('discordId', discordId);
+  for (const [key, verification] of verifications) {
+    if (isActive(verification)) {
+      transitionVerification(pendingVerifications, key, VerificationState.DENIED, { actor, note: 'Data deletion request' });
+    }
+    if (verification.scanRef && verification.state !== VerificationState.DATA_DELETED) {
+      enqueueDeletion(verification.scanRef, { discordId, verificationKey: key, requestedBy: actor });
+      deletionsQueued++;
+    }
+    pendingVerifications.delete(key);
+  }
+
+  const fingerprints = identityFingerprints.findBy('discordId', discordId);
+  for (const [key] of fingerprints) {
+    identityFingerprints.delete(key);
+  }
+  quotaUsers.delete(discordId);
+  localePreferences.delete(discordId);
+
+  let rolesRemoved = [];
+  try {
+    rolesRemoved = await removeVerifiedRoles(client, discordId, 'Verification data erased on request');
+  } catch (roleError) {
+    logger.error('Failed to remove verified roles:', roleError.message);
+  }
+
+  logger.info(`Erased verification data for ${discordId} (${actor}): ${verifications.length} verifications, ${deletionsQueued} iDenfy deletions queued`);
+  return { verifications: verifications.length, deletionsQueued, fingerprints: fingerprints.length, backendRecord, backendError, rolesRemoved };
+}
+
+/**
+ * The task posted to admins when a user asks for their data to be deleted. Erasing removes the backend
+ * record for every server, so it always goes to GUILD_ID's admins, whichever server it was made in.
+ * @param {string} requestId
+ * @param {DataRequest} request
+ * @param {StoredUserData} stored
+ * @param {object | null} existing The user's backend record
+ * @param {string} [guildName] Server the request was made in, if not GUILD_ID
+ * @returns {import("discord.js").MessageCreateOptions}
+ */
+function buildDataRequestMessage(requestId, request, stored, existing, guildName) {
+  const embed = new EmbedBuilder()
+    .setColor(0x9B59B6)
+    .setTitle('Data Deletion Request')
+    .setDescription('A user has asked for their verification data to be deleted. **Erase** cancels anything in progress, deletes their iDenfy data, backend record and stored fingerprints, and removes the verified role.')
+    .addFields(
+      { name: 'Discord User', value: `<@${request.discordId}> (${request.username})`, inline: true },
+      { name: 'Backend Record', value: existing ? `${existing.ckey} (${existing.verification_method || 'Unknown'})` : 'None', inline: true },
+      { name: 'Verifications', value: String(stored.verifications.length), inline: true },
+      { name: 'Fingerprints', value: String(stored.fingerprints), inline: true },
+      ...(guildName ? [{ name: 'Requested In', value: guildName, inline: true }] : []),
+      { name: 'Request ID', value: requestId, inline: false }
+    )
+    .setTimestamp(request.timestamp);
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${DATA_REQUEST_PREFIX}:erase:${requestId}`)
+      .setLabel('Erase')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`${DATA_REQUEST_PREFIX}:reject:${requestId}`)
+      .setLabel('Reject')
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  return { content: `<@&${getGuildSettings(config.GUILD_ID).adminRoleId}>`, embeds: [embed], components: [row] };
+}
+
+module.exports = {
+  DATA_REQUEST_PREFIX,
+  DataRequestStatus,
+  dataRequests,
+  collectUserData,
+  findOpenDataRequest,
+  createDataRequest,
+  resolveDataRequest,
+  eraseUserData,
+  buildDataRequestMessage
+};
@@ -0,0 +1,178 @@
+const { EmbedBuilder } = require('discord.js');
+const config = require('../config/config');
+const { deleteIdenfyData } = require('./idenfyService');
+const { VerificationState, canTransition, transitionVerification } = require('./verificationLifecycle');
+const { getUserLocale } = require('./localePreferences');
+const logger = require('../utils/logger');
+const { renderTemplate } = require('../utils/embedTemplates');
+const { safeSendDM, sendToVerificationChannel } = require('../utils/discordHelpers');
+const { DeletionJobStore, DeletionJobStatus } = require('../utils/DeletionJobStore');
+const { deletionFailures } = require('../utils/metrics');
+
+// Give iDenfy time to finish processing before the first attempt
+const INITIAL_DELAY = 5 * 1000;
+const BASE_DELAY = 10 * 1000;
+const WORKER_INTERVAL = 15 * 1000;
+
+const deletionJobs = new DeletionJobStore(config.DELETION_PROOF_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Delay before the next attempt: 10s, 20s, 40s, ... up to DELETION_MAX_BACKOFF_MINUTES
+ * @param {number} attempts Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function getDeletionBackoff(attempts) {
+  return Math.min(BASE_DELAY * 2 ** Math.max(attempts - 1, 0), config.DELETION_MAX_BACKOFF_MINUTES * 60 * 1000);
+}
+
+/**
+ * Queue deletion of a verification's iDenfy data. Queuing the same scanRef again is a no-op
+ * unless the previous job is dead, in which case it is retried.
+ * @param {string} scanRef
+ * @param {{ discordId: string, verificationKey?: string, requestedBy?: string }} details
+ * @returns {import("../utils/DeletionJobStore").DeletionJob}
+ */
+function enqueueDeletion(scanRef, { discordId, verificationKey = scanRef, requestedBy = 'system' }) {
+  const existing = deletionJobs.get(scanRef);
+  if (existing && existing.status !== DeletionJobStatus.DEAD) {
+    return existing;
+  }
+
+  const now = Date.now();
+  const job = {
+    scanRef,
+    discordId,
+    verificationKey,
+    requestedBy,
+    status: DeletionJobStatus.PENDING,
+    attempts: 0,
+    nextAttemptAt: now + INITIAL_DELAY,
+    timestamp: existing?.timestamp ?? now
+  };
+  deletionJobs.set(scanRef, job);
+  logger.info(`Queued iDenfy data deletion for ${scanRef} (${requestedBy})`);
+  return job;
+}
+
+/**
+ * Put a dead job back in the queue for another round of attempts
+ * @param {string} scanRef
+ * @param {string} requestedBy
+ * @returns {boolean} false if there is no dead job for the scanRef
+ */
+function retryDeadDeletion(scanRef, requestedBy) {
+  const job = deletionJobs.get(scanRef);
+  if (job?.status !== DeletionJobStatus.DEAD) {
+    return false;
+  }
+
+  deletionJobs.set(scanRef, {
+    ...job,
+    status: DeletionJobStatus.PENDING,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    deadAt: undefined,
+    requestedBy
+  });
+  logger.info(`Requeued dead iDenfy data deletion for ${scanRef} (${requestedBy})`);
+  return true;
+}
+
+// Record that iDenfy no longer holds data for this verification
+function markDataDeleted(pendingVerifications, job) {
+  const verification = pendingVerifications.get(job.verificationKey);
+  if (!verification || !canTransition(verification.state, VerificationState.DATA_DELETED)) {
+    return;
+  }
+  try {
+    transitionVerification(pendingVerifications, job.verificationKey, VerificationState.DATA_DELETED, { actor: 'deletion-queue' });
+  } catch (error) {
+    logger.error(`Failed to mark iDenfy data deleted for ${job.scanRef}:`, error.message);
+  }
+}
+
+async function attemptDeletion(client, pendingVerifications, scanRef, job) {
+  const attempts = job.attempts + 1;
+  const locale = getUserLocale(job.discordId, pendingVerifications.get(job.verificationKey)?.locale);
+
+  try {
+    await deleteIdenfyData(scanRef);
+  } catch (error) {
+    deletionFailures.inc({ dead: String(attempts >= config.DELETION_MAX_ATTEMPTS) });
+    if (attempts < config.DELETION_MAX_ATTEMPTS) {
+      const delay = getDeletionBackoff(attempts);
+      logger.info(`Deletion failed for ${scanRef} (attempt ${attempts}/${config.DELETION_MAX_ATTEMPTS}): ${error.message}. Retrying in ${Math.round(delay / 1000)}s...`);
+      deletionJobs.set(scanRef, { ...job, attempts, lastError: error.message, nextAttemptAt: Date.now() + delay });
+      return;
+    }
+
+    logger.error(`Giving up on deleting iDenfy data for ${scanRef} after ${attempts} attempts:`, error.message);
+    deletionJobs.set(scanRef, { ...job, attempts, lastError: error.message, status: DeletionJobStatus.DEAD, deadAt: Date.now() });
+
+    safeSendDM(client, job.discordId, renderTemplate('deletionFailed', locale, { scanRef }));
+
+    const alert = new EmbedBuilder()
+      .setColor(0xFF6B00)
+      .setTitle('iDenfy Data Deletion Failed')
+      .setDescription('Moved to the dead-letter list. Use `/verification deletion-retry` once the cause is fixed.')
+      .addFields(
+        { name: 'Discord User', value: `<@${job.discordId}>`, inline: true },
+        { name: 'Scan Reference', value: scanRef, inline: true },
+        { name: 'Attempts', value: String(attempts), inline: true },
+        { name: 'Last Error', value: error.message.slice(0, 1000) || 'Unknown error', inline: false }
+      )
+      .setTimestamp();
+    await sendToVerificationChannel(client, { embeds: [alert] });
+    return;
+  }
+
+  const confirmed = { ...job, attempts, status: DeletionJobStatus.DONE, confirmedDeletedAt: Date.now(), lastError: undefined };
+  deletionJobs.set(scanRef, confirmed);
+  logger.info(`Successfully deleted iDenfy data for ${scanRef} on attempt ${attempts}`);
+  markDataDeleted(pendingVerifications, confirmed);
+
+  safeSendDM(client, job.discordId, renderTemplate('deletionDone', locale, { scanRef }));
+}
+
+/**
+ * Attempt every deletion job that is due
+ * @param {import("discord.js").Client} client
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ */
+async function processDeletionJobs(client, pendingVerifications) {
+  for (const [scanRef, job] of deletionJobs.getDue()) {
+    await attemptDeletion(client, pendingVerifications, scanRef, job);
+  }
+}
+
+/**
+ * Start working through the deletion queue, including jobs left over from before a restart
+ * @param {import("discord.js").Client} client
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ */
+function startDeletionWorker(client, pendingVerifications) {
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDeletionJobs(client, pendingVerifications);
+    } catch (error) {
+      logger.error('Failed to process iDenfy deletion jobs:', error);
+    } finally {
+      running = false;
+    }
+  }, WORKER_INTERVAL);
+
+  const pending = deletionJobs.findBy('status', DeletionJobStatus.PENDING).length;
+  const dead = deletionJobs.getDeadLetters().length;
+  logger.info(`iDenfy deletion worker started with ${pending} pending and ${dead} dead jobs`);
+}
+
+module.exports = {
+  deletionJobs,
+  enqueueDeletion,
+  retryDeadDeletion,
+  processDeletionJobs,
+  startDeletionWorker
+};
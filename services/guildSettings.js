@@ -0,0 +1,112 @@
+const config = require('../config/config');
+const { PersistentMap } = require('../utils/PersistentMap');
+
+/**
+ * Settings a guild can change with /veyra-config
+ * @typedef {Object} GuildSettings
+ * @property {string | null} adminRoleId Role allowed to use admin commands and buttons. Outside GUILD_ID and TRUSTED_GUILD_IDS,
+ *   only for the guild's own approval requests and settings
+ * @property {string | null} logChannelId Channel for approval requests and other admin messages from this guild
+ * @property {string | null} verifiedRoleId Role for ID-verified users, unless ROLE_MAPPING_FILE has rules for this guild
+ * @property {number | null} dailyLimit Sessions started from this guild per day before admin approval is needed, on top of the shared quota
+ */
+
+const GUILD_SETTING_NAMES = Object.freeze(['adminRoleId', 'logChannelId', 'verifiedRoleId', 'dailyLimit']);
+
+// Settings saved with /veyra-config, keyed by guild ID. Unset settings fall back to getDefaultSettings.
+const guildSettings = new PersistentMap('guild_settings', {
+  validate: settings => (typeof settings?.timestamp === 'number' ? null : 'invalid guild settings')
+});
+
+/**
+ * What a guild uses before anything is saved: the .env settings for GUILD_ID, nothing for other guilds
+ * @param {string} guildId
+ * @returns {GuildSettings}
+ */
+function getDefaultSettings(guildId) {
+  if (guildId !== config.GUILD_ID) {
+    return { adminRoleId: null, logChannelId: null, verifiedRoleId: null, dailyLimit: null };
+  }
+
+  return {
+    adminRoleId: config.ADMIN_ROLE_ID ?? null,
+    logChannelId: config.VERIFICATION_CHANNEL_ID ?? null,
+    verifiedRoleId: config.VERIFIED_ROLE_ID ?? null,
+    dailyLimit: null
+  };
+}
+
+/**
+ * A guild's settings, saved ones taking precedence over the defaults
+ * @param {string | null | undefined} guildId
+ * @returns {GuildSettings}
+ */
+function getGuildSettings(guildId) {
+  const defaults = getDefaultSettings(guildId);
+  const saved = guildSettings.get(guildId) ?? {};
+  return Object.fromEntries(GUILD_SETTING_NAMES.map(name => [name, saved[name] ?? defaults[name]]));
+}
+
+/**
+ * Save settings for a guild. null clears a setting so it falls back to its default.
+ * @param {string} guildId
+ * @param {Partial<GuildSettings>} changes
+ * @param {string} actor Discord ID of whoever changed them
+ * @returns {GuildSettings} The settings now in effect
+ */
+function updateGuildSettings(guildId, changes, actor) {
+  const saved = { ...(guildSettings.get(guildId) ?? {}) };
+  for (const name of GUILD_SETTING_NAMES) {
+    if (changes[name] === null) {
+      delete saved[name];
+    } else if (changes[name] !== undefined) {
+      saved[name] = changes[name];
+    }
+  }
+
+  guildSettings.set(guildId, { ...saved, updatedBy: actor, timestamp: Date.now() });
+  return getGuildSettings(guildId);
+}
+
+/**
+ * Settings of the guild that handles a guild's admin messages: its own once it has a log channel, otherwise GUILD_ID's
+ * @param {string | null | undefined} guildId
+ * @returns {GuildSettings}
+ */
+function getReportingSettings(guildId) {
+  const settings = getGuildSettings(guildId);
+  return settings.logChannelId ? settings : getGuildSettings(config.GUILD_ID);
+}
+
+/**
+ * Whether the member behind an interaction holds their guild's admin role
+ * @param {import("discord.js").Interaction} interaction
+ * @returns {boolean}
+ */
+function isGuildAdmin(interaction) {
+  const { adminRoleId } = getGuildSettings(interaction.guildId);
+  // The @everyone role shares the guild's ID
+  return Boolean(adminRoleId && adminRoleId !== interaction.guildId && interaction.member?.roles.cache.has(adminRoleId));
+}
+
+/**
+ * Whether the member behind an interaction may use admin commands and buttons that act on the shared backend or on
+ * every guild: they hold the admin role of GUILD_ID, or of a guild in TRUSTED_GUILD_IDS, and used it there
+ * @param {import("discord.js").Interaction} interaction
+ * @returns {boolean}
+ */
+function isGlobalAdmin(interaction) {
+  const trusted = interaction.guildId === config.GUILD_ID || config.TRUSTED_GUILD_IDS.includes(interaction.guildId);
+  return trusted && isGuildAdmin(interaction);
+}
+
+module.exports = {
+  GUILD_SETTING_NAMES,
+  guildSettings,
+  getDefaultSettings,
+  getGuildSettings,
+  updateGuildSettings,
+  getReportingSettings,
+  isGuildAdmin,
+  isGlobalAdmin
+};
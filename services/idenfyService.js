@@ -1,17 +1,27 @@
 const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { DEFAULT_LOCALE, toIdenfyLocale } = require('../utils/i18n');
+const { timeRequest } = require('../utils/metrics');
 
-// Create iDenfy verification session
-async function createIdenfyVerification(discordId, ckey) {
+// How long a session link stays valid
+const IDENFY_SESSION_EXPIRY_SECONDS = 3600;
+
+// Link the user opens to complete an iDenfy session
+function getIdenfyVerificationUrl(authToken) {
+  return `${config.IDENFY_BASE_URL}/api/v2/redirect?authToken=${authToken}`;
+}
+
+// Create iDenfy verification session, with iDenfy's UI in the user's language where it has one
+async function createIdenfyVerification(discordId, ckey, locale = DEFAULT_LOCALE) {
   try {
     const clientId = `discord-${discordId}`;
 
     const requestBody = {
       clientId: clientId,
       externalRef: `ckey-${ckey}`,
-      locale: "en",
-      expiryTime: 3600, // 1 hour
+      locale: toIdenfyLocale(locale),
+      expiryTime: IDENFY_SESSION_EXPIRY_SECONDS,
       sessionLength: 600, // 10 minutes
       documents: ["ID_CARD", "PASSPORT", "DRIVER_LICENSE"],
       tokenType: "IDENTIFICATION", // This enables face matching
@@ -25,7 +35,8 @@ async function createIdenfyVerification(discordId, ckey) {
       config.IDENFY_API_KEY?.substring(0, 8) + "..."
     );
 
-    const response = await axios.post(
+    const createdAt = Date.now();
+    const response = await timeRequest('idenfy', 'create_session', () => axios.post(
       `${config.IDENFY_BASE_URL}/api/v2/token`,
       requestBody,
       {
@@ -38,7 +49,7 @@ async function createIdenfyVerification(discordId, ckey) {
           password: config.IDENFY_API_SECRET,
         },
       }
-    );
+    ));
 
     logger.debug("iDenfy Response:", JSON.stringify(response.data, null, 2));
 
@@ -46,7 +57,8 @@ async function createIdenfyVerification(discordId, ckey) {
       sessionToken: response.data.authToken,
       scanRef: response.data.scanRef,
       clientId: clientId,
-      verificationUrl: `${config.IDENFY_BASE_URL}/api/v2/redirect?authToken=${response.data.authToken}`,
+      verificationUrl: getIdenfyVerificationUrl(response.data.authToken),
+      expiresAt: createdAt + IDENFY_SESSION_EXPIRY_SECONDS * 1000,
     };
   } catch (error) {
     const logDetails = {
@@ -69,7 +81,7 @@ async function createIdenfyVerification(discordId, ckey) {
 // Get verification status from iDenfy
 async function getIdenfyVerificationStatus(scanRef) {
   try {
-    const response = await axios.post(`${config.IDENFY_BASE_URL}/api/v2/status`, {
+    const response = await timeRequest('idenfy', 'status', () => axios.post(`${config.IDENFY_BASE_URL}/api/v2/status`, {
       scanRef: scanRef
     }, {
       headers: {
@@ -80,7 +92,7 @@ async function getIdenfyVerificationStatus(scanRef) {
         username: config.IDENFY_API_KEY,
         password: config.IDENFY_API_SECRET
       }
-    });
+    }));
     
     return response.data;
   } catch (error) {
@@ -89,26 +101,62 @@ async function getIdenfyVerificationStatus(scanRef) {
   }
 }
 
-// Function to delete iDenfy verification data
-async function deleteIdenfyData(scanRef) {
+/**
+ * @typedef {Object} IdenfyVerificationData
+ * @property {string} [docFirstName]
+ * @property {string} [docLastName]
+ * @property {string} [docDob]
+ * @property {string} [docNumber]
+ * @property {string} [docType]
+ * @property {string} [docIssuingCountry]
+ * @property {string} [docNationality]
+ */
+
+// Get the document data iDenfy extracted for a verification
+async function getIdenfyVerificationData(scanRef) {
   try {
-    const response = await fetch(`${config.IDENFY_BASE_URL}/api/v2/delete`, {
-      method: 'POST',
+    const response = await timeRequest('idenfy', 'data', () => axios.post(`${config.IDENFY_BASE_URL}/api/v2/data`, {
+      scanRef: scanRef
+    }, {
       headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Basic ${Buffer.from(`${config.IDENFY_API_KEY}:${config.IDENFY_API_SECRET}`).toString('base64')}`
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
       },
-      body: JSON.stringify({
-        scanRef: scanRef
-      })
-    });
+      auth: {
+        username: config.IDENFY_API_KEY,
+        password: config.IDENFY_API_SECRET
+      }
+    }));
+
+    return response.data;
+  } catch (error) {
+    logger.error('Failed to get iDenfy verification data:', error.response?.data || error.message);
+    throw error;
+  }
+}
 
-    if (!response.ok) {
-      if (response.status !== 200) {
-        const errorData = await response.json();
-        throw new Error(`iDenfy deletion failed: ${errorData.message || 'Unknown error'}`);
+// Function to delete iDenfy verification data
+async function deleteIdenfyData(scanRef) {
+  try {
+    await timeRequest('idenfy', 'delete', async () => {
+      const response = await fetch(`${config.IDENFY_BASE_URL}/api/v2/delete`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Basic ${Buffer.from(`${config.IDENFY_API_KEY}:${config.IDENFY_API_SECRET}`).toString('base64')}`
+        },
+        body: JSON.stringify({
+          scanRef: scanRef
+        })
+      });
+
+      if (!response.ok) {
+        if (response.status !== 200) {
+          const errorData = await response.json();
+          throw new Error(`iDenfy deletion failed: ${errorData.message || 'Unknown error'}`);
+        }
       }
-    }
+    });
 
     logger.info(`Successfully deleted iDenfy data for scanRef: ${scanRef}`);
   } catch (error) {
@@ -118,7 +166,10 @@ async function deleteIdenfyData(scanRef) {
 }
 
 module.exports = {
+  IDENFY_SESSION_EXPIRY_SECONDS,
+  getIdenfyVerificationUrl,
   createIdenfyVerification,
   getIdenfyVerificationStatus,
+  getIdenfyVerificationData,
   deleteIdenfyData
 };
\ No newline at end of file
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const config = require('../config/config');
+const { UnsupportedEndpointError, getVerificationByCkey } = require('./apiClient');
+const { getIdenfyVerificationData } = require('./idenfyService');
+const { getGuildSettings } = require('./guildSettings');
+const { VerificationState, isActive } = require('./verificationLifecycle');
+const logger = require('../utils/logger');
+const { IdentityFingerprintStore } = require('../utils/IdentityFingerprintStore');
+
+// Custom ID prefix for the Approve / Deny buttons on a conflict review request
+const CONFLICT_REVIEW_PREFIX = 'conflict-review';
+
+const identityFingerprints = new IdentityFingerprintStore();
+
+// Only warn once that ckeys can't be checked against the backend, not on every /verify
+let warnedCkeyLookupUnsupported = false;
+
+/**
+ * @typedef {Object} IdentityConflict
+ * @property {'ckey' | 'document' | 'identity'} type What matched
+ * @property {string} discordId The other account
+ * @property {string} [ckey] The other account's ckey, when known
+ * @property {string} [reference] The other verification's scanRef or key, when known
+ * @property {'backend' | 'pending' | 'fingerprint'} source Where the match was found
+ */
+
+// Uppercase ASCII letters and digits only, so formatting and accents don't change the hash
+function normalizeField(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+function hashFields(...fields) {
+  return crypto.createHmac('sha256', config.IDENTITY_HASH_SALT).update(fields.map(normalizeField).join('|')).digest('hex');
+}
+
+/**
+ * Salted fingerprints of the ID document and the person on it. Empty if IDENTITY_HASH_SALT is not set
+ * or iDenfy didn't extract enough to fingerprint.
+ * @param {import("./idenfyService").IdenfyVerificationData} data
+ * @returns {Array<{ kind: 'document' | 'identity', hash: string }>}
+ */
+function computeIdentityFingerprints(data) {
+  if (!config.IDENTITY_HASH_SALT || !data) {
+    return [];
+  }
+
+  const fingerprints = [];
+  if (normalizeField(data.docNumber)) {
+    fingerprints.push({ kind: 'document', hash: hashFields('document', data.docType, data.docIssuingCountry ?? data.docNationality, data.docNumber) });
+  }
+  if (normalizeField(data.docFirstName) && normalizeField(data.docLastName) && normalizeField(data.docDob)) {
+    fingerprints.push({ kind: 'identity', hash: hashFields('identity', data.docFirstName, data.docLastName, data.docDob) });
+  }
+  return fingerprints;
+}
+
+/**
+ * The backend's verification for a ckey, or null if it has none or can't look ckeys up
+ * @param {string} ckey
+ * @returns {Promise<import("./apiClient").VerificationGetResponse | null>}
+ * @throws If the backend couldn't be reached
+ */
+async function findBackendVerificationByCkey(ckey) {
+  try {
+    return await getVerificationByCkey(ckey);
+  } catch (error) {
+    if (!(error instanceof UnsupportedEndpointError)) {
+      throw error;
+    }
+    if (!warnedCkeyLookupUnsupported) {
+      logger.warn(`${error.message}. Until then ckeys are only checked against verifications in progress and identity fingerprints`);
+      warnedCkeyLookupUnsupported = true;
+    }
+    return null;
+  }
+}
+
+/**
+ * Another Discord account that already has this ckey, either verified in the backend or in a verification
+ * still in progress here. Unproven ownership challenges don't count, or anyone could block a ckey by typing it.
+ * The backend is skipped if it can't look ckeys up (API_SUPPORTS_CKEY_LOOKUP).
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} discordId
+ * @param {string} ckey
+ * @param {{ backend?: boolean }} [options] `backend: false` only checks verifications in progress here
+ * @returns {Promise<IdentityConflict | null>}
+ * @throws If the backend couldn't be reached
+ */
+async function findCkeyConflict(pendingVerifications, discordId, ckey, { backend = true } = {}) {
+  const pending = pendingVerifications.findBy('ckey', ckey).find(([, verification]) =>
+    verification.discordId !== discordId &&
+    isActive(verification) &&
+    (verification.state !== VerificationState.BYOND_CHALLENGE || verification.byondVerifiedAt));
+  if (pending) {
+    return { type: 'ckey', discordId: pending[1].discordId, ckey, reference: pending[0], source: 'pending' };
+  }
+
+  const existing = backend ? await findBackendVerificationByCkey(ckey) : null;
+  if (existing && existing.discord_id !== discordId) {
+    return { type: 'ckey', discordId: existing.discord_id, ckey: existing.ckey, reference: existing.verified_flags?.scan_ref, source: 'backend' };
+  }
+
+  return null;
+}
+
+/**
+ * findCkeyConflict for a verification about to be saved. If the backend can't be reached, only verifications
+ * in progress here are checked, so the backend being down doesn't hold up a result that is already approved.
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} reference The verification being saved, for the log
+ * @param {{ discordId: string, ckey: string }} pending
+ * @returns {Promise<IdentityConflict | null>}
+ */
+async function findCkeyConflictOrWarn(pendingVerifications, reference, pending) {
+  try {
+    return await findCkeyConflict(pendingVerifications, pending.discordId, pending.ckey);
+  } catch (error) {
+    logger.warn(`Couldn't check ckey ${pending.ckey} against the backend for ${reference}, only checking verifications in progress:`, error.message);
+    return findCkeyConflict(pendingVerifications, pending.discordId, pending.ckey, { backend: false });
+  }
+}
+
+/**
+ * Everything an approved verification clashes with: its ckey bound to another account, or its
+ * document or identity fingerprint matching another account's verification. A backend that can't be reached
+ * only skips the backend ckey check (see findCkeyConflictOrWarn).
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} scanRef
+ * @param {{ discordId: string, ckey: string }} pending
+ * @returns {Promise<{ conflicts: IdentityConflict[], fingerprints: Array<{ kind: string, hash: string }> }>}
+ * @throws If iDenfy couldn't be reached
+ */
+async function checkIdentityConflicts(pendingVerifications, scanRef, pending) {
+  const conflicts = [];
+
+  const ckeyConflict = await findCkeyConflictOrWarn(pendingVerifications, scanRef, pending);
+  if (ckeyConflict) {
+    conflicts.push(ckeyConflict);
+  }
+
+  const fingerprints = config.IDENTITY_HASH_SALT
+    ? computeIdentityFingerprints(await getIdenfyVerificationData(scanRef))
+    : [];
+
+  for (const { kind, hash } of fingerprints) {
+    for (const match of identityFingerprints.findOtherAccounts(hash, pending.discordId)) {
+      conflicts.push({ type: kind, discordId: match.discordId, ckey: match.ckey, reference: match.scanRef, source: 'fingerprint' });
+    }
+  }
+
+  if (conflicts.length > 0) {
+    logger.warn(`Verification ${scanRef} for ${pending.ckey} (${pending.discordId}) has ${conflicts.length} identity conflict(s)`);
+  }
+  return { conflicts, fingerprints };
+}
+
+/**
+ * Remember a submitted verification's fingerprints so later verifications can be matched against them
+ * @param {{ discordId: string, ckey: string }} pending
+ * @param {string} scanRef
+ * @param {Array<{ kind: string, hash: string }>} fingerprints
+ */
+function recordIdentityFingerprints(pending, scanRef, fingerprints = []) {
+  for (const { kind, hash } of fingerprints) {
+    identityFingerprints.set(`${kind}:${hash}:${pending.discordId}`, {
+      kind,
+      hash,
+      discordId: pending.discordId,
+      ckey: pending.ckey,
+      scanRef,
+      timestamp: Date.now()
+    });
+  }
+}
+
+/**
+ * One line per conflict, for embeds and history notes
+ * @param {IdentityConflict[]} conflicts
+ * @returns {string}
+ */
+function formatConflicts(conflicts) {
+  const labels = { ckey: 'CKEY already bound', document: 'Same ID document', identity: 'Same name and date of birth' };
+  return conflicts.map(({ type, discordId, ckey, reference, source }) =>
+    `${labels[type]}: <@${discordId}>${ckey ? ` (${ckey})` : ''}${reference ? ` - \`${reference}\`` : ''} [${source}]`
+  ).join('\n').slice(0, 1000);
+}
+
+/**
+ * The review request posted to admins when a verification is held for conflicts. Approving it writes to the
+ * shared backend, so it always goes to GUILD_ID's admins, whichever server the verification was started in.
+ * @param {string} scanRef
+ * @param {{ discordId: string, username: string, ckey: string }} pending
+ * @param {IdentityConflict[]} conflicts
+ * @param {string} [guildName] Server the verification was started in, if not GUILD_ID
+ * @returns {import("discord.js").MessageCreateOptions}
+ */
+function buildConflictReviewMessage(scanRef, pending, conflicts, guildName) {
+  const embed = new EmbedBuilder()
+    .setColor(0xFF6B00)
+    .setTitle('Verification Held - Identity Conflict')
+    .setDescription('iDenfy approved this verification, but it matches another account. It will not be saved until an admin approves it.')
+    .addFields(
+      { name: 'Discord User', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+      { name: 'CKEY', value: pending.ckey, inline: true },
+      { name: 'Scan Reference', value: scanRef, inline: true },
+      ...(guildName ? [{ name: 'Started In', value: guildName, inline: true }] : []),
+      { name: 'Conflicts', value: formatConflicts(conflicts), inline: false }
+    )
+    .setTimestamp();
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CONFLICT_REVIEW_PREFIX}:approve:${scanRef}`)
+      .setLabel('Approve anyway')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`${CONFLICT_REVIEW_PREFIX}:deny:${scanRef}`)
+      .setLabel('Deny')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  return { content: `<@&${getGuildSettings(config.GUILD_ID).adminRoleId}>`, embeds: [embed], components: [row] };
+}
+
+module.exports = {
+  CONFLICT_REVIEW_PREFIX,
+  identityFingerprints,
+  computeIdentityFingerprints,
+  findCkeyConflict,
+  findCkeyConflictOrWarn,
+  checkIdentityConflicts,
+  recordIdentityFingerprints,
+  formatConflicts,
+  buildConflictReviewMessage
+};
@@ -0,0 +1,36 @@
+const { PersistentMap } = require('../utils/PersistentMap');
+const { resolveLocale } = require('../utils/i18n');
+
+// Languages users picked with /language, keyed by discordId
+const localePreferences = new PersistentMap('locale_preferences', {
+  validate: preference => (preference?.locale && typeof preference.timestamp === 'number' ? null : 'invalid locale preference')
+});
+
+/**
+ * The locale to talk to a user in: their /language choice, otherwise the given one (usually their Discord client's)
+ * @param {string} discordId
+ * @param {string} [fallback] e.g. `interaction.locale`, or the locale stored on a verification
+ * @returns {string}
+ */
+function getUserLocale(discordId, fallback) {
+  return resolveLocale(localePreferences.get(discordId)?.locale ?? fallback);
+}
+
+/**
+ * Save a user's language choice
+ * @param {string} discordId
+ * @param {string | null} locale null to go back to following their Discord client
+ */
+function setUserLocale(discordId, locale) {
+  if (locale) {
+    localePreferences.set(discordId, { locale, timestamp: Date.now() });
+  } else {
+    localePreferences.delete(discordId);
+  }
+}
+
+module.exports = {
+  localePreferences,
+  getUserLocale,
+  setUserLocale
+};
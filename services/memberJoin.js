@@ -0,0 +1,73 @@
+const { EmbedBuilder } = require('discord.js');
+const logger = require('../utils/logger');
+const { sendToVerificationChannel, syncMemberRoles, formatRoles } = require('../utils/discordHelpers');
+const { getExistingVerification } = require('./apiClient');
+const { AuditCategory, recordAudit } = require('./auditLog');
+const { getGuildSettings } = require('./guildSettings');
+
+/**
+ * Give a member who joins (or rejoins) a guild back the roles their verified_flags map to there,
+ * and post what was restored to that guild's log channel
+ * @param {import("discord.js").Client} client
+ * @param {import("discord.js").GuildMember} member
+ * @returns {Promise<string[]>} IDs of the roles restored
+ */
+async function handleMemberJoin(client, member) {
+  if (member.user.bot) {
+    return [];
+  }
+
+  let verification;
+  try {
+    verification = await getExistingVerification(member.id);
+  } catch (error) {
+    // The scheduled role sync picks them up once the backend is reachable
+    logger.error(`Failed to look up verification for joining member ${member.user.username} (${member.id}):`, error.message);
+    return [];
+  }
+
+  if (!verification) {
+    return [];
+  }
+
+  let restored;
+  try {
+    ({ added: restored } = await syncMemberRoles(member, verification.verified_flags, 'Verified user rejoined'));
+  } catch (error) {
+    logger.error(`Failed to restore roles for ${member.user.username} (${member.id}):`, error.message);
+    return [];
+  }
+  if (restored.length === 0) {
+    return [];
+  }
+
+  recordAudit({
+    category: AuditCategory.ROLE,
+    action: 'role.restored',
+    label: 'Roles restored on join',
+    actor: 'system',
+    target: member.id,
+    ckey: verification.ckey,
+    note: `Restored in ${member.guild.name}: ${restored.join(', ')}`
+  }, { mirror: false });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x00AA00)
+    .setTitle('Roles Restored on Join')
+    .addFields(
+      { name: 'Member', value: `<@${member.id}> (${member.user.username})`, inline: true },
+      { name: 'CKEY', value: verification.ckey || 'Unknown', inline: true },
+      { name: 'Roles', value: formatRoles(restored), inline: true }
+    )
+    .setTimestamp();
+  const { logChannelId } = getGuildSettings(member.guild.id);
+  if (logChannelId) {
+    await sendToVerificationChannel(client, { embeds: [embed] }, logChannelId);
+  }
+
+  return restored;
+}
+
+module.exports = {
+  handleMemberJoin
+};
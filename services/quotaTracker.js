@@ -0,0 +1,258 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { getRecentVerificationCount } = require('./apiClient');
+const { PersistentMap } = require('../utils/PersistentMap');
+const { getGuildSettings } = require('./guildSettings');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * How the verification quota is counted
+ * @readonly
+ * @enum {string}
+ */
+const QuotaWindow = Object.freeze({
+  ROLLING: 'rolling',   // The last 24 hours
+  CALENDAR: 'calendar', // The current day in QUOTA_TIMEZONE
+  WEEKLY: 'weekly'      // The current week (from Monday) in QUOTA_TIMEZONE, against WEEKLY_VERIFICATION_LIMIT
+});
+
+// iDenfy sessions created, keyed by scanRef, kept long enough to cover a weekly window
+const quotaSessions = new PersistentMap('quota_sessions', {
+  indexes: ['discordId'],
+  validate: session => (session?.discordId && typeof session.timestamp === 'number' ? null : 'invalid quota session'),
+  maxAge: 8 * DAY
+});
+
+// Failed attempts and cooldowns per Discord account, keyed by discordId
+const quotaUsers = new PersistentMap('quota_users', {
+  validate: user => (typeof user?.failures === 'number' && typeof user.timestamp === 'number' ? null : 'invalid quota user')
+});
+
+/**
+ * @typedef {Object} QuotaStatus
+ * @property {boolean} exceeded New sessions need admin approval
+ * @property {number} used
+ * @property {number} limit
+ * @property {number} resetsAt When a session is next available without approval
+ * @property {boolean} [unavailable] The backend count couldn't be fetched and QUOTA_FAIL_POLICY is closed
+ * @property {boolean} [guildLimited] The guild's own daily limit is used up, not the shared quota
+ */
+
+/**
+ * @typedef {Object} UserQuotaStatus
+ * @property {'cooldown' | 'max_retries' | null} blocked Why the user can't start a verification, if they can't
+ * @property {number} [retryAt] When the cooldown ends
+ * @property {number} failures Failed attempts so far
+ */
+
+// Milliseconds to add to a UTC time to get the wall-clock time in timeZone
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(timestamp).map(({ type, value }) => [type, Number(value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Midnight of the day `dayOffset` days from the one containing timestamp, in timeZone
+ * @param {number} timestamp
+ * @param {string} timeZone
+ * @param {number} [dayOffset=0]
+ * @returns {number}
+ */
+function startOfDay(timestamp, timeZone, dayOffset = 0) {
+  const local = new Date(timestamp + getTimeZoneOffset(timestamp, timeZone));
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + dayOffset);
+
+  // Correct with the offset at midnight itself, which differs from now's across a DST change
+  const guess = midnight - getTimeZoneOffset(midnight, timeZone);
+  return midnight - getTimeZoneOffset(guess, timeZone);
+}
+
+/**
+ * The window new sessions are currently counted in
+ * @param {number} [now=Date.now()]
+ * @returns {{ start: number, end: number }} For rolling windows `end` is when the window has fully moved on
+ */
+function getQuotaWindow(now = Date.now()) {
+  const timeZone = config.QUOTA_TIMEZONE;
+
+  switch (config.QUOTA_WINDOW) {
+    case QuotaWindow.ROLLING:
+      return { start: now - DAY, end: now + DAY };
+    case QuotaWindow.WEEKLY: {
+      const local = new Date(now + getTimeZoneOffset(now, timeZone));
+      const sinceMonday = (local.getUTCDay() + 6) % 7;
+      return { start: startOfDay(now, timeZone, -sinceMonday), end: startOfDay(now, timeZone, 7 - sinceMonday) };
+    }
+    default:
+      return { start: startOfDay(now, timeZone), end: startOfDay(now, timeZone, 1) };
+  }
+}
+
+/**
+ * When the quota next starts over, e.g. for "Approve tomorrow"
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+function getNextQuotaReset(now = Date.now()) {
+  return getQuotaWindow(now).end;
+}
+
+/**
+ * @returns {number} Sessions allowed per window before admin approval is needed
+ */
+function getQuotaLimit() {
+  return config.QUOTA_WINDOW === QuotaWindow.WEEKLY ? config.WEEKLY_VERIFICATION_LIMIT : config.DAILY_VERIFICATION_LIMIT;
+}
+
+/**
+ * Check a guild's own daily limit from /veyra-config, counting the sessions started from it
+ * @param {string | undefined} guildId
+ * @param {number} now
+ * @returns {QuotaStatus | null} null if the guild has no limit or is under it
+ */
+function checkGuildQuota(guildId, now) {
+  const { dailyLimit } = getGuildSettings(guildId);
+  if (!guildId || !dailyLimit) {
+    return null;
+  }
+
+  const rolling = config.QUOTA_WINDOW === QuotaWindow.ROLLING;
+  const start = rolling ? now - DAY : startOfDay(now, config.QUOTA_TIMEZONE);
+  const sessions = Array.from(quotaSessions.values())
+    .filter(session => session.guildId === guildId && session.timestamp >= start)
+    .map(session => session.timestamp)
+    .sort((a, b) => a - b);
+  if (sessions.length < dailyLimit) {
+    return null;
+  }
+
+  const resetsAt = rolling ? sessions[sessions.length - dailyLimit] + DAY : startOfDay(now, config.QUOTA_TIMEZONE, 1);
+  return { exceeded: true, used: sessions.length, limit: dailyLimit, resetsAt, guildLimited: true };
+}
+
+/**
+ * Check whether another iDenfy session fits in the current window. Rolling windows also count the
+ * backend's recent verifications, so sessions created before the local tracker existed still count.
+ * That count covers the last 24 hours, so calendar and weekly windows use local sessions alone.
+ * @param {number} [now=Date.now()]
+ * @param {string} [guildId] The guild the session is for, to also check its own daily limit
+ * @returns {Promise<QuotaStatus>}
+ */
+async function checkQuota(now = Date.now(), guildId) {
+  const { start, end } = getQuotaWindow(now);
+  const limit = getQuotaLimit();
+  const sessions = Array.from(quotaSessions.values())
+    .filter(session => session.timestamp >= start)
+    .map(session => session.timestamp)
+    .sort((a, b) => a - b);
+
+  let used = sessions.length;
+  if (config.QUOTA_WINDOW === QuotaWindow.ROLLING) {
+    try {
+      used = Math.max(used, await getRecentVerificationCount());
+    } catch (error) {
+      if (config.QUOTA_FAIL_POLICY === 'closed') {
+        logger.warn('Verification quota unavailable, treating it as exceeded (QUOTA_FAIL_POLICY=closed):', error.message);
+        return { exceeded: true, used, limit, resetsAt: end, unavailable: true };
+      }
+      logger.warn('Verification quota unavailable, counting local sessions only (QUOTA_FAIL_POLICY=open):', error.message);
+    }
+  }
+
+  // In a rolling window a slot frees up when the oldest counted session is a day old
+  const freedAt = used === sessions.length ? sessions[used - limit] : undefined;
+  const resetsAt = config.QUOTA_WINDOW === QuotaWindow.ROLLING && freedAt !== undefined ? freedAt + DAY : end;
+
+  if (used >= limit) {
+    return { exceeded: true, used, limit, resetsAt };
+  }
+  return checkGuildQuota(guildId, now) ?? { exceeded: false, used, limit, resetsAt };
+}
+
+/**
+ * Whether a Discord account may start a verification right now
+ * @param {string} discordId
+ * @param {number} [now=Date.now()]
+ * @returns {UserQuotaStatus}
+ */
+function getUserQuota(discordId, now = Date.now()) {
+  const user = quotaUsers.get(discordId);
+  const failures = user?.failures ?? 0;
+
+  if (config.VERIFY_MAX_RETRIES > 0 && failures >= config.VERIFY_MAX_RETRIES) {
+    return { blocked: 'max_retries', failures };
+  }
+  if (user?.cooldownUntil > now) {
+    return { blocked: 'cooldown', retryAt: user.cooldownUntil, failures };
+  }
+  return { blocked: null, failures };
+}
+
+/**
+ * Count an iDenfy session against the quota
+ * @param {string} discordId
+ * @param {string} scanRef
+ * @param {string} [guildId] The guild it was started from, for that guild's daily limit
+ */
+function recordSession(discordId, scanRef, guildId) {
+  quotaSessions.set(scanRef, { discordId, scanRef, ...(guildId && { guildId }), timestamp: Date.now() });
+}
+
+/**
+ * Stop counting a session, e.g. one replaced by a regenerated link
+ * @param {string} scanRef
+ * @returns {boolean} false if the session wasn't counted
+ */
+function refundSession(scanRef) {
+  return quotaSessions.delete(scanRef);
+}
+
+/**
+ * Count a DENIED/EXPIRED result against the user and start their cooldown
+ * @param {string} discordId
+ * @returns {{ failures: number, cooldownUntil: number }}
+ */
+function recordFailedAttempt(discordId) {
+  const now = Date.now();
+  const failures = (quotaUsers.get(discordId)?.failures ?? 0) + 1;
+  const cooldownUntil = now + config.VERIFY_COOLDOWN_MINUTES * 60 * 1000;
+
+  quotaUsers.set(discordId, { failures, cooldownUntil, lastFailureAt: now, timestamp: now });
+  logger.info(`Failed verification attempt ${failures} for ${discordId}, cooldown until ${new Date(cooldownUntil).toISOString()}`);
+  return { failures, cooldownUntil };
+}
+
+/**
+ * Clear a user's failed attempts and cooldown
+ * @param {string} discordId
+ * @returns {boolean} false if there was nothing to clear
+ */
+function resetUserAttempts(discordId) {
+  return quotaUsers.delete(discordId);
+}
+
+module.exports = {
+  QuotaWindow,
+  quotaSessions,
+  quotaUsers,
+  getQuotaWindow,
+  getNextQuotaReset,
+  checkQuota,
+  getUserQuota,
+  recordSession,
+  refundSession,
+  recordFailedAttempt,
+  resetUserAttempts
+};
@@ -0,0 +1,260 @@
+const { EmbedBuilder } = require('discord.js');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { sendToVerificationChannel, syncMemberRoles } = require('../utils/discordHelpers');
+const { getEntitledRoles, getManagedRoles } = require('../utils/roleMapping');
+const { getExistingVerification } = require('./apiClient');
+const { AuditCategory, recordAudit } = require('./auditLog');
+
+// Largest page Discord returns from the member list endpoint
+const MEMBER_PAGE_SIZE = 1000;
+// Before the first run that changes roles, members who joined this recently are looked up too
+const DEFAULT_RECENT_JOIN_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} RoleSyncReport
+ * @property {boolean} dryRun Nothing was changed (requested, or forced by the removal limit)
+ * @property {number | false} removalLimitHit The removal limit, if more removals were needed than it allows
+ * @property {number} guilds Guilds with mapped roles that were checked
+ * @property {number} checked Members checked against the backend
+ * @property {number} skipped Members without a mapped role who joined before the last run, so weren't checked
+ * @property {string[]} added Discord IDs that were given roles (or would have been, in a dry run)
+ * @property {string[]} removed Discord IDs that lost roles (or would have, in a dry run)
+ * @property {Array<{ discordId: string, error: string }>} errors Members left as they were because something failed
+ * @property {number} startedAt
+ * @property {number} finishedAt
+ */
+
+let running = false;
+// When the last run that could change roles started, so the next one checks everyone who joined since
+let lastRunStartedAt = null;
+
+/**
+ * Every non-bot member of a guild, fetched a page at a time
+ * @param {import("discord.js").Guild} guild
+ * @returns {AsyncGenerator<import("discord.js").GuildMember>}
+ */
+async function* listGuildMembers(guild) {
+  let after;
+  for (;;) {
+    const page = await guild.members.list({ limit: MEMBER_PAGE_SIZE, after });
+    for (const member of page.values()) {
+      if (!member.user.bot) {
+        yield member;
+      }
+    }
+    if (page.size < MEMBER_PAGE_SIZE) {
+      return;
+    }
+    after = page.lastKey();
+  }
+}
+
+/**
+ * Make every mapped role match the backend, in each guild with mapped roles: members get the roles their
+ * verified_flags map to, and lose mapped roles they no longer qualify for. Members whose backend lookup fails are left alone.
+ * Only members holding a mapped role, or who joined since the last run, are looked up. Everyone else got their roles
+ * when they verified or rejoined.
+ * @param {import("discord.js").Client} client
+ * @param {{ dryRun?: boolean, maxRemovals?: number, actor?: string }} [options] Nothing is changed if more than
+ *   `maxRemovals` roles would be removed (0 for no limit). `actor` is recorded in the audit log for each change.
+ * @returns {Promise<RoleSyncReport>}
+ * @throws If a sync is already running, no guild has mapped roles, or a guild's members can't be fetched
+ */
+async function reconcileVerifiedRoles(client, { dryRun = config.ROLE_SYNC_DRY_RUN, maxRemovals = config.ROLE_SYNC_MAX_REMOVALS, actor = 'role-sync' } = {}) {
+  if (running) {
+    throw new Error('A role sync is already running');
+  }
+  const guilds = [...client.guilds.cache.values()].filter(guild => getManagedRoles(guild.id).length > 0);
+  if (guilds.length === 0) {
+    throw new Error('No roles are mapped, set VERIFIED_ROLE_ID, ROLE_MAPPING_FILE or a verified role with /veyra-config');
+  }
+
+  running = true;
+  try {
+    const report = { dryRun, removalLimitHit: false, guilds: guilds.length, checked: 0, skipped: 0, added: [], removed: [], errors: [], startedAt: Date.now() };
+    const joinedSince = lastRunStartedAt ?? report.startedAt - (config.ROLE_SYNC_INTERVAL_HOURS * 60 * 60 * 1000 || DEFAULT_RECENT_JOIN_WINDOW);
+    const changes = [];
+    // Members of several guilds are only looked up once per run
+    const lookups = new Map();
+
+    // Work out every change first, so the removal limit can be checked before anything is touched
+    for (const guild of guilds) {
+      const managedRoles = getManagedRoles(guild.id);
+
+      for await (const member of listGuildMembers(guild)) {
+        if (!member.roles.cache.hasAny(...managedRoles) && !(member.joinedTimestamp >= joinedSince)) {
+          report.skipped++;
+          continue;
+        }
+        report.checked++;
+
+        if (!lookups.has(member.id)) {
+          lookups.set(member.id, getExistingVerification(member.id).then(
+            verification => ({ verification }),
+            error => ({ error })
+          ));
+        }
+        const { verification, error } = await lookups.get(member.id);
+        if (error) {
+          report.errors.push({ discordId: member.id, error: error.message });
+          continue;
+        }
+
+        const flags = verification?.verified_flags;
+        const entitled = getEntitledRoles(flags, guild.id);
+        const added = entitled.filter(roleId => !member.roles.cache.has(roleId));
+        const removed = managedRoles.filter(roleId => !entitled.includes(roleId) && member.roles.cache.has(roleId));
+        if (added.length > 0 || removed.length > 0) {
+          changes.push({ member, flags, ckey: verification?.ckey, added, removed });
+        }
+      }
+    }
+
+    const removals = changes.filter(change => change.removed.length > 0).length;
+    if (maxRemovals > 0 && removals > maxRemovals) {
+      logger.warn(`Role sync would remove roles from ${removals} members (limit ${maxRemovals}), reporting without changing anything`);
+      report.removalLimitHit = maxRemovals;
+      report.dryRun = true;
+    }
+
+    for (const change of changes) {
+      const { member, ckey } = change;
+      let { added, removed } = change;
+
+      if (!report.dryRun) {
+        try {
+          ({ added, removed } = await syncMemberRoles(member, change.flags, 'Role sync: matching Veyra'));
+        } catch (error) {
+          report.errors.push({ discordId: member.id, error: error.message });
+          continue;
+        }
+
+        for (const [action, roleIds] of [['role.added', added], ['role.removed', removed]]) {
+          if (roleIds.length > 0) {
+            recordAudit({
+              category: AuditCategory.ROLE,
+              action,
+              label: action === 'role.added' ? 'Roles added' : 'Roles removed',
+              actor,
+              target: member.id,
+              ...(ckey && { ckey }),
+              note: `Role sync in ${member.guild.name}: ${roleIds.join(', ')}`
+            }, { mirror: false });
+          }
+        }
+      }
+
+      if (added.length > 0 && !report.added.includes(member.id)) {
+        report.added.push(member.id);
+      }
+      if (removed.length > 0 && !report.removed.includes(member.id)) {
+        report.removed.push(member.id);
+      }
+    }
+
+    report.finishedAt = Date.now();
+    if (!report.dryRun) {
+      lastRunStartedAt = report.startedAt;
+    }
+    logger.info(`Role sync${report.dryRun ? ' (dry run)' : ''} checked ${report.checked} members in ${report.guilds} guilds: ${report.added.length} added, ${report.removed.length} removed, ${report.errors.length} errors`);
+    return report;
+  } finally {
+    running = false;
+  }
+}
+
+// A list of member mentions that fits in an embed field
+function formatMembers(discordIds) {
+  if (discordIds.length === 0) {
+    return 'None';
+  }
+
+  const shown = [];
+  for (const discordId of discordIds) {
+    const mention = `<@${discordId}>`;
+    if (shown.join(', ').length + mention.length > 950) {
+      return `${shown.join(', ')} ...and ${discordIds.length - shown.length} more`;
+    }
+    shown.push(mention);
+  }
+  return shown.join(', ');
+}
+
+/**
+ * @param {RoleSyncReport} report
+ * @returns {EmbedBuilder}
+ */
+function buildRoleSyncReport(report) {
+  const [added, removed] = report.dryRun ? ['Would Give Roles', 'Would Take Roles'] : ['Given Roles', 'Roles Taken'];
+
+  const embed = new EmbedBuilder()
+    .setColor(report.errors.length > 0 || report.removalLimitHit ? 0xFF6B00 : report.dryRun ? 0xFFAA00 : 0x00FF00)
+    .setTitle(`Role Sync${report.dryRun ? ' (dry run)' : ''}`)
+    .addFields(
+      { name: 'Members Checked', value: `${report.checked} in ${report.guilds} server${report.guilds === 1 ? '' : 's'} (${report.skipped} skipped)`, inline: true },
+      { name: 'Errors', value: String(report.errors.length), inline: true },
+      { name: 'Took', value: `${Math.round((report.finishedAt - report.startedAt) / 1000)}s`, inline: true },
+      { name: `${added} (${report.added.length})`, value: formatMembers(report.added), inline: false },
+      { name: `${removed} (${report.removed.length})`, value: formatMembers(report.removed), inline: false }
+    )
+    .setTimestamp(report.finishedAt);
+
+  if (report.removalLimitHit) {
+    embed.setDescription(`Roles would be taken from more than ${report.removalLimitHit} members, so nothing was changed. Check the backend is healthy, then run \`/verification role-sync dry_run:False\`, which has no limit.`);
+  }
+  if (report.errors.length > 0) {
+    embed.addFields({
+      name: 'Failed',
+      value: report.errors.slice(0, 10).map(({ discordId, error }) => `<@${discordId}>: ${error}`).join('\n').slice(0, 1024),
+      inline: false
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Run a role sync and post its report to the verification channel
+ * @param {import("discord.js").Client} client
+ * @param {{ dryRun?: boolean, maxRemovals?: number, actor?: string }} [options]
+ * @returns {Promise<RoleSyncReport>}
+ */
+async function runRoleSync(client, options) {
+  const report = await reconcileVerifiedRoles(client, options);
+  await sendToVerificationChannel(client, { embeds: [buildRoleSyncReport(report)] });
+  return report;
+}
+
+/**
+ * Sync verified roles with the backend every ROLE_SYNC_INTERVAL_HOURS
+ * @param {import("discord.js").Client} client
+ */
+function startRoleSync(client) {
+  if (!config.ROLE_SYNC_INTERVAL_HOURS) {
+    logger.info('Scheduled role sync is disabled');
+    return;
+  }
+
+  setInterval(async () => {
+    // Roles can be mapped later with /veyra-config, so check each time rather than once at startup
+    if (!client.guilds.cache.some(guild => getManagedRoles(guild.id).length > 0)) {
+      return;
+    }
+
+    try {
+      await runRoleSync(client);
+    } catch (error) {
+      logger.error('Failed to sync verified roles:', error);
+    }
+  }, config.ROLE_SYNC_INTERVAL_HOURS * 60 * 60 * 1000);
+
+  logger.info(`Syncing verified roles with the backend every ${config.ROLE_SYNC_INTERVAL_HOURS} hours${config.ROLE_SYNC_DRY_RUN ? ' (dry run)' : ''}`);
+}
+
+module.exports = {
+  reconcileVerifiedRoles,
+  buildRoleSyncReport,
+  runRoleSync,
+  startRoleSync
+};
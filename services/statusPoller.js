@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const { getIdenfyVerificationStatus } = require('./idenfyService');
+const { VerificationState, isActive, updateVerification } = require('./verificationLifecycle');
+const { processIdenfyResult, resultFromStatusResponse } = require('./verificationOutcome');
+
+// States that are waiting on iDenfy and may have missed their webhook,
+// or were approved but couldn't be submitted yet
+const POLLED_STATES = new Set([VerificationState.SESSION_CREATED, VerificationState.REVIEWING, VerificationState.APPROVED]);
+
+/**
+ * When the current iDenfy session was created, falling back to the entry timestamp
+ * @param {object} verification
+ * @returns {number}
+ */
+function getSessionCreatedAt(verification) {
+  const created = (verification.history ?? [])
+    .filter(({ state }) => state === VerificationState.SESSION_CREATED)
+    .pop();
+  return created?.at ?? verification.timestamp;
+}
+
+/**
+ * Delay before the next poll, doubling with each attempt up to the configured maximum
+ * @param {number} attempts Polls made so far
+ * @returns {number} Milliseconds
+ */
+function getPollBackoff(attempts) {
+  const base = config.IDENFY_POLL_INTERVAL_MINUTES * 60 * 1000;
+  const max = config.IDENFY_POLL_MAX_BACKOFF_MINUTES * 60 * 1000;
+  return Math.min(base * 2 ** Math.max(attempts - 1, 0), max);
+}
+
+/**
+ * Poll iDenfy for verifications whose webhook hasn't arrived yet and
+ * complete any that have a final result.
+ * @param {import("discord.js").Client} client
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @returns {Promise<number>} How many verifications were polled
+ */
+async function pollPendingVerifications(client, pendingVerifications) {
+  const now = Date.now();
+  const pollAfter = config.IDENFY_POLL_AFTER_MINUTES * 60 * 1000;
+
+  const due = Array.from(pendingVerifications.entries()).filter(([, verification]) =>
+    POLLED_STATES.has(verification.state) &&
+    verification.scanRef &&
+    now - getSessionCreatedAt(verification) >= pollAfter &&
+    (verification.nextPollAt ?? 0) <= now
+  );
+
+  // One at a time to stay well clear of iDenfy's rate limits
+  for (const [scanRef] of due) {
+    const pending = pendingVerifications.get(scanRef);
+    // The webhook may have finished it while we were polling others
+    if (!pending || !isActive(pending) || !POLLED_STATES.has(pending.state)) {
+      continue;
+    }
+
+    const pollAttempts = (pending.pollAttempts ?? 0) + 1;
+    updateVerification(pendingVerifications, scanRef, {
+      pollAttempts,
+      lastPolledAt: Date.now(),
+      nextPollAt: Date.now() + getPollBackoff(pollAttempts)
+    });
+
+    let status;
+    try {
+      status = await getIdenfyVerificationStatus(scanRef);
+    } catch (error) {
+      logger.warn(`Failed to poll iDenfy status for ${scanRef} (attempt ${pollAttempts}):`, error.message);
+      continue;
+    }
+
+    logger.debug(`Polled iDenfy status for ${scanRef}: ${status?.status} (attempt ${pollAttempts})`);
+
+    const result = resultFromStatusResponse(status);
+    if (!result) {
+      continue;
+    }
+
+    try {
+      await processIdenfyResult(client, pendingVerifications, scanRef, result, { actor: 'poller' });
+    } catch (error) {
+      logger.error(`Failed to process polled iDenfy result for ${scanRef}:`, error);
+    }
+  }
+
+  return due.length;
+}
+
+/**
+ * Start polling iDenfy in the background as a fallback for missed webhooks
+ * @param {import("discord.js").Client} client
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ */
+function startStatusPolling(client, pendingVerifications) {
+  if (!config.IDENFY_POLL_ENABLED) {
+    logger.info('iDenfy status polling is disabled');
+    return;
+  }
+
+  let running = false;
+  setInterval(async () => {
+    // A slow iDenfy shouldn't stack up overlapping runs
+    if (running) return;
+    running = true;
+    try {
+      await pollPendingVerifications(client, pendingVerifications);
+    } catch (error) {
+      logger.error('Failed to poll iDenfy statuses:', error);
+    } finally {
+      running = false;
+    }
+  }, 60 * 1000);
+
+  logger.info(`Polling iDenfy for verifications without a webhook after ${config.IDENFY_POLL_AFTER_MINUTES} minutes`);
+}
+
+module.exports = { startStatusPolling, pollPendingVerifications };
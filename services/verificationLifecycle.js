@@ -0,0 +1,318 @@
+const { recordVerificationChange } = require('./auditLog');
+const logger = require('../utils/logger');
+
+/**
+ * Every state a pending verification can be in
+ * @readonly
+ * @enum {string}
+ */
+const VerificationState = Object.freeze({
+  BYOND_CHALLENGE: 'byond_challenge',     // Waiting for the user to prove they own the ckey
+  QUEUED: 'queued',                       // Approved by an admin, session creation scheduled for later
+  AWAITING_APPROVAL: 'awaiting_approval', // Daily limit hit, waiting for an admin
+  SESSION_CREATED: 'session_created',     // iDenfy session created, waiting for the user
+  REVIEWING: 'reviewing',                 // iDenfy is manually reviewing the documents
+  APPROVED: 'approved',                   // iDenfy approved, not yet saved to the backend
+  CONFLICT_REVIEW: 'conflict_review',     // Approved, but matches another account; waiting for an admin
+  SUBMITTED: 'submitted',                 // Saved to the backend
+  DENIED: 'denied',                       // Denied by iDenfy or an admin
+  EXPIRED: 'expired',                     // Session or request expired before completion
+  DATA_DELETED: 'data_deleted'            // iDenfy data removed, nothing left to do
+});
+
+const TRANSITIONS = Object.freeze({
+  [VerificationState.BYOND_CHALLENGE]: [VerificationState.AWAITING_APPROVAL, VerificationState.SESSION_CREATED, VerificationState.DENIED, VerificationState.EXPIRED],
+  [VerificationState.QUEUED]: [VerificationState.SESSION_CREATED, VerificationState.DENIED, VerificationState.EXPIRED],
+  [VerificationState.AWAITING_APPROVAL]: [VerificationState.QUEUED, VerificationState.SESSION_CREATED, VerificationState.DENIED, VerificationState.EXPIRED],
+  [VerificationState.SESSION_CREATED]: [VerificationState.REVIEWING, VerificationState.APPROVED, VerificationState.DENIED, VerificationState.EXPIRED],
+  [VerificationState.REVIEWING]: [VerificationState.APPROVED, VerificationState.DENIED, VerificationState.EXPIRED],
+  [VerificationState.APPROVED]: [VerificationState.SUBMITTED, VerificationState.CONFLICT_REVIEW, VerificationState.DENIED],
+  [VerificationState.CONFLICT_REVIEW]: [VerificationState.APPROVED, VerificationState.DENIED],
+  [VerificationState.SUBMITTED]: [VerificationState.DATA_DELETED],
+  [VerificationState.DENIED]: [VerificationState.DATA_DELETED],
+  [VerificationState.EXPIRED]: [VerificationState.DATA_DELETED],
+  [VerificationState.DATA_DELETED]: []
+});
+
+// States where the verification is finished and no longer blocks a new /verify
+const FINISHED_STATES = new Set([
+  VerificationState.SUBMITTED,
+  VerificationState.DENIED,
+  VerificationState.EXPIRED,
+  VerificationState.DATA_DELETED
+]);
+
+// Legacy `type` values from before the state machine existed
+const LEGACY_TYPE_STATES = Object.freeze({
+  idenfy: VerificationState.SESSION_CREATED,
+  manual_approval: VerificationState.APPROVED,
+  manual_approval_pending: VerificationState.AWAITING_APPROVAL
+});
+
+class InvalidTransitionError extends Error {
+  constructor(key, from, to) {
+    super(`Invalid verification transition for ${key}: ${from} -> ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.key = key;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+/**
+ * @param {{ state: string } | undefined} verification
+ * @returns {boolean}
+ */
+function isActive(verification) {
+  return Boolean(verification) && !FINISHED_STATES.has(verification.state);
+}
+
+/**
+ * Store a new verification in its initial state
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {string} key scanRef, or a verification ID while there is no iDenfy session
+ * @param {object} fields
+ * @param {VerificationState} state
+ * @param {{ actor?: string, note?: string }} [meta]
+ * @returns {object} The stored entry
+ */
+function createVerification(store, key, fields, state, { actor = 'system', note } = {}) {
+  if (!TRANSITIONS[state]) {
+    throw new Error(`Unknown verification state: ${state}`);
+  }
+
+  const now = Date.now();
+  const entry = {
+    ...fields,
+    state,
+    timestamp: fields.timestamp ?? now,
+    updatedAt: now,
+    history: [{ state, at: now, actor, ...(note && { note }) }]
+  };
+
+  store.set(key, entry);
+  logger.info(`Verification ${key} created in state ${state} by ${actor}`);
+  recordVerificationChange(key, entry, null, state, { actor, note });
+  return entry;
+}
+
+/**
+ * Move a verification to a new state, recording it in the entry's history
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {string} key
+ * @param {VerificationState} to
+ * @param {{ actor?: string, note?: string, patch?: object, newKey?: string }} [options]
+ *  `patch` is merged into the entry, `newKey` re-keys it (e.g. once a scanRef exists)
+ * @returns {object} The updated entry
+ * @throws {InvalidTransitionError}
+ */
+function transitionVerification(store, key, to, { actor = 'system', note, patch = {}, newKey } = {}) {
+  const current = store.get(key);
+  if (!current) {
+    throw new Error(`Verification not found: ${key}`);
+  }
+  if (!canTransition(current.state, to)) {
+    throw new InvalidTransitionError(key, current.state, to);
+  }
+
+  const now = Date.now();
+  const entry = {
+    ...current,
+    ...patch,
+    state: to,
+    updatedAt: now,
+    history: [...(current.history ?? []), { state: to, at: now, actor, ...(note && { note }) }]
+  };
+
+  if (newKey && newKey !== key) {
+    store.delete(key);
+    store.set(newKey, entry);
+  } else {
+    store.set(key, entry);
+  }
+
+  logger.info(`Verification ${newKey ?? key}: ${current.state} -> ${to} (${actor}${note ? `: ${note}` : ''})`);
+  recordVerificationChange(newKey ?? key, entry, current.state, to, { actor, note });
+  return entry;
+}
+
+/**
+ * Update fields on a verification without changing its state
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {string} key
+ * @param {object} patch
+ * @returns {object} The updated entry
+ */
+function updateVerification(store, key, patch) {
+  const current = store.get(key);
+  if (!current) {
+    throw new Error(`Verification not found: ${key}`);
+  }
+
+  const entry = { ...current, ...patch, updatedAt: Date.now() };
+  store.set(key, entry);
+  return entry;
+}
+
+/**
+ * The user's verification that is still in progress, if any
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {string} discordId
+ * @returns {[string, object] | undefined}
+ */
+function findActiveVerification(store, discordId) {
+  return store.findBy('discordId', discordId).find(([, verification]) => isActive(verification));
+}
+
+/**
+ * The user's most recently updated verification, finished or not
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {string} discordId
+ * @returns {[string, object] | undefined}
+ */
+function findLatestVerification(store, discordId) {
+  return store.findBy('discordId', discordId)
+    .sort(([, a], [, b]) => (b.updatedAt ?? b.timestamp) - (a.updatedAt ?? a.timestamp))[0];
+}
+
+/**
+ * Map an iDenfy overall status to the state it moves a verification into
+ * @param {string} overallStatus
+ * @returns {VerificationState | null}
+ */
+function stateFromIdenfyStatus(overallStatus) {
+  switch (overallStatus) {
+    case 'APPROVED':
+      return VerificationState.APPROVED;
+    case 'DENIED':
+    case 'SUSPECTED':
+      return VerificationState.DENIED;
+    case 'EXPIRED':
+      return VerificationState.EXPIRED;
+    case 'REVIEWING':
+      return VerificationState.REVIEWING;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert an entry stored with the legacy `type` field to the state model
+ * @param {object} verification
+ * @param {string} key
+ * @returns {object}
+ */
+function migrateLegacyVerification(verification, key) {
+  if (!verification || verification.state || !verification.type) {
+    return verification;
+  }
+
+  const state = LEGACY_TYPE_STATES[verification.type];
+  if (!state) {
+    return verification;
+  }
+
+  const { type, ...rest } = verification;
+  return {
+    ...rest,
+    // Legacy iDenfy entries were keyed by scanRef without storing it
+    ...(type === 'idenfy' && !rest.scanRef && { scanRef: key }),
+    state,
+    updatedAt: verification.timestamp,
+    history: [{ state, at: verification.timestamp, actor: 'migration', note: `legacy type ${type}` }]
+  };
+}
+
+/**
+ * Returns why a stored verification can't be loaded, or null if it is valid
+ * @param {any} verification
+ * @returns {string | null}
+ */
+function validateVerification(verification) {
+  if (!verification ||
+      typeof verification !== 'object' ||
+      !verification.discordId ||
+      !verification.ckey ||
+      !verification.timestamp ||
+      !verification.state) {
+    return 'invalid verification entry';
+  }
+
+  if (!TRANSITIONS[verification.state]) {
+    return `unknown state ${verification.state}`;
+  }
+
+  return null;
+}
+
+/**
+ * Expire verifications that have been in progress for longer than maxAge, and ownership challenges past their deadline.
+ * Verifications iDenfy is reviewing or has approved are left for the status poller, since their result still arrives.
+ * @param {import("../utils/PersistentMap").PersistentMap} store
+ * @param {number} maxAge
+ * @returns {Array<[string, object]>} The verifications that were expired
+ */
+function expireStaleVerifications(store, maxAge) {
+  const now = Date.now();
+  const expired = [];
+
+  for (const [key, verification] of Array.from(store.entries())) {
+    if (!isActive(verification) || !canTransition(verification.state, VerificationState.EXPIRED) ||
+        verification.state === VerificationState.REVIEWING) {
+      continue;
+    }
+    if (verification.state === VerificationState.BYOND_CHALLENGE && verification.challengeExpiresAt < now) {
+      expired.push([key, transitionVerification(store, key, VerificationState.EXPIRED, { note: 'Ownership challenge timed out' })]);
+    } else if (now - verification.timestamp > maxAge) {
+      expired.push([key, transitionVerification(store, key, VerificationState.EXPIRED, { note: 'Timed out' })]);
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * One line per history entry, newest last, for use in an embed field
+ * @param {{ history?: Array<{ state: string, at: number, actor?: string, note?: string }> }} verification
+ * @param {number} [limit=10] Only the most recent entries are shown
+ * @returns {string}
+ */
+function formatVerificationHistory(verification, limit = 10) {
+  const history = verification?.history ?? [];
+  if (history.length === 0) {
+    return 'No history recorded';
+  }
+
+  const lines = history.slice(-limit).map(({ state, at, actor, note }) => {
+    const by = actor && /^\d+$/.test(actor) ? ` by <@${actor}>` : actor ? ` (${actor})` : '';
+    return `<t:${Math.floor(at / 1000)}:f> **${state}**${by}${note ? ` - ${note}` : ''}`;
+  });
+
+  return (history.length > limit ? `...${history.length - limit} earlier\n` : '') + lines.join('\n').slice(0, 1000);
+}
+
+module.exports = {
+  VerificationState,
+  InvalidTransitionError,
+  canTransition,
+  isActive,
+  createVerification,
+  transitionVerification,
+  updateVerification,
+  findActiveVerification,
+  findLatestVerification,
+  stateFromIdenfyStatus,
+  migrateLegacyVerification,
+  validateVerification,
+  expireStaleVerifications,
+  formatVerificationHistory
+};
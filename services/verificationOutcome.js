@@ -0,0 +1,334 @@
+const { EmbedBuilder } = require('discord.js');
+const config = require('../config/config');
+const { submitVerification, getExistingVerification } = require('./apiClient');
+const { enqueueDeletion } = require('./deletionQueue');
+const { recordFailedAttempt, getUserQuota, resetUserAttempts } = require('./quotaTracker');
+const {
+  checkIdentityConflicts,
+  recordIdentityFingerprints,
+  formatConflicts,
+  buildConflictReviewMessage
+} = require('./identityConflicts');
+const {
+  VerificationState,
+  isActive,
+  transitionVerification,
+  updateVerification,
+  stateFromIdenfyStatus
+} = require('./verificationLifecycle');
+const { getUserLocale } = require('./localePreferences');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+const { renderTemplate } = require('../utils/embedTemplates');
+const { safeSendDM, sendToVerificationChannel, addVerifiedRoles } = require('../utils/discordHelpers');
+
+// iDenfy statuses that end a verification unsuccessfully
+const FAILED_STATUSES = new Set(['DENIED', 'EXPIRED', 'SUSPECTED']);
+
+// scanRef -> outcome promise, so concurrent callers share one run instead of double-submitting
+const inFlight = new Map();
+
+/**
+ * @typedef {Object} IdenfyResult
+ * @property {string} overall iDenfy overall status (APPROVED, DENIED, SUSPECTED, EXPIRED, REVIEWING, ...)
+ * @property {string[]} [denyReasons]
+ * @property {string[]} [suspicionReasons]
+ */
+
+/**
+ * @typedef {Object} VerificationOutcome
+ * @property {'submitted' | 'held' | 'failed' | 'reviewing' | 'pending' | 'ignored' | 'error'} result
+ *  `ignored` means there was nothing left to do (unknown or already finished), `held` that it is waiting
+ *  for an admin to review identity conflicts, `error` that conflict checks or submission failed
+ * @property {object} [verification] The entry after processing
+ * @property {import("./identityConflicts").IdentityConflict[]} [conflicts]
+ * @property {string[]} [rolesAssigned] Role IDs the user was given
+ * @property {boolean} [userNotified]
+ * @property {string} [failureReason]
+ * @property {Error} [error]
+ */
+
+/**
+ * Convert a response from iDenfy's status API to the shape used by webhooks.
+ * Returns null while the result can still change, so callers don't act on it yet.
+ * @param {{ status?: string, final?: boolean, denyReasons?: string[], suspicionReasons?: string[] }} response
+ * @returns {IdenfyResult | null}
+ */
+function resultFromStatusResponse(response) {
+  const overall = response?.status;
+  if (overall === 'APPROVED' || overall === 'REVIEWING' || (FAILED_STATUSES.has(overall) && response.final)) {
+    return {
+      overall,
+      denyReasons: response.denyReasons,
+      suspicionReasons: response.suspicionReasons
+    };
+  }
+  return null;
+}
+
+/**
+ * Park an approved verification until an admin has looked at what it conflicts with
+ * @param {import("discord.js").Client} client
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} scanRef
+ * @param {object} pending
+ * @param {import("./identityConflicts").IdentityConflict[]} conflicts
+ * @param {{ actor: string, notifyUser: boolean }} options
+ * @returns {Promise<VerificationOutcome>}
+ */
+async function holdForConflictReview(client, pendingVerifications, scanRef, pending, conflicts, { actor, notifyUser }) {
+  const verification = transitionVerification(pendingVerifications, scanRef, VerificationState.CONFLICT_REVIEW, {
+    actor,
+    note: formatConflicts(conflicts).replace(/<@(\d+)>/g, '$1')
+  });
+
+  const guildName = pending.guildId && pending.guildId !== config.GUILD_ID ? client.guilds.cache.get(pending.guildId)?.name ?? pending.guildId : undefined;
+  await sendToVerificationChannel(client, buildConflictReviewMessage(scanRef, pending, conflicts, guildName));
+
+  let userNotified = false;
+  if (notifyUser) {
+    const locale = getUserLocale(pending.discordId, pending.locale);
+    userNotified = await safeSendDM(client, pending.userId, renderTemplate('verificationHeld', locale, { ckey: pending.ckey, scanRef }));
+  }
+
+  return { result: 'held', verification, userNotified, conflicts };
+}
+
+async function completeApproved(client, pendingVerifications, scanRef, pending, { actor, note, verifiedBy, notifyUser, conflictsReviewed }) {
+  if (pending.state !== VerificationState.APPROVED) {
+    pending = transitionVerification(pendingVerifications, scanRef, VerificationState.APPROVED, { actor, note });
+  }
+
+  // An admin approving a held verification has already seen its conflicts
+  if (!conflictsReviewed) {
+    let checked;
+    try {
+      checked = await checkIdentityConflicts(pendingVerifications, scanRef, pending);
+    } catch (error) {
+      // Left in the approved state so a later webhook, poll or check can retry
+      logger.error(`Failed to check identity conflicts for ${scanRef}:`, error.message);
+      return { result: 'error', verification: pendingVerifications.get(scanRef), error };
+    }
+
+    pending = updateVerification(pendingVerifications, scanRef, { identityFingerprints: checked.fingerprints });
+    if (checked.conflicts.length > 0) {
+      return await holdForConflictReview(client, pendingVerifications, scanRef, pending, checked.conflicts, { actor, notifyUser });
+    }
+  }
+
+  try {
+    // Submit verification first (most critical operation)
+    await submitVerification(pending.discordId, pending.ckey, false, scanRef, verifiedBy, Boolean(pending.byondVerifiedAt));
+    logger.info(`Successfully submitted verification for ${pending.ckey}`);
+  } catch (error) {
+    logger.error('Failed to submit verification:', error);
+
+    // Left in the approved state so a later webhook, poll or check can retry the submission
+    const locale = getUserLocale(pending.discordId, pending.locale);
+    const userNotified = notifyUser &&
+      await safeSendDM(client, pending.userId, renderTemplate('verificationSubmitError', locale, { ckey: pending.ckey, scanRef }));
+    return { result: 'error', verification: pendingVerifications.get(scanRef), userNotified, error };
+  }
+
+  const verification = transitionVerification(pendingVerifications, scanRef, VerificationState.SUBMITTED, { actor, note });
+  recordIdentityFingerprints(pending, scanRef, pending.identityFingerprints);
+  // Earlier failures shouldn't count against a user who has since verified
+  resetUserAttempts(pending.discordId);
+
+  // Try to assign roles from the stored flags (non-critical). Only adds, the role sync takes away what they no longer qualify for
+  let rolesAssigned = [];
+  try {
+    const stored = await getExistingVerification(pending.discordId);
+    rolesAssigned = await addVerifiedRoles(client, pending.discordId, stored?.verified_flags);
+  } catch (roleError) {
+    logger.error('Failed to assign verified roles (continuing anyway):', roleError.message);
+  }
+
+  let userNotified = false;
+  if (notifyUser) {
+    const locale = getUserLocale(pending.discordId, pending.locale);
+    userNotified = await safeSendDM(client, pending.userId, renderTemplate('verificationSucceeded', locale, { ckey: pending.ckey, scanRef }));
+  }
+
+  const logEmbed = new EmbedBuilder()
+    .setColor(0x00FF00)
+    .setTitle('New Verification')
+    .addFields(
+      { name: 'Discord User', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
+      { name: 'CKEY', value: pending.ckey, inline: true },
+      { name: 'Method', value: pending.sessionToken ? 'iDenfy' : 'Manual Approval', inline: true },
+      { name: 'Scan Reference', value: scanRef, inline: true },
+      ...(verifiedBy ? [{ name: 'Completed By', value: `<@${verifiedBy}>`, inline: true }] : [])
+    )
+    .setTimestamp();
+  await sendToVerificationChannel(client, { embeds: [logEmbed] });
+
+  // Legacy manual approvals never had an iDenfy session, so there is nothing to delete there
+  if (pending.sessionToken) {
+    enqueueDeletion(scanRef, { discordId: pending.discordId, requestedBy: actor });
+  }
+
+  return { result: 'submitted', verification, rolesAssigned, userNotified };
+}
+
+/**
+ * When a user can next run /verify, for embeds
+ * @param {import("./quotaTracker").UserQuotaStatus} quota
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatNextAttempt(quota, locale) {
+  switch (quota.blocked) {
+    case 'max_retries':
+      return t(locale, 'nextAttempt.maxRetries');
+    case 'cooldown':
+      return t(locale, 'nextAttempt.cooldown', { time: `<t:${Math.floor(quota.retryAt / 1000)}:R> (<t:${Math.floor(quota.retryAt / 1000)}:f>)` });
+    default:
+      return t(locale, 'nextAttempt.now');
+  }
+}
+
+// iDenfy expired a link the user never used; that isn't a failed attempt, they can ask for a new link
+async function completeLinkExpired(client, pendingVerifications, scanRef, pending, { actor, notifyUser }) {
+  const verification = transitionVerification(pendingVerifications, scanRef, VerificationState.EXPIRED, {
+    actor,
+    note: 'EXPIRED: link not used',
+    patch: { linkExpired: true }
+  });
+
+  let userNotified = false;
+  if (notifyUser) {
+    const locale = getUserLocale(pending.discordId, pending.locale);
+    userNotified = await safeSendDM(client, pending.userId, renderTemplate('linkExpired', locale, { ckey: pending.ckey, scanRef }));
+  }
+
+  enqueueDeletion(scanRef, { discordId: pending.discordId, requestedBy: actor });
+
+  return { result: 'failed', verification, userNotified, failureReason: 'Link expired unused' };
+}
+
+async function completeFailed(client, pendingVerifications, scanRef, pending, status, { actor, notifyUser }) {
+  if (status.overall === 'EXPIRED' && pending.state === VerificationState.SESSION_CREATED) {
+    return await completeLinkExpired(client, pendingVerifications, scanRef, pending, { actor, notifyUser });
+  }
+
+  const denyReasons = status.denyReasons?.join(', ') ?? '';
+  const suspicionReasons = status.suspicionReasons?.join(', ') ?? '';
+  const failureReason = denyReasons || suspicionReasons || 'Unknown reason';
+
+  const verification = transitionVerification(pendingVerifications, scanRef, stateFromIdenfyStatus(status.overall), {
+    actor,
+    note: `${status.overall}: ${failureReason}`
+  });
+  recordFailedAttempt(pending.discordId);
+
+  let userNotified = false;
+  if (notifyUser) {
+    const locale = getUserLocale(pending.discordId, pending.locale);
+    userNotified = await safeSendDM(client, pending.userId, renderTemplate('verificationFailed', locale, {
+      ckey: pending.ckey,
+      scanRef,
+      status: status.overall,
+      denyReasons,
+      suspicionReasons,
+      nextAttempt: formatNextAttempt(getUserQuota(pending.discordId), locale)
+    }));
+  }
+
+  enqueueDeletion(scanRef, { discordId: pending.discordId, requestedBy: actor });
+
+  return { result: 'failed', verification, userNotified, failureReason };
+}
+
+async function completeReviewing(client, pendingVerifications, scanRef, pending, status, { actor, notifyUser }) {
+  logger.info(`Verification ${scanRef} is still under review`);
+  if (pending.state !== VerificationState.SESSION_CREATED) {
+    // Already told the user, don't DM again on every poll or check
+    return { result: 'reviewing', verification: pending };
+  }
+
+  const verification = transitionVerification(pendingVerifications, scanRef, VerificationState.REVIEWING, { actor });
+
+  let userNotified = false;
+  if (notifyUser) {
+    const locale = getUserLocale(pending.discordId, pending.locale);
+    userNotified = await safeSendDM(client, pending.userId, renderTemplate('verificationReviewing', locale, {
+      ckey: pending.ckey,
+      scanRef,
+      status: status.overall
+    }));
+  }
+
+  return { result: 'reviewing', verification, userNotified };
+}
+
+async function runIdenfyResult(client, pendingVerifications, scanRef, status, options) {
+  const overallStatus = status?.overall;
+
+  // Re-read inside the lock, another caller may have finished it already
+  const pending = pendingVerifications.get(scanRef);
+  if (!pending) {
+    logger.info(`No pending verification found for scanRef: ${scanRef}`);
+    return { result: 'ignored' };
+  }
+  if (!isActive(pending)) {
+    logger.info(`Verification ${scanRef} is already ${pending.state}, ignoring ${overallStatus} from ${options.actor}`);
+    return { result: 'ignored', verification: pending };
+  }
+
+  if (pending.state === VerificationState.CONFLICT_REVIEW && !options.conflictsReviewed) {
+    logger.info(`Verification ${scanRef} is waiting for conflict review, ignoring ${overallStatus} from ${options.actor}`);
+    return { result: 'held', verification: pending };
+  }
+
+  logger.info(`Received iDenfy result for ${scanRef} via ${options.actor}: ${overallStatus}`);
+  logger.debug('Full status object:', JSON.stringify(status, null, 2));
+
+  if (overallStatus === 'APPROVED') {
+    return await completeApproved(client, pendingVerifications, scanRef, pending, options);
+  }
+  if (FAILED_STATUSES.has(overallStatus)) {
+    return await completeFailed(client, pendingVerifications, scanRef, pending, status, options);
+  }
+  if (overallStatus === 'REVIEWING') {
+    return await completeReviewing(client, pendingVerifications, scanRef, pending, status, options);
+  }
+
+  // Handle other statuses (ACTIVE, DELETED, ARCHIVED)
+  logger.info(`Received unexpected status for ${scanRef}: ${overallStatus}`);
+  return { result: 'pending', verification: pending };
+}
+
+/**
+ * Act on an iDenfy result for a pending verification: check it for identity conflicts, submit,
+ * assign the role, notify the user and delete their iDenfy data. This is the only place verifications are completed, whether the
+ * result came from the webhook, the status poller, /check-verification or an admin.
+ * Safe to call concurrently and repeatedly for the same scanRef.
+ * @param {import("discord.js").Client} client
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} scanRef
+ * @param {IdenfyResult} status
+ * @param {{ actor?: string, note?: string, verifiedBy?: string, notifyUser?: boolean, conflictsReviewed?: boolean }} [options]
+ *  `actor` is recorded in the verification history, `verifiedBy` is sent to the backend,
+ *  `notifyUser` can be turned off when the user is already looking at the result,
+ *  `conflictsReviewed` submits a verification held for conflict review without checking again
+ * @returns {Promise<VerificationOutcome>}
+ */
+function processIdenfyResult(client, pendingVerifications, scanRef, status, { actor = 'system', note, verifiedBy, notifyUser = true, conflictsReviewed = false } = {}) {
+  if (inFlight.has(scanRef)) {
+    logger.info(`iDenfy result for ${scanRef} is already being processed, waiting for it (${actor})`);
+    return inFlight.get(scanRef);
+  }
+
+  const promise = runIdenfyResult(client, pendingVerifications, scanRef, status, { actor, note, verifiedBy, notifyUser, conflictsReviewed })
+    .finally(() => inFlight.delete(scanRef));
+  inFlight.set(scanRef, promise);
+  return promise;
+}
+
+module.exports = {
+  processIdenfyResult,
+  holdForConflictReview,
+  formatNextAttempt,
+  resultFromStatusResponse
+};
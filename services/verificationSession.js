@@ -0,0 +1,119 @@
+const { createIdenfyVerification, getIdenfyVerificationStatus } = require('./idenfyService');
+const { enqueueDeletion } = require('./deletionQueue');
+const { recordSession, refundSession } = require('./quotaTracker');
+const { getUserLocale } = require('./localePreferences');
+const {
+  VerificationState,
+  createVerification,
+  transitionVerification,
+  updateVerification
+} = require('./verificationLifecycle');
+const logger = require('../utils/logger');
+
+// iDenfy statuses that mean the user never got anywhere with the old link
+const UNUSED_SESSION_STATUSES = new Set(['ACTIVE', 'EXPIRED']);
+
+// Fields carried over from the old verification to its replacement
+const CARRIED_FIELDS = ['discordId', 'ckey', 'userId', 'username', 'locale', 'guildId', 'byondVerifiedAt', 'byondVerifiedMethod', 'manuallyApproved', 'approvedBy', 'approvedAt'];
+
+// Keys of verifications being regenerated right now, so a double click can't create two sessions
+const regenerationsInProgress = new Set();
+
+/**
+ * Whether a verification's iDenfy link can no longer be used
+ * @param {{ state: string, sessionExpiresAt?: number }} verification
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function isSessionExpired(verification, now = Date.now()) {
+  return verification.state === VerificationState.SESSION_CREATED && verification.sessionExpiresAt < now;
+}
+
+/**
+ * Whether a fresh link can be created for a verification: its link expired while waiting for the
+ * user, or it already moved to expired because of that, and it hasn't been replaced yet
+ * @param {{ state: string, sessionExpiresAt?: number, linkExpired?: boolean, replacedBy?: string }} verification
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+function canRegenerateSession(verification, now = Date.now()) {
+  if (!verification || verification.replacedBy) {
+    return false;
+  }
+  return isSessionExpired(verification, now) ||
+    (Boolean(verification.linkExpired) && [VerificationState.EXPIRED, VerificationState.DATA_DELETED].includes(verification.state));
+}
+
+async function runRegeneration(pendingVerifications, key, actor) {
+  const previous = pendingVerifications.get(key);
+  if (!canRegenerateSession(previous)) {
+    return { result: 'unavailable' };
+  }
+
+  // Don't throw away a session the user finished after all
+  if (previous.state === VerificationState.SESSION_CREATED) {
+    const status = await getIdenfyVerificationStatus(previous.scanRef);
+    if (!UNUSED_SESSION_STATUSES.has(status?.status)) {
+      logger.info(`Not regenerating ${key}: iDenfy reports ${status?.status}`);
+      return { result: 'in_use', status };
+    }
+  }
+
+  const verification = await createIdenfyVerification(previous.discordId, previous.ckey, getUserLocale(previous.discordId, previous.locale));
+  const carried = Object.fromEntries(CARRIED_FIELDS.filter(field => previous[field] !== undefined).map(field => [field, previous[field]]));
+
+  if (previous.state === VerificationState.SESSION_CREATED) {
+    transitionVerification(pendingVerifications, key, VerificationState.EXPIRED, {
+      actor,
+      note: `Link expired, replaced by ${verification.scanRef}`,
+      patch: { linkExpired: true, replacedBy: verification.scanRef }
+    });
+  } else {
+    updateVerification(pendingVerifications, key, { replacedBy: verification.scanRef });
+  }
+
+  // The replacement takes the old session's place in the quota
+  enqueueDeletion(previous.scanRef, { discordId: previous.discordId, verificationKey: key, requestedBy: actor });
+  refundSession(previous.scanRef);
+  recordSession(previous.discordId, verification.scanRef, previous.guildId);
+
+  createVerification(pendingVerifications, verification.scanRef, {
+    ...carried,
+    scanRef: verification.scanRef,
+    clientId: verification.clientId,
+    sessionToken: verification.sessionToken,
+    sessionExpiresAt: verification.expiresAt,
+    replacesScanRef: previous.scanRef
+  }, VerificationState.SESSION_CREATED, { actor, note: `Regenerated from ${previous.scanRef}` });
+
+  return { result: 'session_created', verification };
+}
+
+/**
+ * Replace a verification whose iDenfy link expired with a fresh session. The old session is
+ * marked expired and its data queued for deletion, and the new one takes its place in the quota.
+ * @param {import("../utils/PersistentMap").PersistentMap} pendingVerifications
+ * @param {string} key
+ * @param {string} actor
+ * @returns {Promise<{ result: 'session_created', verification: object } | { result: 'in_use', status: object } | { result: 'unavailable' | 'busy' }>}
+ *  `in_use` means iDenfy has a result for the old session, `unavailable` that there is nothing to regenerate
+ * @throws If iDenfy couldn't be reached
+ */
+async function regenerateSession(pendingVerifications, key, actor) {
+  if (regenerationsInProgress.has(key)) {
+    return { result: 'busy' };
+  }
+
+  regenerationsInProgress.add(key);
+  try {
+    return await runRegeneration(pendingVerifications, key, actor);
+  } finally {
+    regenerationsInProgress.delete(key);
+  }
+}
+
+module.exports = {
+  isSessionExpired,
+  canRegenerateSession,
+  regenerateSession
+};
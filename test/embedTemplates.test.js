@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { loadEmbedTemplates, renderTemplate } = require('../utils/embedTemplates');
+const { t } = require('../utils/i18n');
+
+let tempDir;
+
+/**
+ * Write an operator templates file for loadEmbedTemplates to lay over the defaults
+ * @param {Record<string, Object>} templates
+ * @returns {string} The file's path
+ */
+function writeTemplates(templates) {
+  const file = path.join(tempDir, `templates-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify(templates));
+  return file;
+}
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'veyra-templates-'));
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('renderTemplate', () => {
+  test('fills in placeholders in literal text', () => {
+    loadEmbedTemplates(writeTemplates({
+      verificationStarted: { title: 'Hello {name}', description: '{name} has {missing}' }
+    }));
+
+    const { embeds: [embed] } = renderTemplate('verificationStarted', 'en', { name: 'Ada' });
+    expect(embed.data.title).toBe('Hello Ada');
+    expect(embed.data.description).toBe('Ada has {missing}');
+  });
+
+  test('takes { key } text from the locale catalogs', () => {
+    loadEmbedTemplates(null);
+
+    const message = renderTemplate('verificationStarted', 'de', { ckey: 'someckey', scanRef: 'abc' });
+    const [embed] = message.embeds;
+    expect(message.content).toBe(t('de', 'verify.linkContent', { ckey: 'someckey', scanRef: 'abc' }));
+    expect(embed.data.title).toBe(t('de', 'verify.started.title'));
+    expect(embed.data.fields[0]).toEqual({ name: t('de', 'field.ckey'), value: 'someckey', inline: true });
+  });
+
+  test('leaves out fields that render empty', () => {
+    loadEmbedTemplates(writeTemplates({
+      verificationStarted: {
+        fields: [
+          { name: 'Kept', value: '{kept}' },
+          { name: 'Dropped', value: '{dropped}' },
+          { name: '', value: 'No name' }
+        ]
+      }
+    }));
+
+    const { embeds: [embed] } = renderTemplate('verificationStarted', 'en', { kept: 'yes', dropped: '' });
+    expect(embed.data.fields).toEqual([{ name: 'Kept', value: 'yes', inline: false }]);
+  });
+
+  test('adds a timestamp unless the template turns it off', () => {
+    loadEmbedTemplates(null);
+    expect(renderTemplate('verificationStarted', 'en').embeds[0].data.timestamp).toBeDefined();
+
+    loadEmbedTemplates(writeTemplates({ verificationStarted: { timestamp: false } }));
+    expect(renderTemplate('verificationStarted', 'en').embeds[0].data.timestamp).toBeUndefined();
+  });
+
+  test('throws for an unknown template', () => {
+    loadEmbedTemplates(null);
+    expect(() => renderTemplate('nowhere', 'en')).toThrow('Unknown embed template: nowhere');
+  });
+});
+
+describe('loadEmbedTemplates', () => {
+  test('lays the operator file over the defaults', () => {
+    const defaults = loadEmbedTemplates(null);
+    const loaded = loadEmbedTemplates(writeTemplates({ verificationStarted: { color: '#123456' } }));
+
+    expect(loaded.verificationStarted).toEqual({ ...defaults.verificationStarted, color: '#123456' });
+    expect(loaded.verificationApproved).toEqual(defaults.verificationApproved);
+    expect(renderTemplate('verificationStarted', 'en').embeds[0].data.color).toBe(0x123456);
+  });
+
+  test('rejects an unknown template name', () => {
+    const file = writeTemplates({ verificationStartd: { color: '#123456' } });
+    expect(() => loadEmbedTemplates(file)).toThrow(/Unknown embed template verificationStartd/);
+  });
+
+  test('rejects an invalid color', () => {
+    const file = writeTemplates({ verificationStarted: { color: 'not a color' } });
+    expect(() => loadEmbedTemplates(file)).toThrow('Embed template verificationStarted has an invalid color: not a color');
+  });
+
+  test('rejects an unknown message key', () => {
+    const file = writeTemplates({ verificationStarted: { title: { key: 'verify.nowhere' } } });
+    expect(() => loadEmbedTemplates(file)).toThrow('Embed template verificationStarted title uses unknown message verify.nowhere');
+  });
+
+  test('rejects a file it cannot read', () => {
+    const file = path.join(tempDir, 'missing.json');
+    expect(() => loadEmbedTemplates(file)).toThrow(`Failed to read embed templates from ${file}`);
+  });
+});
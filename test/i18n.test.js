@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+/**
+ * Load utils/i18n with these catalogs in place of locales/
+ * @param {Record<string, Record<string, string>>} catalogs
+ * @returns {typeof import("../utils/i18n")}
+ */
+function loadWithCatalogs(catalogs) {
+  const { readdirSync, readFileSync } = fs;
+  jest.spyOn(fs, 'readdirSync').mockImplementation((dir, ...args) =>
+    (dir === LOCALES_DIR ? Object.keys(catalogs).map(locale => `${locale}.json`) : readdirSync(dir, ...args)));
+  jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) =>
+    (path.dirname(file) === LOCALES_DIR ? JSON.stringify(catalogs[path.basename(file, '.json')]) : readFileSync(file, ...args)));
+
+  let i18n;
+  jest.isolateModules(() => {
+    i18n = require('../utils/i18n');
+  });
+  return i18n;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('locale catalogs', () => {
+  const i18n = require('../utils/i18n');
+
+  test('every catalog has the same keys as the default one', () => {
+    expect(i18n.findCatalogMismatches()).toEqual({});
+  });
+
+  test('every catalog keeps the placeholders of the default one', () => {
+    const catalogs = Object.fromEntries(fs.readdirSync(LOCALES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'))]));
+    const placeholders = message => (message.match(/\{\w+\}/g) ?? []).sort();
+
+    for (const [locale, catalog] of Object.entries(catalogs)) {
+      for (const [key, message] of Object.entries(catalogs[i18n.DEFAULT_LOCALE])) {
+        expect({ locale, key, placeholders: placeholders(catalog[key]) }).toEqual({ locale, key, placeholders: placeholders(message) });
+      }
+    }
+  });
+});
+
+describe('resolveLocale', () => {
+  const { resolveLocale, DEFAULT_LOCALE } = require('../utils/i18n');
+
+  test('uses a catalog for the exact locale', () => {
+    expect(resolveLocale('de')).toBe('de');
+  });
+
+  test('falls back to the language for a regional locale', () => {
+    expect(resolveLocale('es-ES')).toBe('es');
+  });
+
+  test('falls back to the default for unknown or missing locales', () => {
+    expect(resolveLocale('ja')).toBe(DEFAULT_LOCALE);
+    expect(resolveLocale(undefined)).toBe(DEFAULT_LOCALE);
+  });
+});
+
+describe('t', () => {
+  test('fills in placeholders', () => {
+    const { t } = loadWithCatalogs({ en: { greeting: 'Hello {name}, {missing}' } });
+    expect(t('en', 'greeting', { name: 'Ada' })).toBe('Hello Ada, {missing}');
+  });
+
+  test('uses the default catalog for a key the locale is missing', () => {
+    const { t, findCatalogMismatches } = loadWithCatalogs({
+      en: { greeting: 'Hello', farewell: 'Goodbye' },
+      de: { greeting: 'Hallo' }
+    });
+
+    expect(t('de', 'greeting')).toBe('Hallo');
+    expect(t('de-AT', 'farewell')).toBe('Goodbye');
+    expect(findCatalogMismatches()).toEqual({ de: { missing: ['farewell'], extra: [] } });
+  });
+
+  test('returns the key for a message no catalog has', () => {
+    const { t } = loadWithCatalogs({ en: {} });
+    expect(t('en', 'nowhere')).toBe('nowhere');
+  });
+});
@@ -1,5 +1,7 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../config/config');
+const { SIGNATURE_HEADER } = require('../webhook/webhookSecurity');
 
 /**
  * iDenfy provides dummy sessions for testing in development environment
@@ -99,6 +101,8 @@ async function simulateWebhookCall(scanRef, status = 'APPROVED', webhookUrl = `h
       fraudTags: [],
       mismatchTags: [],
       reasonCode: null,
+      startTime: Math.floor(Date.now() / 1000),
+      finishTime: Math.floor(Date.now() / 1000),
       ...(status === 'DENIED' && { reasonCode: 'DOC_NOT_VALIDATED' }),
       ...(status === 'SUSPECTED' && {
         suspicionReasons: ['FACE_SUSPICIOUS'],
@@ -109,11 +113,18 @@ async function simulateWebhookCall(scanRef, status = 'APPROVED', webhookUrl = `h
     console.log('Simulating webhook call to:', webhookUrl);
     console.log('Payload:', JSON.stringify(webhookPayload, null, 2));
 
-    const response = await axios.post(webhookUrl, webhookPayload, {
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'iDenfy-Webhook/1.0'
-      },
+    // Sign the exact bytes we send, the same way iDenfy does
+    const body = JSON.stringify(webhookPayload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'iDenfy-Webhook/1.0'
+    };
+    if (config.IDENFY_WEBHOOK_SIGNING_KEY) {
+      headers[SIGNATURE_HEADER] = crypto.createHmac('sha256', config.IDENFY_WEBHOOK_SIGNING_KEY).update(body).digest('hex');
+    }
+
+    const response = await axios.post(webhookUrl, body, {
+      headers,
       timeout: 5000
     });
 
@@ -7,6 +7,7 @@ interface VerificationRequestBody {
   ckey: string;
   verified_flags?: VerifiedFlags;
   verification_method?: string;
+  verified_by?: string;
 }
 
 interface VerificationSuccessResponse {
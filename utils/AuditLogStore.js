@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} id
+ * @property {number} timestamp
+ * @property {string} category `verification` for state changes, `admin` for admin actions
+ * @property {string} action e.g. `verification.submitted` or `admin.revoke`
+ * @property {string} [label] Readable name of an admin action, e.g. `Force Complete`
+ * @property {string} actor Discord ID of whoever did it, or `system`, `webhook`, `poller`...
+ * @property {string} [actorName]
+ * @property {string} [target] Discord ID of the user it was done to
+ * @property {string} [ckey]
+ * @property {string} [scanRef] scanRef, or the verification ID while there is no iDenfy session
+ * @property {string} [before] Verification state before
+ * @property {string} [after] Verification state after
+ * @property {string} [note]
+ * @property {Array<{ name: string, value: string, inline?: boolean }>} [details] Embed fields posted with an admin action
+ */
+
+/**
+ * @typedef {Object} AuditQuery
+ * @property {string} [discordId] Entries where the user is the target or the actor
+ * @property {string} [ckey]
+ * @property {string} [action] An action, or a prefix of one such as `admin`
+ * @property {number} [since]
+ * @property {number} [until]
+ * @property {number} [limit]
+ */
+
+/**
+ * @param {AuditEntry} entry
+ * @param {AuditQuery} query
+ * @returns {boolean}
+ */
+function matchesQuery(entry, { discordId, ckey, action, since, until }) {
+  return (!discordId || entry.target === discordId || entry.actor === discordId) &&
+    (!ckey || entry.ckey === ckey) &&
+    (!action || entry.action === action || Boolean(entry.action?.startsWith(`${action}.`))) &&
+    (!since || entry.timestamp >= since) &&
+    (!until || entry.timestamp <= until);
+}
+
+// Audit entries as JSON Lines, only ever appended to
+class AuditLogStore {
+  /**
+   * @param {string} file
+   */
+  constructor(file) {
+    this.file = file;
+    this._dirReady = false;
+  }
+
+  /**
+   * Write an entry. A failed write is logged rather than thrown, so auditing never breaks the action itself.
+   * @param {Omit<AuditEntry, 'id' | 'timestamp'>} fields
+   * @returns {AuditEntry}
+   */
+  append(fields) {
+    const entry = { id: uuidv4(), timestamp: Date.now(), ...fields };
+
+    try {
+      if (!this._dirReady) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this._dirReady = true;
+      }
+      // Written synchronously so entries land in the order things happened
+      fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.error(`Failed to write audit entry ${entry.action}:`, error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Entries matching every given filter, newest first
+   * @param {AuditQuery} [query]
+   * @returns {Promise<AuditEntry[]>}
+   */
+  async query(query = {}) {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    const matches = [];
+    let unreadable = 0;
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file, 'utf8'), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        unreadable++;
+        continue;
+      }
+
+      if (matchesQuery(entry, query)) {
+        matches.push(entry);
+      }
+    }
+
+    if (unreadable > 0) {
+      logger.warn(`Skipped ${unreadable} unreadable line(s) in ${this.file}`);
+    }
+
+    matches.reverse();
+    return query.limit ? matches.slice(0, query.limit) : matches;
+  }
+}
+
+module.exports = { AuditLogStore };
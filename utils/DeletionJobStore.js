@@ -0,0 +1,60 @@
+const { PersistentMap } = require('./PersistentMap');
+
+/**
+ * @readonly
+ * @enum {string}
+ */
+const DeletionJobStatus = Object.freeze({
+  PENDING: 'pending', // Waiting for its next attempt
+  DONE: 'done',       // iDenfy confirmed the data is deleted
+  DEAD: 'dead'        // Gave up after too many attempts, needs an admin
+});
+
+/**
+ * @typedef {Object} DeletionJob
+ * @property {string} scanRef
+ * @property {string} discordId
+ * @property {string} [verificationKey] Key of the pending verification to mark data_deleted
+ * @property {DeletionJobStatus} status
+ * @property {number} attempts
+ * @property {number} nextAttemptAt
+ * @property {string} [lastError]
+ * @property {number} timestamp When the job was queued
+ * @property {number} [confirmedDeletedAt] When iDenfy confirmed the deletion, kept as proof
+ * @property {number} [deadAt]
+ * @property {string} [requestedBy]
+ */
+
+// iDenfy data deletion jobs keyed by scanRef, kept after completion as proof of deletion
+class DeletionJobStore extends PersistentMap {
+  /**
+   * @param {number} proofRetention How long to keep completed jobs, in milliseconds
+   */
+  constructor(proofRetention) {
+    super('deletion_jobs', {
+      indexes: ['discordId', 'status'],
+      validate: job => (job?.scanRef && job.status && typeof job.timestamp === 'number' ? null : 'invalid deletion job'),
+      // Only completed jobs ever expire, unfinished ones must survive until they are done
+      isExpired: (job, now) => job.status === DeletionJobStatus.DONE && now - job.confirmedDeletedAt > proofRetention
+    });
+  }
+
+  /**
+   * Jobs that are due for another attempt
+   * @param {number} [now]
+   * @returns {Array<[string, DeletionJob]>}
+   */
+  getDue(now = Date.now()) {
+    return this.findBy('status', DeletionJobStatus.PENDING).filter(([, job]) => job.nextAttemptAt <= now);
+  }
+
+  /**
+   * Jobs that gave up, oldest first
+   * @returns {Array<[string, DeletionJob]>}
+   */
+  getDeadLetters() {
+    return this.findBy('status', DeletionJobStatus.DEAD).sort(([, a], [, b]) => a.deadAt - b.deadAt);
+  }
+}
+
+module.exports = { DeletionJobStore, DeletionJobStatus };
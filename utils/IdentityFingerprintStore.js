@@ -0,0 +1,37 @@
+const { PersistentMap } = require('./PersistentMap');
+
+/**
+ * @typedef {Object} IdentityFingerprint
+ * @property {'document' | 'identity'} kind `document` hashes the ID document, `identity` the person's name and date of birth
+ * @property {string} hash Salted HMAC, the document data itself is never stored
+ * @property {string} discordId
+ * @property {string} ckey
+ * @property {string} scanRef Verification the fingerprint was taken from
+ * @property {number} timestamp
+ */
+
+// Fingerprints of submitted verifications keyed by `kind:hash:discordId`, kept indefinitely to detect duplicate identities
+class IdentityFingerprintStore extends PersistentMap {
+  constructor() {
+    super('identity_fingerprints', {
+      indexes: ['hash', 'discordId'],
+      validate: fingerprint => (fingerprint?.hash && fingerprint.kind && fingerprint.discordId && typeof fingerprint.timestamp === 'number'
+        ? null
+        : 'invalid identity fingerprint')
+    });
+  }
+
+  /**
+   * Fingerprints with the same hash recorded for other Discord accounts
+   * @param {string} hash
+   * @param {string} discordId
+   * @returns {IdentityFingerprint[]}
+   */
+  findOtherAccounts(hash, discordId) {
+    return this.findBy('hash', hash)
+      .map(([, fingerprint]) => fingerprint)
+      .filter(fingerprint => fingerprint.discordId !== discordId);
+  }
+}
+
+module.exports = { IdentityFingerprintStore };
@@ -1,219 +1,258 @@
-const fs = require('fs').promises;
-const path = require('path');
 const logger = require('./logger');
+const { getStorageDriver } = require('./storage');
+const { isActive, migrateLegacyVerification, validateVerification } = require('../services/verificationLifecycle');
 
-// File path for persistent storage
-const PENDING_VERIFICATIONS_FILE = path.join(__dirname, '..', 'data', 'pending_verifications.json');
+const PENDING_VERIFICATION_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
 
-// Real-time save function with error handling and atomic writes
-async function savePendingVerifications(dataMap) {
-  try {
-    // Ensure data directory exists
-    const dataDir = path.dirname(PENDING_VERIFICATIONS_FILE);
-    await fs.mkdir(dataDir, { recursive: true });
-
-    // Convert Map to a plain object for JSON serialization
-    const dataToSave = {};
-    for (const [key, value] of dataMap.entries()) {
-      dataToSave[key] = value;
-    }
-    
-    // Use atomic write by writing to temp file first, then rename
-    const tempFile = PENDING_VERIFICATIONS_FILE + '.tmp';
-    const jsonData = JSON.stringify(dataToSave, null, 2);
-    
-    await fs.writeFile(tempFile, jsonData, 'utf8');
-    await fs.rename(tempFile, PENDING_VERIFICATIONS_FILE);
-    
-    logger.debug(`Saved ${dataMap.size} pending verifications to disk`);
-  } catch (error) {
-    logger.error('Failed to save pending verifications:', error.message);
-    
-    // Try to clean up temp file if it exists
-    try {
-      await fs.unlink(PENDING_VERIFICATIONS_FILE + '.tmp');
-    } catch {
-      // Ignore cleanup errors
-    }
-  }
+// Normalize values the same way for indexing and lookups
+function indexValue(value) {
+  return value === undefined || value === null ? null : String(value).toLowerCase();
 }
 
-// Enhanced Map wrapper that saves on modification
+// Enhanced Map wrapper that saves on modification through the configured storage driver
 class PersistentMap extends Map {
-  constructor() {
+  /**
+   * @param {string} name Collection name, used as the file/table name by the storage driver
+   * @param {{
+   *   indexes?: string[],
+   *   validate?: (value: any, key: string) => string | null,
+   *   migrate?: (value: any, key: string) => any,
+   *   maxAge?: number | null,
+   *   isExpired?: (value: any, now: number) => boolean,
+   *   driver?: ReturnType<typeof getStorageDriver>
+   * }} [options]
+   *  `migrate` upgrades stored entries on load, `isExpired` overrides the default maxAge check on `timestamp`
+   */
+  constructor(name, { indexes = [], validate = null, migrate = null, maxAge = null, isExpired = null, driver = null } = {}) {
     super();
-    this._saving = false;
-    this._saveQueued = false;
+    this.name = name;
+    this.indexes = indexes;
+    this.validate = validate;
+    this.migrate = migrate;
+    this.maxAge = maxAge;
+    this._isExpired = isExpired;
+    this._driver = driver;
+    this._indexMaps = new Map(indexes.map(field => [field, new Map()]));
+  }
+
+  // Resolved lazily so the driver isn't opened before it is needed
+  get driver() {
+    if (!this._driver) {
+      this._driver = getStorageDriver();
+    }
+    return this._driver;
   }
 
-  async _triggerSave() {
-    // Debounce saves to avoid excessive disk I/O
-    if (this._saving) {
-      this._saveQueued = true;
-      return;
+  _addToIndexes(key, value) {
+    for (const [field, index] of this._indexMaps) {
+      const indexed = indexValue(value?.[field]);
+      if (indexed === null) continue;
+
+      if (!index.has(indexed)) {
+        index.set(indexed, new Set());
+      }
+      index.get(indexed).add(key);
     }
+  }
 
-    this._saving = true;
-    this._saveQueued = false;
+  _removeFromIndexes(key, value) {
+    for (const [field, index] of this._indexMaps) {
+      const indexed = indexValue(value?.[field]);
+      const keys = indexed === null ? null : index.get(indexed);
+      if (!keys) continue;
 
-    try {
-      await savePendingVerifications(this);
-    } finally {
-      this._saving = false;
-      
-      // If another save was queued while we were saving, trigger it now
-      if (this._saveQueued) {
-        setImmediate(() => this._triggerSave());
+      keys.delete(key);
+      if (keys.size === 0) {
+        index.delete(indexed);
       }
     }
   }
 
+  isExpired(value, now = Date.now()) {
+    if (this._isExpired) {
+      return this._isExpired(value, now);
+    }
+    return this.maxAge !== null && now - value.timestamp > this.maxAge;
+  }
+
+  _setLocal(key, value) {
+    if (super.has(key)) {
+      this._removeFromIndexes(key, super.get(key));
+    }
+    super.set(key, value);
+    this._addToIndexes(key, value);
+  }
+
+  _persist(change) {
+    // Don't await to keep it non-blocking
+    Promise.resolve(this.driver.write(this.name, this, change)).catch(error => {
+      logger.error(`Failed to persist ${this.name}:`, error.message);
+    });
+  }
+
   set(key, value) {
-    const result = super.set(key, value);
-    this._triggerSave(); // Don't await to keep it non-blocking
-    return result;
+    this._setLocal(key, value);
+    this._persist({ op: 'set', key, value });
+    return this;
   }
 
   delete(key) {
-    const result = super.delete(key);
-    if (result) { // Only save if something was actually deleted
-      this._triggerSave();
+    if (!super.has(key)) {
+      return false;
     }
-    return result;
+    this._removeFromIndexes(key, super.get(key));
+    super.delete(key);
+    this._persist({ op: 'delete', key });
+    return true;
   }
 
   clear() {
     const hadEntries = this.size > 0;
     super.clear();
+    for (const index of this._indexMaps.values()) {
+      index.clear();
+    }
     if (hadEntries) {
-      this._triggerSave();
+      this._persist({ op: 'clear' });
     }
   }
 
-  // Method to load data from file
-  async loadFromFile() {
+  /**
+   * All entries whose indexed field matches the value (case-insensitive)
+   * @param {string} field
+   * @param {any} value
+   * @returns {Array<[string, any]>}
+   */
+  findBy(field, value) {
+    const index = this._indexMaps.get(field);
+    if (!index) {
+      throw new Error(`${this.name} has no index on ${field}`);
+    }
+
+    const keys = index.get(indexValue(value));
+    return keys ? Array.from(keys, key => [key, super.get(key)]) : [];
+  }
+
+  /**
+   * First entry whose indexed field matches the value, or undefined
+   * @param {string} field
+   * @param {any} value
+   * @returns {[string, any] | undefined}
+   */
+  findOneBy(field, value) {
+    return this.findBy(field, value)[0];
+  }
+
+  // Method to load data from the storage driver
+  async load() {
     try {
-      // Check if file exists first
-      try {
-        await fs.access(PENDING_VERIFICATIONS_FILE);
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          logger.info('No pending verifications file found, starting fresh');
-          return;
-        }
-        throw error;
-      }
+      this.driver.register(this.name);
+      const entries = await this.driver.load(this.name);
 
-      const data = await fs.readFile(PENDING_VERIFICATIONS_FILE, 'utf8');
-      
-      // Handle empty file
-      if (!data.trim()) {
-        logger.info('Pending verifications file is empty, starting fresh');
-        return;
-      }
-      
-      let pendingObject;
-      try {
-        pendingObject = JSON.parse(data);
-      } catch (parseError) {
-        logger.error('Failed to parse pending verifications JSON:', parseError.message);
-        logger.info('Creating backup of corrupted file and starting fresh');
-        
-        // Create backup of corrupted file
-        const backupFile = `${PENDING_VERIFICATIONS_FILE}.backup.${Date.now()}`;
-        await fs.copyFile(PENDING_VERIFICATIONS_FILE, backupFile);
-        logger.info(`Corrupted file backed up to: ${backupFile}`);
-        
-        return;
+      // Clear existing entries without persisting the clear
+      super.clear();
+      for (const index of this._indexMaps.values()) {
+        index.clear();
       }
-      
-      // Validate the loaded data structure
-      if (typeof pendingObject !== 'object' || pendingObject === null) {
-        throw new Error('Invalid pending verifications data structure - not an object');
-      }
-      
-      // Clear existing pending verifications
-      this.clear();
-      
+
       let loadedCount = 0;
       let skippedCount = 0;
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+      let migratedCount = 0;
+      // Keys whose stored entry has to be rewritten or removed
+      const changedKeys = [];
       const now = Date.now();
-      
-      // Load each entry back into the Map with validation
-      for (const [scanRef, verification] of Object.entries(pendingObject)) {
-        // Validate required fields
-        if (!verification || 
-            typeof verification !== 'object' ||
-            !verification.discordId || 
-            !verification.ckey || 
-            !verification.timestamp ||
-            !verification.type) {
-          logger.warn(`Skipping invalid verification entry for scanRef: ${scanRef}`);
-          skippedCount++;
-          continue;
+
+      for (const [key, storedValue] of entries) {
+        const value = this.migrate ? this.migrate(storedValue, key) : storedValue;
+        if (value !== storedValue) {
+          migratedCount++;
+          changedKeys.push(key);
         }
-        
-        // Check if verification is too old (older than 24 hours)
-        const age = now - verification.timestamp;
-        
-        if (age > maxAge) {
-          logger.info(`Skipping expired verification for scanRef: ${scanRef} (${Math.round(age / (60 * 60 * 1000))}h old)`);
+
+        const invalidReason = this.validate ? this.validate(value, key) : null;
+        if (invalidReason) {
+          logger.warn(`Skipping ${this.name} entry ${key}: ${invalidReason}`);
           skippedCount++;
+          changedKeys.push(key);
           continue;
         }
-        
-        // Validate verification type
-        if (!['idenfy', 'manual_approval'].includes(verification.type)) {
-          logger.warn(`Skipping verification with unknown type: ${verification.type} for scanRef: ${scanRef}`);
+
+        if (this.isExpired(value, now)) {
+          logger.info(`Skipping expired ${this.name} entry: ${key} (${Math.round((now - value.timestamp) / (60 * 60 * 1000))}h old)`);
           skippedCount++;
+          changedKeys.push(key);
           continue;
         }
-        
-        // Use the regular Map.set to avoid triggering save during load
-        Map.prototype.set.call(this, scanRef, verification);
+
+        this._setLocal(key, value);
         loadedCount++;
       }
-      
-      logger.info(`Loaded ${loadedCount} pending verifications${skippedCount > 0 ? `, skipped ${skippedCount} invalid/expired entries` : ''}`);
-      
-      logger.debug('Loaded pending verifications:', Array.from(this.keys()));
-
-      if (skippedCount > 0) {
-        logger.info('Saving cleaned up pending verifications...');
-        await savePendingVerifications(this);
+
+      logger.info(`Loaded ${loadedCount} ${this.name} entries${skippedCount > 0 ? `, skipped ${skippedCount} invalid/expired entries` : ''}${migratedCount > 0 ? `, migrated ${migratedCount} entries` : ''}`);
+
+      logger.debug(`Loaded ${this.name}:`, Array.from(this.keys()));
+
+      if (skippedCount > 0 || migratedCount > 0) {
+        logger.info(`Saving cleaned up ${this.name}...`);
+        await this.forceSave([...new Set(changedKeys)]);
       }
     } catch (error) {
-      logger.error('Error loading pending verifications:', error.message);
-      logger.info('Starting with empty pending verifications');
-      
-      this.clear();
+      logger.error(`Error loading ${this.name}:`, error.message);
+      logger.info(`Starting with empty ${this.name}`);
+
+      super.clear();
+      for (const index of this._indexMaps.values()) {
+        index.clear();
+      }
     }
   }
 
-  // Method to manually save (useful for shutdown)
-  async forceSave() {
-    await savePendingVerifications(this);
+  /**
+   * Save now and wait for it, e.g. during shutdown
+   * @param {string[]} [keys] Only these entries changed, so drivers that store entries separately only write them
+   */
+  async forceSave(keys) {
+    await this.driver.flush(this.name, this, keys);
   }
 
-  // Cleanup old entries
+  /**
+   * Remove expired entries
+   * @returns {string[]} Keys removed
+   */
   cleanup() {
-    const MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
     const now = Date.now();
-    let cleanedCount = 0;
-    
-    for (const [scanRef, verification] of this.entries()) {
-      if (now - verification.timestamp > MAX_AGE) {
-        this.delete(scanRef);
-        cleanedCount++;
-        logger.info(`Cleaned up expired verification: ${scanRef} (${verification.type})`);
+    const removed = [];
+
+    for (const [key, value] of Array.from(this.entries())) {
+      if (this.isExpired(value, now)) {
+        this.delete(key);
+        removed.push(key);
+        logger.info(`Cleaned up expired ${this.name} entry: ${key}${value.state ? ` (${value.state})` : ''}`);
       }
     }
-    
-    if (cleanedCount > 0) {
-      logger.info(`Cleanup completed: removed ${cleanedCount} expired pending verifications`);
+
+    if (removed.length > 0) {
+      logger.info(`Cleanup completed: removed ${removed.length} expired ${this.name} entries`);
     }
+    return removed;
   }
 }
 
-module.exports = { PersistentMap, savePendingVerifications };
\ No newline at end of file
+/**
+ * Store of pending verifications keyed by scanRef (or verification ID while awaiting approval),
+ * indexed by discordId, ckey and scanRef.
+ * Finished verifications are kept for a day after their last update so their history can still be checked.
+ * @returns {PersistentMap}
+ */
+function createPendingVerificationsMap() {
+  return new PersistentMap('pending_verifications', {
+    indexes: ['discordId', 'ckey', 'scanRef'],
+    validate: validateVerification,
+    migrate: migrateLegacyVerification,
+    maxAge: PENDING_VERIFICATION_MAX_AGE,
+    isExpired: (verification, now) =>
+      !isActive(verification) && now - (verification.updatedAt ?? verification.timestamp) > PENDING_VERIFICATION_MAX_AGE
+  });
+}
+
+module.exports = { PersistentMap, createPendingVerificationsMap, PENDING_VERIFICATION_MAX_AGE };
@@ -0,0 +1,30 @@
+const { PersistentMap } = require('./PersistentMap');
+
+// Remember processed callbacks for at least a week so replays are caught even after restarts
+const MIN_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+// Dedup store of webhook callback IDs that have already been acted on
+class ProcessedCallbackStore extends PersistentMap {
+  /**
+   * @param {number} [retention] How long to remember a callback, in milliseconds
+   */
+  constructor(retention = MIN_RETENTION) {
+    super('processed_webhooks', {
+      validate: entry => (typeof entry?.timestamp === 'number' ? null : 'missing timestamp'),
+      maxAge: Math.max(retention, MIN_RETENTION)
+    });
+  }
+
+  has(callbackId) {
+    const entry = this.get(callbackId);
+    return entry !== undefined && Date.now() - entry.timestamp <= this.maxAge;
+  }
+
+  add(callbackId) {
+    this.set(callbackId, { timestamp: Date.now() });
+    const expired = this.cleanup();
+    return this.forceSave([callbackId, ...expired]);
+  }
+}
+
+module.exports = { ProcessedCallbackStore };
@@ -0,0 +1,225 @@
+const config = require('../config/config');
+const { getGuildSettings } = require('../services/guildSettings');
+const logger = require('./logger');
+const { dmFailures } = require('./metrics');
+const { getEntitledRoles, getManagedRoles } = require('./roleMapping');
+
+// Helper function to safely send DM without throwing errors
+async function safeSendDM(client, userId, content) {
+  try {
+    logger.info(`Attempting to send DM to user ${userId}`);
+    
+    // Check if client is ready
+    if (!client.isReady()) {
+      logger.error(`Discord client is not ready when trying to send DM to ${userId}`);
+      dmFailures.inc();
+      return false;
+    }
+
+    // Fetch user with more specific error handling
+    let user;
+    try {
+      user = await client.users.fetch(userId);
+      logger.info(`Successfully fetched user: ${user.tag} (${userId})`);
+    } catch (fetchError) {
+      logger.error(`Failed to fetch user ${userId}:`, {
+        error: fetchError.message,
+        code: fetchError.code,
+        status: fetchError.status
+      });
+      dmFailures.inc();
+      return false;
+    }
+
+    // Check if user allows DMs by attempting to create a DM channel first
+    try {
+      const dmChannel = await user.createDM();
+      logger.info(`DM channel created for user ${userId}: ${dmChannel.id}`);
+    } catch (dmError) {
+      logger.error(`Failed to create DM channel for user ${userId}:`, {
+        error: dmError.message,
+        code: dmError.code
+      });
+      dmFailures.inc();
+      return false;
+    }
+
+    // Send the actual message
+    try {
+      const message = await user.send(content);
+      logger.info(`Successfully sent DM to user ${userId}. Message ID: ${message.id}`);
+      return true;
+    } catch (sendError) {
+      logger.error(`Failed to send DM to user ${userId}:`, {
+        error: sendError.message,
+        code: sendError.code,
+        status: sendError.status,
+        requestData: sendError.requestData
+      });
+      
+      // Log specific error codes
+      if (sendError.code === 50007) {
+        logger.error(`User ${userId} has DMs disabled or blocked the bot`);
+      } else if (sendError.code === 10013) {
+        logger.error(`User ${userId} not found or invalid user ID`);
+      }
+      
+      dmFailures.inc();
+      return false;
+    }
+
+  } catch (error) {
+    logger.error(`Unexpected error in safeSendDM for user ${userId}:`, {
+      error: error.message,
+      stack: error.stack,
+      code: error.code
+    });
+    dmFailures.inc();
+    return false;
+  }
+}
+
+/**
+ * Post to the verification log channel, logging instead of throwing on failure
+ * @param {import("discord.js").Client} client 
+ * @param {string | import("discord.js").MessageCreateOptions} content 
+ * @param {string | null} [channelId] Another admin channel to post to instead of GUILD_ID's log channel
+ * @returns {Promise<import("discord.js").Message | null>}
+ */
+async function sendToVerificationChannel(client, content, channelId = getGuildSettings(config.GUILD_ID).logChannelId) {
+  if (!channelId) {
+    return null;
+  }
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    return await channel.send(content);
+  } catch (error) {
+    logger.error('Failed to post to verification channel:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch a member of a guild, or null if they aren't in it
+ * @param {import("discord.js").Client} client 
+ * @param {string} discordId 
+ * @param {string} [guildId=config.GUILD_ID]
+ * @returns {Promise<import("discord.js").GuildMember | null>}
+ */
+async function fetchGuildMember(client, discordId, guildId = config.GUILD_ID) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) {
+    return null;
+  }
+
+  try {
+    return await guild.members.fetch(discordId);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Give a member the roles their verified_flags map to, and take away mapped roles they no longer qualify for
+ * @param {import("discord.js").GuildMember} member
+ * @param {Record<string, unknown> | null | undefined} flags From the backend record, null if there is none
+ * @param {string} reason
+ * @param {{ addOnly?: boolean }} [options] `addOnly` leaves roles the flags don't map to alone
+ * @returns {Promise<{ added: string[], removed: string[] }>} Role IDs changed
+ */
+async function syncMemberRoles(member, flags, reason, { addOnly = false } = {}) {
+  const entitled = getEntitledRoles(flags, member.guild.id);
+  const added = entitled.filter(roleId => !member.roles.cache.has(roleId));
+  const removed = addOnly
+    ? []
+    : getManagedRoles(member.guild.id).filter(roleId => !entitled.includes(roleId) && member.roles.cache.has(roleId));
+
+  if (added.length > 0) {
+    await member.roles.add(added, reason);
+  }
+  if (removed.length > 0) {
+    await member.roles.remove(removed, reason);
+  }
+  if (added.length > 0 || removed.length > 0) {
+    logger.info(`Updated roles for ${member.user.username} (${member.id}): added ${added.join(', ') || 'none'}, removed ${removed.join(', ') || 'none'}`);
+  }
+
+  return { added, removed };
+}
+
+/**
+ * Sync a user's mapped roles in every guild they share with the bot
+ * @param {import("discord.js").Client} client 
+ * @param {string} discordId 
+ * @param {Record<string, unknown> | null | undefined} flags From the backend record, null if there is none
+ * @param {string} [reason] 
+ * @param {{ addOnly?: boolean }} [options] See syncMemberRoles
+ * @returns {Promise<{ added: string[], removed: string[] }>} Role IDs changed, across all guilds
+ */
+async function syncUserRoles(client, discordId, flags, reason = 'User verified with iDenfy', options) {
+  const changed = { added: [], removed: [] };
+
+  for (const guildId of client.guilds.cache.keys()) {
+    if (getManagedRoles(guildId).length === 0) {
+      continue;
+    }
+    const member = await fetchGuildMember(client, discordId, guildId);
+    if (!member) {
+      continue;
+    }
+
+    const { added, removed } = await syncMemberRoles(member, flags, reason, options);
+    changed.added.push(...added);
+    changed.removed.push(...removed);
+  }
+
+  return changed;
+}
+
+/**
+ * Give a user who just verified the roles their flags map to, in every guild they share with the bot. Nothing is
+ * taken away, so a failed or stale backend read can't strip roles as they verify; that is left to the role sync.
+ * @param {import("discord.js").Client} client
+ * @param {string} discordId
+ * @param {Record<string, unknown> | null | undefined} flags
+ * @param {string} [reason]
+ * @returns {Promise<string[]>} Role IDs added
+ */
+async function addVerifiedRoles(client, discordId, flags, reason) {
+  const { added } = await syncUserRoles(client, discordId, flags, reason, { addOnly: true });
+  return added;
+}
+
+/**
+ * Take every mapped role away from a user whose verification is gone
+ * @param {import("discord.js").Client} client 
+ * @param {string} discordId 
+ * @param {string} [reason] 
+ * @returns {Promise<string[]>} Role IDs removed
+ */
+async function removeVerifiedRoles(client, discordId, reason = 'Verification revoked') {
+  const { removed } = await syncUserRoles(client, discordId, null, reason);
+  return removed;
+}
+
+/**
+ * Role mentions for embeds
+ * @param {string[]} roleIds
+ * @param {string} [none='None']
+ * @returns {string}
+ */
+function formatRoles(roleIds, none = 'None') {
+  return roleIds.length > 0 ? roleIds.map(roleId => `<@&${roleId}>`).join(', ') : none;
+}
+
+module.exports = {
+  safeSendDM,
+  sendToVerificationChannel,
+  fetchGuildMember,
+  syncMemberRoles,
+  syncUserRoles,
+  addVerifiedRoles,
+  removeVerifiedRoles,
+  formatRoles
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder, resolveColor } = require('discord.js');
+const config = require('../config/config');
+const logger = require('./logger');
+const { hasMessage, interpolate, t } = require('./i18n');
+
+// Shipped templates; an operator's EMBED_TEMPLATES_FILE is laid over these
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', 'config', 'embedTemplates.json');
+
+/**
+ * Template text: literal text, or a message from the locale catalogs. Both get the {placeholders} filled in.
+ * @typedef {string | { key: string }} TemplateText
+ */
+
+/**
+ * @typedef {Object} EmbedTemplate
+ * @property {string | number} color `#RRGGBB` or a number
+ * @property {TemplateText} [content] Message text sent alongside the embed
+ * @property {TemplateText} [title]
+ * @property {TemplateText} [description]
+ * @property {Array<{ name: TemplateText, value: TemplateText, inline?: boolean }>} [fields] Fields that render empty are left out
+ * @property {TemplateText} [footer]
+ * @property {boolean} [timestamp=true]
+ */
+
+let templates = null;
+
+function readTemplateFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read embed templates from ${file}: ${error.message}`);
+  }
+}
+
+function validateText(text, where) {
+  if (typeof text === 'string') {
+    return;
+  }
+  if (typeof text?.key !== 'string') {
+    throw new Error(`${where} must be a string or { "key": "<message key>" }`);
+  }
+  if (!hasMessage(text.key)) {
+    throw new Error(`${where} uses unknown message ${text.key}`);
+  }
+}
+
+function validateTemplate(name, template) {
+  try {
+    resolveColor(template.color);
+  } catch {
+    throw new Error(`Embed template ${name} has an invalid color: ${template.color}`);
+  }
+
+  for (const property of ['content', 'title', 'description', 'footer']) {
+    if (template[property] !== undefined) {
+      validateText(template[property], `Embed template ${name} ${property}`);
+    }
+  }
+
+  if (!Array.isArray(template.fields ?? [])) {
+    throw new Error(`Embed template ${name} fields must be an array`);
+  }
+  (template.fields ?? []).forEach((field, index) => {
+    validateText(field?.name, `Embed template ${name} field ${index + 1} name`);
+    validateText(field.value, `Embed template ${name} field ${index + 1} value`);
+  });
+}
+
+/**
+ * Load the default templates and lay the operator's file over them. Each template in the operator's
+ * file replaces only the properties it sets, so a template can be recolored without repeating its fields.
+ * @param {string} [file=config.EMBED_TEMPLATES_FILE]
+ * @returns {Record<string, EmbedTemplate>}
+ * @throws If a file can't be read or a template is invalid
+ */
+function loadEmbedTemplates(file = config.EMBED_TEMPLATES_FILE) {
+  const loaded = readTemplateFile(DEFAULT_TEMPLATES_FILE);
+
+  if (file) {
+    for (const [name, overrides] of Object.entries(readTemplateFile(file))) {
+      if (!loaded[name]) {
+        throw new Error(`Unknown embed template ${name} in ${file} (expected one of ${Object.keys(loaded).join(', ')})`);
+      }
+      loaded[name] = { ...loaded[name], ...overrides };
+    }
+  }
+
+  for (const [name, template] of Object.entries(loaded)) {
+    validateTemplate(name, template);
+  }
+  if (file) {
+    logger.info(`Loaded embed templates from ${file}`);
+  }
+
+  templates = loaded;
+  return templates;
+}
+
+function renderText(text, locale, vars) {
+  return typeof text === 'string' ? interpolate(text, vars) : t(locale, text.key, vars);
+}
+
+/**
+ * Build the message for a notification from its template
+ * @param {string} name e.g. `verificationStarted`
+ * @param {string} locale Used for template text taken from the locale catalogs
+ * @param {Record<string, string | number>} [vars] Values for the template's {placeholders}
+ * @returns {{ content?: string, embeds: EmbedBuilder[] }}
+ */
+function renderTemplate(name, locale, vars = {}) {
+  const template = (templates ?? loadEmbedTemplates())[name];
+  if (!template) {
+    throw new Error(`Unknown embed template: ${name}`);
+  }
+
+  const embed = new EmbedBuilder().setColor(resolveColor(template.color));
+  if (template.title !== undefined) {
+    embed.setTitle(renderText(template.title, locale, vars));
+  }
+  if (template.description !== undefined) {
+    embed.setDescription(renderText(template.description, locale, vars));
+  }
+
+  const fields = (template.fields ?? [])
+    .map(field => ({
+      name: renderText(field.name, locale, vars),
+      value: renderText(field.value, locale, vars).slice(0, 1024),
+      inline: Boolean(field.inline)
+    }))
+    .filter(field => field.name && field.value);
+  if (fields.length > 0) {
+    embed.addFields(fields);
+  }
+
+  if (template.footer !== undefined) {
+    embed.setFooter({ text: renderText(template.footer, locale, vars) });
+  }
+  if (template.timestamp !== false) {
+    embed.setTimestamp();
+  }
+
+  const message = { embeds: [embed] };
+  if (template.content !== undefined) {
+    message.content = renderText(template.content, locale, vars);
+  }
+  return message;
+}
+
+module.exports = {
+  loadEmbedTemplates,
+  renderTemplate
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Every catalog is checked against this one, and it is used for anything a catalog is missing
+const DEFAULT_LOCALE = 'en';
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+// locales/<locale>.json, flat objects of message key -> message with {placeholders}
+function loadCatalogs() {
+  const catalogs = {};
+  for (const file of fs.readdirSync(LOCALES_DIR).filter(name => name.endsWith('.json'))) {
+    catalogs[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+  }
+  return catalogs;
+}
+
+const catalogs = loadCatalogs();
+
+/**
+ * @returns {string[]} Locales that have a catalog, the default first
+ */
+function getSupportedLocales() {
+  return [DEFAULT_LOCALE, ...Object.keys(catalogs).filter(locale => locale !== DEFAULT_LOCALE).sort()];
+}
+
+/**
+ * The closest locale with a catalog: an exact match, then the language alone (es-ES -> es), then the default
+ * @param {string} [locale] A Discord locale like `de` or `es-ES`
+ * @returns {string}
+ */
+function resolveLocale(locale) {
+  if (!locale) {
+    return DEFAULT_LOCALE;
+  }
+  if (catalogs[locale]) {
+    return locale;
+  }
+  const language = locale.split('-')[0].toLowerCase();
+  return catalogs[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Fill in a message's {placeholders}; ones without a value are left as they are
+ * @param {string} message
+ * @param {Record<string, string | number>} [vars]
+ * @returns {string}
+ */
+function interpolate(message, vars = {}) {
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (vars[name] !== undefined ? String(vars[name]) : placeholder));
+}
+
+/**
+ * Whether the default catalog has a message
+ * @param {string} key
+ * @returns {boolean}
+ */
+function hasMessage(key) {
+  return key in catalogs[DEFAULT_LOCALE];
+}
+
+/**
+ * Translate a message, falling back to the default locale for keys a catalog doesn't have
+ * @param {string} locale
+ * @param {string} key
+ * @param {Record<string, string | number>} [vars] Values for the message's {placeholders}
+ * @returns {string}
+ */
+function t(locale, key, vars = {}) {
+  const message = catalogs[resolveLocale(locale)]?.[key] ?? catalogs[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    logger.warn(`Missing message ${key}`);
+    return key;
+  }
+  return interpolate(message, vars);
+}
+
+/**
+ * The language code iDenfy's UI expects, e.g. `pt` for `pt-BR`
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function toIdenfyLocale(locale) {
+  return resolveLocale(locale).split('-')[0];
+}
+
+/**
+ * Keys each catalog is missing or has on top of the default one
+ * @returns {Record<string, { missing: string[], extra: string[] }>} Only catalogs that differ
+ */
+function findCatalogMismatches() {
+  const expected = Object.keys(catalogs[DEFAULT_LOCALE]);
+  const mismatches = {};
+
+  for (const [locale, catalog] of Object.entries(catalogs)) {
+    const missing = expected.filter(key => !(key in catalog));
+    const extra = Object.keys(catalog).filter(key => !(key in catalogs[DEFAULT_LOCALE]));
+    if (missing.length > 0 || extra.length > 0) {
+      mismatches[locale] = { missing, extra };
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Log catalogs that don't have the same keys as the default one, so gaps are noticed at startup
+ * @returns {boolean} true if every catalog matches
+ */
+function checkCatalogs() {
+  const mismatches = findCatalogMismatches();
+  for (const [locale, { missing, extra }] of Object.entries(mismatches)) {
+    logger.warn(`Locale ${locale} is missing ${missing.length} message(s) and has ${extra.length} unknown message(s)`, { missing, extra });
+  }
+  return Object.keys(mismatches).length === 0;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getSupportedLocales,
+  resolveLocale,
+  interpolate,
+  hasMessage,
+  t,
+  toIdenfyLocale,
+  findCatalogMismatches,
+  checkCatalogs
+};
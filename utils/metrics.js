@@ -0,0 +1,81 @@
+const promClient = require('prom-client');
+
+const register = new promClient.Registry();
+promClient.collectDefaultMetrics({ register, prefix: 'veyra_' });
+
+const pendingVerificationsGauge = new promClient.Gauge({
+  name: 'veyra_pending_verifications',
+  help: 'Verifications currently stored, by lifecycle state',
+  labelNames: ['state'],
+  registers: [register]
+});
+
+const webhookCallbacks = new promClient.Counter({
+  name: 'veyra_webhook_callbacks_total',
+  help: 'iDenfy webhook callbacks received, by iDenfy status and how they were handled',
+  labelNames: ['status', 'outcome'],
+  registers: [register]
+});
+
+const externalRequestDuration = new promClient.Histogram({
+  name: 'veyra_external_request_duration_seconds',
+  help: 'Latency of requests to iDenfy, the Veyra API and BYOND',
+  labelNames: ['service', 'operation', 'result'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const deletionFailures = new promClient.Counter({
+  name: 'veyra_idenfy_deletion_failures_total',
+  help: 'Failed iDenfy data deletion attempts; dead="true" when the job was given up on',
+  labelNames: ['dead'],
+  registers: [register]
+});
+
+const dmFailures = new promClient.Counter({
+  name: 'veyra_dm_failures_total',
+  help: 'Direct messages that could not be delivered',
+  registers: [register]
+});
+
+/**
+ * Report the number of stored verifications per state whenever metrics are scraped
+ * @param {import("./PersistentMap").PersistentMap} pendingVerifications
+ */
+function trackPendingVerifications(pendingVerifications) {
+  pendingVerificationsGauge.collect = function () {
+    this.reset();
+    for (const verification of pendingVerifications.values()) {
+      this.inc({ state: verification.state });
+    }
+  };
+}
+
+/**
+ * Run a request and record how long it took
+ * @template T
+ * @param {'idenfy' | 'api' | 'byond'} service
+ * @param {string} operation
+ * @param {() => Promise<T>} request
+ * @returns {Promise<T>}
+ */
+async function timeRequest(service, operation, request) {
+  const end = externalRequestDuration.startTimer({ service, operation });
+  try {
+    const result = await request();
+    end({ result: 'success' });
+    return result;
+  } catch (error) {
+    end({ result: 'error' });
+    throw error;
+  }
+}
+
+module.exports = {
+  register,
+  webhookCallbacks,
+  deletionFailures,
+  dmFailures,
+  trackPendingVerifications,
+  timeRequest
+};
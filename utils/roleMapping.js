@@ -0,0 +1,130 @@
+const fs = require('fs');
+const config = require('../config/config');
+const { getGuildSettings } = require('../services/guildSettings');
+const logger = require('./logger');
+
+// Flags the backend sets in verified_flags; others are allowed but probably a typo
+const KNOWN_FLAGS = ['vetted', 'byond_verified', 'id_verified', 'debug'];
+
+/**
+ * Members whose verified_flags have every listed flag set as given (a missing flag counts as false) get the roles
+ * @typedef {Object} RoleRule
+ * @property {Record<string, boolean>} flags
+ * @property {string[]} roles Discord role IDs
+ * @property {string} [guildId] Guild the roles belong to, GUILD_ID if not given
+ */
+
+let rules = null;
+
+/**
+ * The mapping a guild uses when ROLE_MAPPING_FILE has no rules for it: ID-verified users get the guild's
+ * verified role, and in GUILD_ID vetted users get VETTED_ROLE_ID
+ * @param {string} guildId
+ * @returns {RoleRule[]}
+ */
+function getDefaultRules(guildId) {
+  const { verifiedRoleId } = getGuildSettings(guildId);
+  return [
+    verifiedRoleId && { flags: { id_verified: true }, roles: [verifiedRoleId], guildId },
+    guildId === config.GUILD_ID && config.VETTED_ROLE_ID && { flags: { vetted: true }, roles: [config.VETTED_ROLE_ID], guildId }
+  ].filter(Boolean);
+}
+
+function validateRule(rule, where) {
+  const flags = Object.entries(rule?.flags ?? {});
+  if (typeof rule?.flags !== 'object' || Array.isArray(rule.flags) || flags.length === 0) {
+    throw new Error(`${where} needs "flags", e.g. { "id_verified": true }`);
+  }
+  for (const [flag, value] of flags) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`${where} flag ${flag} must be true or false`);
+    }
+    if (!KNOWN_FLAGS.includes(flag)) {
+      logger.warn(`${where} uses unknown flag ${flag} (known flags: ${KNOWN_FLAGS.join(', ')})`);
+    }
+  }
+
+  if (!Array.isArray(rule.roles) || rule.roles.length === 0) {
+    throw new Error(`${where} needs "roles", a list of role IDs`);
+  }
+  for (const roleId of rule.roles) {
+    if (typeof roleId !== 'string' || !/^\d+$/.test(roleId)) {
+      throw new Error(`${where} has an invalid role ID: ${roleId}`);
+    }
+  }
+
+  if (rule.guildId !== undefined && (typeof rule.guildId !== 'string' || !/^\d+$/.test(rule.guildId))) {
+    throw new Error(`${where} has an invalid guild ID: ${rule.guildId}`);
+  }
+}
+
+/**
+ * Load the flag to role mapping from ROLE_MAPPING_FILE. Without one every guild uses its default rules.
+ * @param {string} [file=config.ROLE_MAPPING_FILE]
+ * @returns {RoleRule[]}
+ * @throws If the file can't be read or a rule is invalid
+ */
+function loadRoleMapping(file = config.ROLE_MAPPING_FILE) {
+  if (!file) {
+    rules = [];
+    return rules;
+  }
+
+  let loaded;
+  try {
+    loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read role mapping from ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(loaded)) {
+    throw new Error(`Role mapping in ${file} must be a list of rules`);
+  }
+  loaded.forEach((rule, index) => validateRule(rule, `Role mapping rule ${index + 1}`));
+
+  logger.info(`Loaded ${loaded.length} role mapping rules from ${file}`);
+  rules = loaded.map(rule => ({ ...rule, guildId: rule.guildId ?? config.GUILD_ID }));
+  return rules;
+}
+
+/**
+ * A guild's rules from ROLE_MAPPING_FILE, or its defaults if the file has none for it.
+ * Defaults are built on every call, so /veyra-config changes apply straight away.
+ * @param {string} guildId
+ * @returns {RoleRule[]}
+ */
+function getRules(guildId) {
+  const guildRules = (rules ?? loadRoleMapping()).filter(rule => rule.guildId === guildId);
+  return guildRules.length > 0 ? guildRules : getDefaultRules(guildId);
+}
+
+/**
+ * Every role the mapping hands out in a guild, and so may also take away
+ * @param {string} [guildId=config.GUILD_ID]
+ * @returns {string[]}
+ */
+function getManagedRoles(guildId = config.GUILD_ID) {
+  return [...new Set(getRules(guildId).flatMap(rule => rule.roles))];
+}
+
+/**
+ * The roles in a guild a backend record's verified_flags entitle a member to
+ * @param {Record<string, unknown> | null | undefined} flags null when there is no backend record
+ * @param {string} [guildId=config.GUILD_ID]
+ * @returns {string[]}
+ */
+function getEntitledRoles(flags, guildId = config.GUILD_ID) {
+  if (!flags) {
+    return [];
+  }
+
+  const matching = getRules(guildId).filter(rule =>
+    Object.entries(rule.flags).every(([flag, value]) => Boolean(flags[flag]) === value)
+  );
+  return [...new Set(matching.flatMap(rule => rule.roles))];
+}
+
+module.exports = {
+  loadRoleMapping,
+  getManagedRoles,
+  getEntitledRoles
+};
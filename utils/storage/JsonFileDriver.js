@@ -0,0 +1,148 @@
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+// Stores each collection as a JSON object in <dataDir>/<collection>.json, rewriting the file on change
+class JsonFileDriver {
+  /**
+   * @param {{ dataDir: string }} options
+   */
+  constructor({ dataDir }) {
+    this.type = 'json';
+    this.dataDir = dataDir;
+    this._saveState = new Map();
+  }
+
+  // Nothing to set up, collections are created on first save
+  register() {}
+
+  filePath(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  /**
+   * Read every entry of a collection
+   * @param {string} collection
+   * @returns {Promise<Array<[string, any]>>}
+   */
+  async load(collection) {
+    const file = this.filePath(collection);
+
+    let data;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info(`No ${collection} file found, starting fresh`);
+        return [];
+      }
+      throw error;
+    }
+
+    // Handle empty file
+    if (!data.trim()) {
+      logger.info(`${collection} file is empty, starting fresh`);
+      return [];
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (parseError) {
+      logger.error(`Failed to parse ${collection} JSON:`, parseError.message);
+      logger.info('Creating backup of corrupted file and starting fresh');
+
+      const backupFile = `${file}.backup.${Date.now()}`;
+      await fs.copyFile(file, backupFile);
+      logger.info(`Corrupted file backed up to: ${backupFile}`);
+
+      return [];
+    }
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+      throw new Error(`Invalid ${collection} data structure - not an object`);
+    }
+
+    return Object.entries(parsed);
+  }
+
+  /**
+   * Persist a change. The whole collection is rewritten, so the change itself is not needed.
+   * @param {string} collection
+   * @param {Map<string, any>} entries
+   * @returns {Promise<void>}
+   */
+  write(collection, entries) {
+    return this._triggerSave(collection, entries);
+  }
+
+  /**
+   * Save immediately, e.g. during shutdown. The whole file is rewritten, so which keys changed is not needed.
+   * @param {string} collection
+   * @param {Map<string, any>} entries
+   */
+  async flush(collection, entries) {
+    await this._save(collection, entries);
+  }
+
+  async _triggerSave(collection, entries) {
+    const state = this._saveState.get(collection) ?? { saving: false, queued: false };
+    this._saveState.set(collection, state);
+
+    // Debounce saves to avoid excessive disk I/O
+    if (state.saving) {
+      state.queued = true;
+      return;
+    }
+
+    state.saving = true;
+    state.queued = false;
+
+    try {
+      await this._save(collection, entries);
+    } finally {
+      state.saving = false;
+
+      // If another save was queued while we were saving, trigger it now
+      if (state.queued) {
+        setImmediate(() => this._triggerSave(collection, entries));
+      }
+    }
+  }
+
+  // Atomic write: write to a temp file first, then rename
+  async _save(collection, entries) {
+    const file = this.filePath(collection);
+    const tempFile = file + '.tmp';
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(Object.fromEntries(entries), null, 2), 'utf8');
+      await fs.rename(tempFile, file);
+
+      logger.debug(`Saved ${entries.size} ${collection} entries to disk`);
+    } catch (error) {
+      logger.error(`Failed to save ${collection}:`, error.message);
+
+      // Try to clean up temp file if it exists
+      try {
+        await fs.unlink(tempFile);
+      } catch {
+        // Ignore cleanup errors
+      }
+    }
+  }
+
+  /**
+   * Throws if the data directory can't be written to
+   */
+  async checkWritable() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    await fs.access(this.dataDir, fsConstants.W_OK);
+  }
+
+  close() {}
+}
+
+module.exports = { JsonFileDriver };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { JsonFileDriver } = require('./JsonFileDriver');
+
+const COLLECTION_NAME = /^[a-z][a-z0-9_]*$/;
+
+// Stores each collection as a table of JSON rows in an embedded SQLite database.
+// Every change is written through as it happens; lookups by field use PersistentMap's in-memory indexes.
+class SqliteDriver {
+  /**
+   * @param {{ filename: string, legacyDataDir?: string }} options
+   */
+  constructor({ filename, legacyDataDir }) {
+    // Only required when this driver is selected, so the JSON driver works without the native module
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+    this.type = 'sqlite';
+    this.filename = filename;
+    this.legacyDataDir = legacyDataDir;
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this._collections = new Map();
+  }
+
+  /**
+   * Create the collection's table if it doesn't exist yet. Indexes are kept in memory by PersistentMap,
+   * so the index columns earlier versions added are dropped rather than written on every change.
+   * @param {string} collection
+   */
+  register(collection) {
+    if (this._collections.has(collection)) {
+      return;
+    }
+    if (!COLLECTION_NAME.test(collection)) {
+      throw new Error(`Invalid collection name ${collection}`);
+    }
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )`);
+
+    const legacyColumns = this.db.prepare(`PRAGMA table_info("${collection}")`).all()
+      .map(column => column.name)
+      .filter(name => name.startsWith('idx_'));
+    for (const column of legacyColumns) {
+      this.db.exec(`DROP INDEX IF EXISTS "${collection}_${column}"`);
+      this.db.exec(`ALTER TABLE "${collection}" DROP COLUMN "${column}"`);
+    }
+
+    this._collections.set(collection, {
+      upsert: this.db.prepare(`INSERT OR REPLACE INTO "${collection}" (key, value, updated_at) VALUES (?, ?, ?)`),
+      remove: this.db.prepare(`DELETE FROM "${collection}" WHERE key = ?`),
+      clear: this.db.prepare(`DELETE FROM "${collection}"`),
+      all: this.db.prepare(`SELECT key, value FROM "${collection}"`),
+      keys: this.db.prepare(`SELECT key FROM "${collection}"`).pluck(),
+      count: this.db.prepare(`SELECT COUNT(*) AS count FROM "${collection}"`)
+    });
+  }
+
+  _statements(collection) {
+    const statements = this._collections.get(collection);
+    if (!statements) {
+      throw new Error(`Collection ${collection} has not been registered`);
+    }
+    return statements;
+  }
+
+  _row(key, value) {
+    return [key, JSON.stringify(value), Date.now()];
+  }
+
+  // Upsert the key if it is in entries, otherwise remove its row
+  _saveKey(statements, entries, key) {
+    if (entries.has(key)) {
+      statements.upsert.run(...this._row(key, entries.get(key)));
+    } else {
+      statements.remove.run(key);
+    }
+  }
+
+  /**
+   * Read every entry of a collection, importing the legacy JSON file first if the table is empty
+   * @param {string} collection
+   * @returns {Promise<Array<[string, any]>>}
+   */
+  async load(collection) {
+    const statements = this._statements(collection);
+
+    if (statements.count.get().count === 0) {
+      await this.migrateFromJson(collection);
+    }
+
+    const entries = [];
+    for (const row of statements.all.all()) {
+      try {
+        entries.push([row.key, JSON.parse(row.value)]);
+      } catch {
+        logger.warn(`Skipping unreadable ${collection} row: ${row.key}`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * One-shot import of <legacyDataDir>/<collection>.json. The file is renamed afterwards so it only runs once.
+   * @param {string} collection
+   * @returns {Promise<number>} Number of imported entries
+   */
+  async migrateFromJson(collection) {
+    if (!this.legacyDataDir) {
+      return 0;
+    }
+
+    const jsonDriver = new JsonFileDriver({ dataDir: this.legacyDataDir });
+    const legacyFile = jsonDriver.filePath(collection);
+    if (!fs.existsSync(legacyFile)) {
+      return 0;
+    }
+
+    const entries = await jsonDriver.load(collection);
+    const { upsert } = this._statements(collection);
+    this.db.transaction(() => {
+      for (const [key, value] of entries) {
+        upsert.run(...this._row(key, value));
+      }
+    })();
+
+    fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+    logger.info(`Migrated ${entries.length} ${collection} entries from ${legacyFile} to SQLite`);
+    return entries.length;
+  }
+
+  /**
+   * Persist a single change
+   * @param {string} collection
+   * @param {Map<string, any>} entries
+   * @param {{ op: 'set' | 'delete' | 'clear', key?: string, value?: any }} change
+   */
+  async write(collection, entries, change) {
+    const statements = this._statements(collection);
+
+    try {
+      switch (change.op) {
+        case 'set':
+          statements.upsert.run(...this._row(change.key, change.value));
+          break;
+        case 'delete':
+          statements.remove.run(change.key);
+          break;
+        case 'clear':
+          statements.clear.run();
+          break;
+      }
+    } catch (error) {
+      logger.error(`Failed to save ${collection}:`, error.message);
+    }
+  }
+
+  /**
+   * Make the stored collection match the given entries. With `keys`, only those rows are written or removed;
+   * without, every entry is written and rows for keys no longer in `entries` are removed.
+   * @param {string} collection
+   * @param {Map<string, any>} entries
+   * @param {string[]} [keys] Keys that changed
+   */
+  async flush(collection, entries, keys) {
+    const statements = this._statements(collection);
+    this.db.transaction(() => {
+      if (keys) {
+        for (const key of keys) {
+          this._saveKey(statements, entries, key);
+        }
+        return;
+      }
+
+      for (const key of statements.keys.all()) {
+        if (!entries.has(key)) {
+          statements.remove.run(key);
+        }
+      }
+      for (const [key, value] of entries) {
+        statements.upsert.run(...this._row(key, value));
+      }
+    })();
+  }
+
+  /**
+   * Throws if the database can't be written to
+   */
+  async checkWritable() {
+    this.db.exec('CREATE TABLE IF NOT EXISTS "_healthcheck" (id INTEGER PRIMARY KEY, checked_at INTEGER)');
+    this.db.prepare('INSERT OR REPLACE INTO "_healthcheck" (id, checked_at) VALUES (1, ?)').run(Date.now());
+  }
+
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = { SqliteDriver };
@@ -0,0 +1,47 @@
+const config = require('../../config/config');
+const logger = require('../logger');
+const { JsonFileDriver } = require('./JsonFileDriver');
+
+let driver = null;
+
+/**
+ * Create a storage driver
+ * @param {string} [type=config.STORAGE_DRIVER] "json" or "sqlite"
+ * @returns {import("./JsonFileDriver").JsonFileDriver | import("./SqliteDriver").SqliteDriver}
+ */
+function createStorageDriver(type = config.STORAGE_DRIVER) {
+  switch (type) {
+    case 'json':
+      return new JsonFileDriver({ dataDir: config.DATA_DIR });
+    case 'sqlite': {
+      const { SqliteDriver } = require('./SqliteDriver');
+      return new SqliteDriver({ filename: config.SQLITE_FILE, legacyDataDir: config.DATA_DIR });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${type} (expected "json" or "sqlite")`);
+  }
+}
+
+/**
+ * Shared storage driver selected by STORAGE_DRIVER
+ */
+function getStorageDriver() {
+  if (!driver) {
+    driver = createStorageDriver();
+    logger.info(`Using ${driver.type} storage driver`);
+  }
+  return driver;
+}
+
+function closeStorageDriver() {
+  if (driver) {
+    driver.close();
+    driver = null;
+  }
+}
+
+module.exports = {
+  createStorageDriver,
+  getStorageDriver,
+  closeStorageDriver
+};
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { webhookCallbacks } = require('../utils/metrics');
+
+const SIGNATURE_HEADER = 'Idenfy-Signature';
+const OWNERSHIP_SECRET_HEADER = 'X-Veyra-Secret';
+
+// body-parser verify hook, keeps the exact bytes iDenfy signed
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Check an iDenfy HMAC-SHA256 signature against the raw request body
+ * @param {Buffer} rawBody
+ * @param {string} signature Hex digest from the Idenfy-Signature header
+ * @param {string} signingKey
+ * @returns {boolean}
+ */
+function isValidSignature(rawBody, signature, signingKey) {
+  if (!rawBody || !signature || !signingKey) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', signingKey).update(rawBody).digest();
+  const provided = Buffer.from(signature.trim(), 'hex');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Compare a shared secret sent by a caller in constant time
+ * @param {string | undefined} provided
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function isValidSharedSecret(provided, secret) {
+  if (!provided || !secret) {
+    return false;
+  }
+
+  // Hash both sides so the comparison doesn't leak the secret's length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(secret));
+}
+
+/**
+ * Returns the callback time in milliseconds from the payload's own times. Headers aren't signed,
+ * so a replayed callback could freshen a header timestamp but not these.
+ * @param {import("express").Request} req
+ * @returns {number | null}
+ */
+function getCallbackTimestamp(req) {
+  const raw = req.body?.finishTime ?? req.body?.startTime;
+  const seconds = Number(raw);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Identifies a callback by scanRef and outcome, so the same result is never acted on twice
+ * @param {object} body
+ * @returns {string | null}
+ */
+function getCallbackId(body) {
+  if (!body?.scanRef) {
+    return null;
+  }
+  return `${body.scanRef}:${body.status?.overall ?? 'UNKNOWN'}`;
+}
+
+/**
+ * Express middleware that rejects unsigned, stale and replayed iDenfy callbacks
+ * @param {import("../utils/ProcessedCallbackStore").ProcessedCallbackStore} processedCallbacks
+ * @returns {import("express").RequestHandler}
+ */
+function createIdenfyWebhookGuard(processedCallbacks) {
+  return (req, res, next) => {
+    const reject = (statusCode, reason, outcome) => {
+      webhookCallbacks.inc({ status: req.body?.status?.overall ?? 'unknown', outcome });
+      logger.warn(`Rejected iDenfy webhook from ${req.ip}: ${reason}`, {
+        scanRef: req.body?.scanRef,
+        userAgent: req.get('User-Agent')
+      });
+      return res.status(statusCode).send(reason);
+    };
+
+    if (!config.IDENFY_WEBHOOK_SIGNING_KEY) {
+      if (!config.DEBUG) {
+        return reject(503, 'Webhook signing key not configured', 'not_configured');
+      }
+    } else if (!isValidSignature(req.rawBody, req.get(SIGNATURE_HEADER), config.IDENFY_WEBHOOK_SIGNING_KEY)) {
+      return reject(401, 'Invalid signature', 'invalid_signature');
+    }
+
+    const timestamp = getCallbackTimestamp(req);
+    if (!timestamp) {
+      return reject(400, 'Missing callback timestamp', 'missing_timestamp');
+    }
+    if (Date.now() - timestamp > config.WEBHOOK_MAX_AGE_SECONDS * 1000) {
+      return reject(400, 'Stale callback', 'stale');
+    }
+
+    const callbackId = getCallbackId(req.body);
+    if (!callbackId) {
+      return reject(400, 'Missing scanRef', 'missing_scan_ref');
+    }
+    if (processedCallbacks.has(callbackId)) {
+      logger.warn(`Ignoring replayed iDenfy webhook ${callbackId} from ${req.ip}`);
+      webhookCallbacks.inc({ status: req.body.status?.overall ?? 'unknown', outcome: 'replay' });
+      // Acknowledge so iDenfy stops retrying, but don't process it again
+      return res.status(200).send('OK');
+    }
+
+    req.callbackId = callbackId;
+    next();
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  OWNERSHIP_SECRET_HEADER,
+  captureRawBody,
+  isValidSignature,
+  isValidSharedSecret,
+  getCallbackId,
+  createIdenfyWebhookGuard
+};
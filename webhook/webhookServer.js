@@ -1,294 +1,116 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { EmbedBuilder } = require('discord.js');
 const config = require('../config/config');
-const { submitVerification } = require('../services/apiClient');
-const { deleteIdenfyData } = require('../services/idenfyService');
+const { processIdenfyResult } = require('../services/verificationOutcome');
+const { hasValidToken } = require('../services/apiClient');
+const { canonicalizeCkey } = require('../services/byondService');
+const { findOwnershipChallenge } = require('../services/byondOwnership');
+const { continueAfterOwnershipCallback } = require('../commands/commandHandlers');
 const logger = require('../utils/logger');
+const { getStorageDriver } = require('../utils/storage');
+const { register, webhookCallbacks, trackPendingVerifications } = require('../utils/metrics');
+const {
+  OWNERSHIP_SECRET_HEADER,
+  captureRawBody,
+  isValidSharedSecret,
+  createIdenfyWebhookGuard
+} = require('./webhookSecurity');
 const { setupExpressErrorHandler } = require('@sentry/node');
 
-// Helper function to safely send DM without throwing errors
-async function safeSendDM(client, userId, content) {
-  try {
-    logger.info(`Attempting to send DM to user ${userId}`);
-    
-    // Check if client is ready
-    if (!client.isReady()) {
-      logger.error(`Discord client is not ready when trying to send DM to ${userId}`);
-      return false;
-    }
-
-    // Fetch user with more specific error handling
-    let user;
-    try {
-      user = await client.users.fetch(userId);
-      logger.info(`Successfully fetched user: ${user.tag} (${userId})`);
-    } catch (fetchError) {
-      logger.error(`Failed to fetch user ${userId}:`, {
-        error: fetchError.message,
-        code: fetchError.code,
-        status: fetchError.status
-      });
-      return false;
-    }
-
-    // Check if user allows DMs by attempting to create a DM channel first
-    try {
-      const dmChannel = await user.createDM();
-      logger.info(`DM channel created for user ${userId}: ${dmChannel.id}`);
-    } catch (dmError) {
-      logger.error(`Failed to create DM channel for user ${userId}:`, {
-        error: dmError.message,
-        code: dmError.code
-      });
-      return false;
-    }
+function createWebhookServer(client, pendingVerifications, processedCallbacks) {
+  const webhookApp = express();
+  if (config.WEBHOOK_TRUST_PROXY) {
+    // Needed for req.ip to be the caller's address when running behind a reverse proxy
+    webhookApp.set('trust proxy', config.WEBHOOK_TRUST_PROXY);
+  }
+  setupExpressErrorHandler(webhookApp);
+  webhookApp.use(bodyParser.json({ verify: captureRawBody }));
 
-    // Send the actual message
-    try {
-      const message = await user.send(content);
-      logger.info(`Successfully sent DM to user ${userId}. Message ID: ${message.id}`);
-      return true;
-    } catch (sendError) {
-      logger.error(`Failed to send DM to user ${userId}:`, {
-        error: sendError.message,
-        code: sendError.code,
-        status: sendError.status,
-        requestData: sendError.requestData
-      });
-      
-      // Log specific error codes
-      if (sendError.code === 50007) {
-        logger.error(`User ${userId} has DMs disabled or blocked the bot`);
-      } else if (sendError.code === 10013) {
-        logger.error(`User ${userId} not found or invalid user ID`);
-      }
-      
-      return false;
+  if (!config.IDENFY_WEBHOOK_SIGNING_KEY) {
+    if (config.DEBUG) {
+      logger.warn('IDENFY_WEBHOOK_SIGNING_KEY is not set - webhook signatures will NOT be verified (debug mode)');
+    } else {
+      logger.error('IDENFY_WEBHOOK_SIGNING_KEY is not set - all iDenfy webhooks will be rejected');
     }
-
-  } catch (error) {
-    logger.error(`Unexpected error in safeSendDM for user ${userId}:`, {
-      error: error.message,
-      stack: error.stack,
-      code: error.code
-    });
-    return false;
   }
-}
 
-// Helper function to retry deletion with initial delay and retries
-async function retryDeleteIdenfyData(client, scanRef, userId, maxRetries = 12, baseDelay = 10000, initialDelay = 5000) {
-  // Wait 5 seconds before first attempt to give iDenfy time to finish processing
-  logger.info(`Waiting ${initialDelay/1000}s before attempting to delete iDenfy data for ${scanRef}...`);
-  await new Promise(resolve => setTimeout(resolve, initialDelay));
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
+  // Webhook endpoint for iDenfy callbacks
+  webhookApp.post('/webhook/idenfy', createIdenfyWebhookGuard(processedCallbacks), async (req, res) => {
     try {
-      await deleteIdenfyData(scanRef);
-      logger.info(`Successfully deleted iDenfy data for ${scanRef} on attempt ${attempt + 1}`);
+      const { scanRef, status } = req.body;
       
-      // Notify user of successful deletion (non-blocking)
-      const embed = new EmbedBuilder()
-        .setColor(0x00AA00)
-        .setTitle('Data Cleanup Complete')
-        .setDescription('Your verification data has been successfully removed from iDenfy\'s systems for privacy protection.')
-        .addFields(
-          { name: 'Scan Reference', value: scanRef, inline: true },
-          { name: 'Action', value: 'Data Deleted', inline: true }
-        )
-        .setTimestamp();
+      const outcome = await processIdenfyResult(client, pendingVerifications, scanRef, status, { actor: 'webhook' });
+      webhookCallbacks.inc({ status: status?.overall ?? 'unknown', outcome: outcome.result });
 
-      safeSendDM(client, userId, { embeds: [embed] });
-      return true;
-    } catch (error) {
-      const isProcessingError = error.message.includes('processing state');
-      
-      if (!isProcessingError || attempt === maxRetries - 1) {
-        // If it's not a processing error or we've exhausted retries, log and give up
-        logger.error(`Failed to delete iDenfy data for ${scanRef} after ${attempt + 1} attempts:`, error.message);
-        
-        // Notify user of deletion failure (non-blocking)
-        const embed = new EmbedBuilder()
-          .setColor(0xFF6B00)
-          .setTitle('Data Cleanup Warning')
-          .setDescription('We were unable to automatically delete your verification data from iDenfy\'s systems. This may be temporary - we will continue trying, or you can contact support if needed.')
-          .addFields(
-            { name: 'Scan Reference', value: scanRef, inline: true },
-            { name: 'Issue', value: 'Deletion Failed', inline: true },
-            { name: 'Next Steps', value: 'Our team has been notified and will handle this manually if needed.', inline: false }
-          )
-          .setTimestamp();
+      // Remember this callback so a replay can't re-submit or re-DM
+      await processedCallbacks.add(req.callbackId);
 
-        safeSendDM(client, userId, { embeds: [embed] });
-        return false;
-      }
-      
-      // Wait before retrying (10s, 20s, 30s, etc.)
-      const delay = baseDelay * (attempt + 1);
-      logger.info(`Deletion failed for ${scanRef} (attempt ${attempt + 1}/${maxRetries}): ${error.message}. Retrying in ${delay/1000}s...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+      // Always return success to iDenfy
+      res.status(200).send('OK');
+    } catch (error) {
+      logger.error('iDenfy webhook error:', error);
+      webhookCallbacks.inc({ status: req.body?.status?.overall ?? 'unknown', outcome: 'error' });
+      res.status(500).send('Internal Server Error');
     }
-  }
-  return false;
-}
-
-function createWebhookServer(client, pendingVerifications) {
-  const webhookApp = express();
-  setupExpressErrorHandler(webhookApp);
-  webhookApp.use(bodyParser.json());
-
-  // Webhook endpoint for iDenfy callbacks
-  webhookApp.post('/webhook/idenfy', async (req, res) => {
-    try {
-      const { scanRef, status, platform } = req.body;
-      
-      // Extract the actual status from the status object
-      const overallStatus = status?.overall;
-      
-      const pending = pendingVerifications.get(scanRef);
-      if (!pending) {
-        logger.info(`No pending verification found for scanRef: ${scanRef}`);
-        return res.status(200).send('OK');
-      }
+  });
 
-      logger.info(`Received iDenfy webhook for ${scanRef}: ${overallStatus}`);
-      logger.info('Full status object:', JSON.stringify(status, null, 2));
+  // Game server reports that a player entered their ownership code in-game
+  webhookApp.post('/byond/ownership', async (req, res) => {
+    if (!config.BYOND_OWNERSHIP_SECRET) {
+      return res.status(503).send('Ownership callback not configured');
+    }
+    if (!isValidSharedSecret(req.get(OWNERSHIP_SECRET_HEADER), config.BYOND_OWNERSHIP_SECRET)) {
+      logger.warn(`Rejected BYOND ownership callback from ${req.ip}: invalid secret`);
+      return res.status(401).send('Invalid secret');
+    }
 
-      if (overallStatus === 'APPROVED') {
-        // Verification successful
-        try {
-          // Submit verification first (most critical operation)
-          await submitVerification(pending.discordId, pending.ckey, false, scanRef);
-          logger.info(`Successfully submitted verification for ${pending.ckey}`);
-          
-          // Remove from pending after successful submission
-          pendingVerifications.delete(scanRef);
-          
-          // Try to assign role (non-critical)
-          try {
-            const guild = client.guilds.cache.get(config.GUILD_ID);
-            if (guild) {
-              const member = await guild.members.fetch(pending.discordId);
-              const verifiedRoleId = process.env.VERIFIED_ROLE_ID;
-              if (verifiedRoleId && member && !member.roles.cache.has(verifiedRoleId)) {
-                await member.roles.add(verifiedRoleId, 'User verified with iDenfy');
-                logger.info(`Assigned verified role to ${pending.username}`);
-              }
-            }
-          } catch (roleError) {
-            logger.error('Failed to assign verified role (continuing anyway):', roleError.message);
-          }
-      
-          // Notify user (non-critical)
-          const embed = new EmbedBuilder()
-            .setColor(0x00FF00)
-            .setTitle('Verification Successful!')
-            .setDescription(`Your identity has been verified successfully using iDenfy.`)
-            .addFields(
-              { name: 'CKEY', value: pending.ckey, inline: true },
-              { name: 'Status', value: 'Verified ✅', inline: true },
-              { name: 'Scan Reference', value: scanRef, inline: true }
-            )
-            .setTimestamp();
+    const ckey = canonicalizeCkey(req.body?.ckey);
+    const [verificationId, challenge] = findOwnershipChallenge(pendingVerifications, ckey, req.body?.code) ?? [];
+    if (!challenge) {
+      return res.status(404).json({ status: 'not_found' });
+    }
+    if (challenge.byondVerifiedAt) {
+      return res.status(200).json({ status: 'already_verified' });
+    }
 
-          safeSendDM(client, pending.userId, { embeds: [embed] });
-          
-          // Log to verification channel
-          if (config.VERIFICATION_CHANNEL_ID) {
-            const channel = await client.channels.fetch(config.VERIFICATION_CHANNEL_ID);
-            const logEmbed = new EmbedBuilder()
-              .setColor(0x00FF00)
-              .setTitle('New Verification')
-              .addFields(
-                { name: 'Discord User', value: `<@${pending.discordId}> (${pending.username})`, inline: true },
-                { name: 'CKEY', value: pending.ckey, inline: true },
-                { name: 'Method', value: 'iDenfy', inline: true },
-                { name: 'Scan Reference', value: scanRef, inline: true }
-              )
-              .setTimestamp();
-            // Start retry deletion in background with user notification - don't await it
-            retryDeleteIdenfyData(client, scanRef, pending.userId).catch(error => {
-              logger.error(`Background deletion retry failed for ${scanRef}:`, error);
-            });
-            
-            await channel.send({ embeds: [logEmbed] });
-          }
+    // Answer the game server straight away, the user hears the rest by DM
+    res.status(200).json({ status: 'verified' });
+    continueAfterOwnershipCallback(pendingVerifications, client, verificationId).catch(error => {
+      logger.error(`Failed to continue verification ${verificationId} after ownership callback:`, error);
+    });
+  });
 
-        } catch (error) {
-          logger.error('Failed to submit verification:', error);
-          
-          // Even if verification submission failed, still try to notify user
-          const errorEmbed = new EmbedBuilder()
-            .setColor(0xFF6B6B)
-            .setTitle('Verification Error')
-            .setDescription('Your identity was verified, but there was an error saving it. Please contact an administrator.')
-            .addFields(
-              { name: 'Scan Reference', value: scanRef, inline: true },
-              { name: 'CKEY', value: pending.ckey, inline: true }
-            )
-            .setTimestamp();
+  // Liveness: the process is up and serving requests
+  webhookApp.get('/healthz', (req, res) => {
+    res.status(200).json({ status: 'ok' });
+  });
 
-          safeSendDM(client, pending.userId, { embeds: [errorEmbed] });
-        }
-      } else if (overallStatus === 'DENIED' || overallStatus === 'EXPIRED' || overallStatus === 'SUSPECTED') {
-        // Verification failed - remove from pending
-        pendingVerifications.delete(scanRef);
-        
-        // Provide more detailed failure information
-        let failureReason = 'Unknown reason';
-        let description = 'Your identity verification was not successful.';
-        
-        if (status?.denyReasons && status.denyReasons.length > 0) {
-          failureReason = status.denyReasons.join(', ');
-          description += ` Reason(s): ${failureReason}`;
-        } else if (status?.suspicionReasons && status.suspicionReasons.length > 0) {
-          failureReason = status.suspicionReasons.join(', ');
-          description += ` Issue(s): ${failureReason}`;
-        }
-        
-        const embed = new EmbedBuilder()
-          .setColor(0xFF0000)
-          .setTitle('Verification Failed')
-          .setDescription(description)
-          .addFields(
-            { name: 'Status', value: overallStatus, inline: true },
-            { name: 'Scan Reference', value: scanRef, inline: true }
-          )
-          .setTimestamp();
+  // Readiness: everything needed to process verifications is available
+  webhookApp.get('/readyz', async (req, res) => {
+    const checks = {
+      discord: client.isReady(),
+      backend: hasValidToken(),
+      storage: true
+    };
 
-        // Send failure notification (non-blocking)
-        safeSendDM(client, pending.userId, { embeds: [embed] });
-        
-        // Clean up iDenfy data with retry (non-blocking)
-        retryDeleteIdenfyData(client, scanRef, pending.userId).catch(error => {
-          logger.error(`Background deletion retry failed for failed verification ${scanRef}:`, error);
-        });
-      } else if (overallStatus === 'REVIEWING') {
-        // Still under review - don't remove from pending
-        logger.info(`Verification ${scanRef} is still under review`);
-        
-        const embed = new EmbedBuilder()
-          .setColor(0xFFFF00)
-          .setTitle('Verification Under Review')
-          .setDescription('Your identity verification is being reviewed. You will be notified once the review is complete.')
-          .addFields(
-            { name: 'Status', value: overallStatus, inline: true },
-            { name: 'Scan Reference', value: scanRef, inline: true }
-          )
-          .setTimestamp();
+    try {
+      await getStorageDriver().checkWritable();
+    } catch (error) {
+      logger.warn('Readiness check: storage is not writable:', error.message);
+      checks.storage = false;
+    }
 
-        // Send review notification (non-blocking)
-        safeSendDM(client, pending.userId, { embeds: [embed] });
-      } else {
-        // Handle other statuses (ACTIVE, DELETED, ARCHIVED)
-        logger.info(`Received unexpected status for ${scanRef}: ${overallStatus}`);
-      }
+    const ready = Object.values(checks).every(Boolean);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  });
 
-      // Always return success to iDenfy
-      res.status(200).send('OK');
+  trackPendingVerifications(pendingVerifications);
+  webhookApp.get('/metrics', async (req, res) => {
+    try {
+      res.set('Content-Type', register.contentType);
+      res.send(await register.metrics());
     } catch (error) {
-      logger.error('iDenfy webhook error:', error);
+      logger.error('Failed to collect metrics:', error);
       res.status(500).send('Internal Server Error');
     }
   });